@@ -0,0 +1,54 @@
+// config/clickpost-status-sync.js
+// Which ClickPost status codes are pushed back to easyEcom, and as what.
+// CLICKPOST_EASYECOM_STATUS_MAP lists "<clickpost_status_code>:<action>" pairs separated by commas;
+// codes that are not listed stay in ClickPost only.
+// Each action is sent to easyEcom as a shipment tracking status; EASYECOM_SHIPMENT_STATUS_IDS
+// overrides the easyEcom shipment status id an action uses ("<action>:<id>" pairs).
+
+const env = process.env;
+
+const parsePairs = (value) => String(value || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .reduce((pairs, entry) => {
+    const [key, target] = entry.split(':').map(part => part.trim());
+    if (key && target) {
+      pairs[key] = target;
+    }
+    return pairs;
+  }, {});
+
+const statusIdOverrides = parsePairs(env.EASYECOM_SHIPMENT_STATUS_IDS);
+
+const action = (name, label, defaultStatusId) => ({
+  name,
+  label,
+  shipment_status_id: parseInt(statusIdOverrides[name]) || defaultStatusId,
+});
+
+const actions = {
+  mark_delivered: action('mark_delivered', 'Delivered', 3),
+  rto_initiated: action('rto_initiated', 'RTO Initiated', 9),
+  mark_returned: action('mark_returned', 'Returned', 10),
+  ndr: action('ndr', 'Undelivered', 8),
+};
+
+const statusMap = Object.fromEntries(
+  Object.entries(parsePairs(env.CLICKPOST_EASYECOM_STATUS_MAP || 'DEL:mark_delivered,RTO:rto_initiated,NDR:ndr'))
+    .map(([statusCode, actionName]) => [statusCode.toUpperCase(), actionName])
+);
+
+// An action name in the map that is not defined above is a configuration mistake; say so at startup
+for (const [statusCode, actionName] of Object.entries(statusMap)) {
+  if (!actions[actionName]) {
+    console.warn(`⚠️ CLICKPOST_EASYECOM_STATUS_MAP maps ${statusCode} to unknown action "${actionName}"; known: ${Object.keys(actions).join(', ')}`);
+  }
+}
+
+module.exports = {
+  statusMap,
+  actions,
+  // easyEcom endpoint the tracking status is posted to
+  trackingStatusPath: env.EASYECOM_TRACKING_STATUS_PATH || '/Carrier/updateTrackingStatus',
+};
@@ -0,0 +1,26 @@
+// config/easyecom-locations.js
+// Registry of easyEcom fulfilment locations. Each location logs in with its own location_key,
+// so it gets its own access token (see integrations/easyecom-auth.js).
+// EASYECOM_LOCATIONS lists them as "<location_key>:<name>" pairs separated by commas;
+// without it the single EASYECOM_LOCATION_KEY is the only location.
+
+const env = process.env;
+
+const parseLocations = (value) => String(value)
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const [locationKey, ...name] = entry.split(':');
+    return { location_key: locationKey.trim(), name: name.join(':').trim() || locationKey.trim() };
+  });
+
+const locations = env.EASYECOM_LOCATIONS
+  ? parseLocations(env.EASYECOM_LOCATIONS)
+  : (env.EASYECOM_LOCATION_KEY ? [{ location_key: env.EASYECOM_LOCATION_KEY, name: 'default' }] : []);
+
+module.exports = {
+  locations,
+  // Used when a request or job does not name a location (pushes, /push-data, legacy documents)
+  defaultLocationKey: env.EASYECOM_LOCATION_KEY || locations[0]?.location_key || null,
+};
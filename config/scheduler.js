@@ -0,0 +1,79 @@
+// config/scheduler.js
+// Job definitions for the built-in scheduler (lib/scheduler.js).
+// `handler` is "<integration>.<job>" as registered in index.js; `params` is passed to the handler.
+// Cron expressions use server local time. Each job can be toggled or rescheduled from the environment.
+
+const env = process.env;
+
+const flag = (value, defaultValue) => (value === undefined ? defaultValue : value === 'true');
+
+module.exports = {
+  enabled: flag(env.SCHEDULER_ENABLED, true),
+  // How often the scheduler checks for due jobs
+  tickIntervalMs: parseInt(env.SCHEDULER_TICK_INTERVAL_MS) || 30000,
+
+  jobs: [
+    {
+      name: 'easyecom-pull-orders',
+      handler: 'easyecom.pullOrders',
+      cron: env.JOB_EASYECOM_PULL_ORDERS_CRON || '*/30 * * * *',
+      enabled: flag(env.JOB_EASYECOM_PULL_ORDERS_ENABLED, true),
+      // No dates: resume from the sync checkpoint
+      params: {},
+      lockTtlMinutes: 30,
+    },
+    {
+      name: 'easyecom-pull-inventory',
+      handler: 'easyecom.pullInventory',
+      cron: env.JOB_EASYECOM_PULL_INVENTORY_CRON || '0 * * * *',
+      enabled: flag(env.JOB_EASYECOM_PULL_INVENTORY_ENABLED, true),
+      params: {},
+      lockTtlMinutes: 30,
+    },
+    {
+      name: 'easyecom-sync-products',
+      handler: 'easyecom.syncProducts',
+      cron: env.JOB_EASYECOM_SYNC_PRODUCTS_CRON || '30 3 * * *',
+      enabled: flag(env.JOB_EASYECOM_SYNC_PRODUCTS_ENABLED, true),
+      params: {},
+      lockTtlMinutes: 60,
+    },
+    {
+      // Recomputes the last EASYECOM_SALES_ROLLUP_DAYS days of easyecom_sales_rollups
+      name: 'easyecom-sales-rollup',
+      handler: 'easyecom.rollupSales',
+      cron: env.JOB_EASYECOM_SALES_ROLLUP_CRON || '0 1 * * *',
+      enabled: flag(env.JOB_EASYECOM_SALES_ROLLUP_ENABLED, true),
+      params: {},
+      lockTtlMinutes: 60,
+    },
+    {
+      // Read-only unless JOB_EASYECOM_RECONCILE_INVENTORY_REPUSH=true, which re-pushes SKUs out of line with their last push
+      name: 'easyecom-reconcile-inventory',
+      handler: 'easyecom.reconcileInventory',
+      cron: env.JOB_EASYECOM_RECONCILE_INVENTORY_CRON || '45 4 * * *',
+      enabled: flag(env.JOB_EASYECOM_RECONCILE_INVENTORY_ENABLED, true),
+      params: { trigger: 'scheduler', repush: flag(env.JOB_EASYECOM_RECONCILE_INVENTORY_REPUSH, false) },
+      lockTtlMinutes: 60,
+    },
+    {
+      // Writes live stock to easyEcom, so it is off unless explicitly enabled
+      name: 'easyecom-push-bulk-inventory',
+      handler: 'easyecom.pushBulkInventory',
+      cron: env.JOB_EASYECOM_PUSH_INVENTORY_CRON || '15 2 * * *',
+      enabled: flag(env.JOB_EASYECOM_PUSH_INVENTORY_ENABLED, false),
+      // Only SKUs whose quantity changed since the last acknowledged push
+      params: { mode: 'delta' },
+      lockTtlMinutes: 60,
+    },
+    {
+      // Creates real ClickPost shipments, so it is off unless explicitly enabled
+      name: 'easyecom-clickpost-shipments',
+      handler: 'easyecom.createClickPostShipments',
+      cron: env.JOB_EASYECOM_CLICKPOST_SHIPMENTS_CRON || '*/10 * * * *',
+      enabled: flag(env.JOB_EASYECOM_CLICKPOST_SHIPMENTS_ENABLED, false),
+      params: {},
+      lockTtlMinutes: 30,
+    },
+  ],
+};
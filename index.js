@@ -9,6 +9,13 @@ const app = express();
 const port = process.env.PORT || 3007;
 app.use(bodyParser.json());
 
+// Behind a load balancer, TRUST_PROXY (true, a hop count or proxy addresses) makes req.ip the client's
+// address, which the public tracking rate limits count by
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // MongoDB connections
 let db; // Production database
 let devDb; // Development database
@@ -43,6 +50,7 @@ const connectMongoDB = async () => {
 const easyEcom = require('./integrations/easyecom');
 const clickPost = require('./integrations/clickpost');
 const clickPostDev = require('./integrations/clickpost-dev');
+const scheduler = require('./lib/scheduler');
 
 
 // Initialize integrations with DB
@@ -60,7 +68,12 @@ const startServer = async () => {
   app.use('/integrations/easyecom', easyEcom.router);
   app.use('/integrations/clickpost', clickPost.router);
   app.use('/integrations/clickpost-dev', clickPostDev.router);
-  
+  app.use('/admin/jobs', scheduler.router);
+
+  // Scheduled EasyEcom pulls and pushes (jobs are defined in config/scheduler.js)
+  scheduler.init(prodDb);
+  scheduler.registerJobHandlers('easyecom', easyEcom.jobs);
+  await scheduler.start();
 
   // Health check
   app.get('/health', (req, res) => {
@@ -73,6 +86,7 @@ const startServer = async () => {
     console.log('  EasyEcom: /integrations/easyecom/pull-data, /integrations/easyecom/get-saved-orders, etc.');
     console.log('  ClickPost: /integrations/clickpost/webhook/orders, /integrations/clickpost/status/update');
     console.log('  ClickPost Dev: /integrations/clickpost-dev/dev/webhook/orders, /integrations/clickpost-dev/dev/status/update');
+    console.log('  Admin: /admin/jobs, /admin/jobs/:name/run, /admin/jobs/:name/pause, /admin/jobs/:name/resume');
   });
 };
 
@@ -0,0 +1,76 @@
+// integrations/clickpost-client.js
+// ClickPost create-order call shared by the production and dev routers and the easyEcom bridge.
+const axios = require('axios');
+
+// Load env vars (Based on ClickPost Official Documentation)
+const {
+  CLICKPOST_USERNAME,
+  CLICKPOST_API_KEY,
+  CLICKPOST_BASE_URL,
+} = process.env;
+
+// ClickPost order creation payload (Based on Official Documentation)
+const buildClickPostOrderPayload = (orderData) => ({
+  reference_number: orderData.reference_number,
+  pickup_info: {
+    name: orderData.pickup_info.name,
+    phone: orderData.pickup_info.phone,
+    address: orderData.pickup_info.address,
+    pincode: orderData.pickup_info.pincode,
+    city: orderData.pickup_info.city,
+    state: orderData.pickup_info.state,
+    country: orderData.pickup_info.country || 'India'
+  },
+  drop_info: {
+    name: orderData.drop_info.name,
+    phone: orderData.drop_info.phone,
+    address: orderData.drop_info.address,
+    pincode: orderData.drop_info.pincode,
+    city: orderData.drop_info.city,
+    state: orderData.drop_info.state,
+    country: orderData.drop_info.country || 'India'
+  },
+  shipment_details: {
+    items: orderData.shipment_details.items,
+    weight: orderData.shipment_details.weight,
+    order_type: orderData.shipment_details.order_type || 'standard',
+    cod_amount: orderData.shipment_details.cod_amount || 0,
+    declared_value: orderData.shipment_details.declared_value || 0
+  }
+});
+
+// Creates the order in ClickPost and returns its response body
+const createClickPostOrder = async (clickpostPayload) => {
+  const createOrderUrl = `${CLICKPOST_BASE_URL}/create-order/?username=${CLICKPOST_USERNAME}&key=${CLICKPOST_API_KEY}`;
+
+  const response = await axios.post(createOrderUrl, clickpostPayload, {
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    timeout: 15000, // 15 second timeout for order creation
+  });
+  return response.data;
+};
+
+// Looks up an order by the reference_number it was created with. Returns ClickPost's order
+// (with its waybill) or null when ClickPost has none, so a create that timed out is not sent twice.
+const findClickPostOrder = async (referenceNumber) => {
+  const orderDetailsUrl = `${CLICKPOST_BASE_URL}/order-details/?username=${CLICKPOST_USERNAME}&key=${CLICKPOST_API_KEY}&reference_number=${encodeURIComponent(referenceNumber)}`;
+
+  try {
+    const response = await axios.get(orderDetailsUrl, { timeout: 15000 });
+    const result = Array.isArray(response.data?.result) ? response.data.result[0] : response.data?.result;
+    return result?.waybill ? result : null;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  buildClickPostOrderPayload,
+  createClickPostOrder,
+  findClickPostOrder,
+};
@@ -1,6 +1,17 @@
 // integrations/clickpost-dev.js
 const express = require('express');
 const axios = require('axios');
+const { buildClickPostOrderPayload, createClickPostOrder } = require('./clickpost-client');
+const { buildClickPostOrderFilter, prepareClickPostOrderExport } = require('./clickpost-export');
+const { FORMATS: EXPORT_FORMATS } = require('../lib/csv');
+const { generateAwb, addAwbRange, listAwbRanges, ensureAwbIndexes, getWaybillIndexStatus, isDuplicateWaybill } = require('../lib/awb');
+const { requireAdminToken } = require('../lib/admin-auth');
+const { streamLabels } = require('../lib/labels');
+const { prepareLabels, publicRouteUrl, signedLabelUrl, requireLabelAccess } = require('./clickpost-labels');
+const { lookupTracking, trackingRateLimit } = require('./clickpost-tracking');
+const { sendTrackingPage } = require('../lib/tracking-page');
+const { ensureRateLimitIndexes } = require('../lib/rate-limit');
+const { isTooFarInFuture, recordStatusEvent, unpushedStatusEvent, recordStatusPush, listQuarantinedStatusEvents, ensureStatusQuarantineIndexes } = require('./clickpost-status');
 
 let db; // Global DB from server.js
 
@@ -13,11 +24,14 @@ const {
   CLICKPOST_ACCOUNT_CODE,
   CLICKPOST_BASE_URL,
   CLICKPOST_WEBHOOK_TOKEN,
+  WEBHOOK_BASE_URL_DEVELOPMENT,
 } = process.env;
 
-// Simple AWB generator (in production, use DB for unique IDs)
-let awbCounter = 1;
-const generateAWB = () => `CPAWB${Date.now()}${awbCounter++}`;
+// A drawn waybill that is already taken (e.g. a courier range overlapping older numbers) is redrawn this often
+const MAX_AWB_ATTEMPTS = 3;
+
+// Shipments whose status updates are checked against the lifecycle, and where rejected updates are kept
+const STATUS_COLLECTIONS = { ordersCollection: 'clickpost_dev_orders', quarantineCollection: 'clickpost_dev_status_quarantine' };
 
 // Validate webhook token (Based on ClickPost Documentation)
 const validateToken = (req, res) => {
@@ -104,13 +118,10 @@ router.post('/dev/webhook/orders', async (req, res) => {
       });
     }
 
-    // Generate unique waybill
-    const waybill = generateAWB();
-    
-    // Enhanced order data structure
+    // Enhanced order data structure (the waybill is drawn when it is saved)
     const orderToSave = {
       order_id: orderData.order_id,
-      waybill,
+      waybill: null,
       status: 'Pending',
       status_history: [{ 
         status: 'Pending', 
@@ -152,8 +163,20 @@ router.post('/dev/webhook/orders', async (req, res) => {
       }
     };
 
-    // Save to database with error handling
-    const insertResult = await collection.insertOne(orderToSave);
+    // Draw a waybill and save; the unique waybill index rejects a collision, which draws a new one
+    let insertResult;
+    for (let attempt = 1; !insertResult; attempt++) {
+      orderToSave.waybill = await generateAwb(db, 'dev');
+      try {
+        insertResult = await collection.insertOne(orderToSave);
+      } catch (error) {
+        if (!isDuplicateWaybill(error) || attempt >= MAX_AWB_ATTEMPTS) {
+          throw error;
+        }
+        console.warn(`⚠️ [DEV] AWB ${orderToSave.waybill} is already in use, drawing another`);
+      }
+    }
+    const { waybill } = orderToSave;
     
     if (!insertResult.insertedId) {
       throw new Error('Failed to save order to database');
@@ -170,16 +193,16 @@ router.post('/dev/webhook/orders', async (req, res) => {
         created_at: orderToSave.created_at,
         instance: 'dev'
       },
-      label_url: `https://your-label-service-dev.com/labels/${waybill}.pdf`, // Replace with real label service
-      tracking_url: `https://your-tracking-service-dev.com/track/${waybill}` // Add tracking URL
+      label_url: signedLabelUrl(req, WEBHOOK_BASE_URL_DEVELOPMENT, `/dev/labels/${encodeURIComponent(waybill)}.pdf`, waybill),
+      tracking_url: publicRouteUrl(req, WEBHOOK_BASE_URL_DEVELOPMENT, `/dev/track/${encodeURIComponent(waybill)}`)
     });
 
     console.log(`✅ [DEV] Order ${orderData.order_id} received, AWB: ${waybill}, DB ID: ${insertResult.insertedId}`);
   } catch (error) {
     console.error("❌ [DEV] Webhook error:", error.message);
     
-    // Enhanced error response
-    res.status(500).json({ 
+    // Enhanced error response (503 while no AWB numbers are left to assign)
+    res.status(error.code === 'AWB_EXHAUSTED' ? 503 : 500).json({ 
       success: false, 
       error: error.message,
       timestamp: new Date().toISOString(),
@@ -191,6 +214,177 @@ router.post('/dev/webhook/orders', async (req, res) => {
 
 // This route was removed - duplicate of the better implementation below
 
+// Courier-issued AWB ranges used when CLICKPOST_DEV_AWB_SOURCE=range, with the numbers each has left and the state of the unique waybill index (admin token required) - Development Instance
+router.get('/dev/awb-ranges', requireAdminToken, async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/clickpost-dev/dev/awb-ranges ---");
+  try {
+    const ranges = await listAwbRanges(db, 'dev');
+    res.status(200).json({ success: true, data: ranges, count: ranges.length, waybill_index: getWaybillIndexStatus('clickpost_dev_orders'), instance: 'dev' });
+  } catch (error) {
+    console.error("❌ [DEV] Error in /dev/awb-ranges route:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Register a range: { "start", "end", "prefix"?, "digits"?, "check_digit"?: none|luhn|mod7, "courier"? } - Development Instance
+router.post('/dev/awb-ranges', requireAdminToken, async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/clickpost-dev/dev/awb-ranges (POST) ---");
+  try {
+    const { range, errors } = await addAwbRange(db, 'dev', req.body);
+    if (errors) {
+      return res.status(400).json({ success: false, error: 'Invalid AWB range', errors });
+    }
+    console.log(`✅ [DEV] AWB range ${range.start}-${range.end} added${range.courier ? ` for ${range.courier}` : ''}`);
+    res.status(201).json({ success: true, data: range, instance: 'dev' });
+  } catch (error) {
+    console.error("❌ [DEV] Error in /dev/awb-ranges route:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Per-client limit of the label routes, counted with the public tracking requests
+const labelLimit = trackingRateLimit(() => db);
+
+// Shipping label PDF of an order (?size=4x6 for thermal printers or a4) - Development Instance.
+// Needs the admin token or the signed label_url from the webhook response (?expires=&signature=)
+router.get('/dev/labels/:waybill.pdf', labelLimit, requireLabelAccess, async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/clickpost-dev/dev/labels/:waybill.pdf ---");
+  try {
+    const { waybill } = req.params;
+    const labels = await prepareLabels(db.collection('clickpost_dev_orders'), { waybills: [waybill], size: req.query.size });
+    if (labels.errors) {
+      return res.status(400).json({ success: false, error: 'Invalid label request', validation_errors: labels.errors, instance: 'dev' });
+    }
+    if (labels.orders.length === 0) {
+      return res.status(404).json({ success: false, error: 'Order not found', waybill, instance: 'dev' });
+    }
+
+    streamLabels(res, labels.orders, { size: labels.size, filename: `${labels.orders[0].waybill}.pdf` });
+    console.log(`✅ [DEV] Label rendered for AWB ${waybill} (${labels.size})`);
+  } catch (error) {
+    console.error("❌ [DEV] Error in /dev/labels route:", error.message);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Labels of several orders in one PDF, in the order given: { "waybills": [...], "size"?: "4x6"|"a4", "skip_missing"?: true }.
+// Unknown waybills fail the request unless skip_missing is set (admin token required) - Development Instance
+router.post('/dev/labels/bulk', labelLimit, requireAdminToken, async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/clickpost-dev/dev/labels/bulk ---");
+  try {
+    const labels = await prepareLabels(db.collection('clickpost_dev_orders'), { waybills: req.body?.waybills, size: req.body?.size || req.query.size });
+    if (labels.errors) {
+      return res.status(400).json({ success: false, error: 'Invalid label request', validation_errors: labels.errors, instance: 'dev' });
+    }
+    if (labels.orders.length === 0 || (labels.missing.length > 0 && req.body.skip_missing !== true)) {
+      return res.status(404).json({ success: false, error: 'No order found for some waybills', missing_waybills: labels.missing, instance: 'dev' });
+    }
+
+    if (labels.missing.length > 0) {
+      console.warn(`⚠️ [DEV] Skipping labels for unknown waybills: ${labels.missing.join(', ')}`);
+      res.setHeader('X-Skipped-Waybills', labels.missing.map(encodeURIComponent).join(','));
+    }
+    streamLabels(res, labels.orders, { size: labels.size, filename: `labels-${new Date().toISOString().slice(0, 10)}.pdf` });
+    console.log(`✅ [DEV] Rendered ${labels.orders.length} labels (${labels.size})`);
+  } catch (error) {
+    console.error("❌ [DEV] Error in /dev/labels/bulk route:", error.message);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Per-client rate limits of the public tracking routes (the page answers with HTML) - Development Instance
+const trackingApiLimit = trackingRateLimit(() => db);
+const trackingPageLimit = trackingRateLimit(() => db, (req, res, limit) => sendTrackingPage(res, 429, {
+  searchPath: `${req.baseUrl}/dev/track`,
+  message: `Too many tracking requests. Please try again in ${Math.ceil(limit.retryAfterSeconds / 60)} minutes.`,
+}));
+
+// Public tracking by waybill or order_id: current status and a sanitized timeline (phone and address masked) - Development Instance
+router.get('/dev/tracking/:identifier', trackingApiLimit, async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/clickpost-dev/dev/tracking/:identifier ---");
+  try {
+    const result = await lookupTracking(db, 'clickpost_dev_orders', req.params.identifier, req.ip);
+    if (result.status === 'invalid') {
+      return res.status(400).json({ success: false, error: 'Invalid waybill or order id', instance: 'dev' });
+    }
+    if (result.status === 'limited') {
+      res.setHeader('Retry-After', String(result.retryAfterSeconds));
+      return res.status(429).json({ success: false, error: 'Too many lookups of unknown shipments', retry_after_seconds: result.retryAfterSeconds, instance: 'dev' });
+    }
+    if (result.status === 'not_found') {
+      return res.status(404).json({ success: false, error: 'Shipment not found', instance: 'dev' });
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(200).json({ success: true, data: result.tracking, instance: 'dev' });
+  } catch (error) {
+    console.error("❌ [DEV] Error in /dev/tracking route:", error.message);
+    res.status(500).json({ success: false, error: 'Tracking is unavailable right now' });
+  }
+});
+
+// Branded tracking page for a waybill or order_id (/track/<id>, or /track?id= from its search form) - Development Instance
+const trackingPage = async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/clickpost-dev/dev/track ---");
+  const searchPath = `${req.baseUrl}/dev/track`;
+  const identifier = String(req.params.identifier ?? req.query.id ?? '').trim();
+  try {
+    if (!identifier) {
+      return sendTrackingPage(res, 200, { searchPath });
+    }
+
+    const result = await lookupTracking(db, 'clickpost_dev_orders', identifier, req.ip);
+    if (result.status === 'found') {
+      return sendTrackingPage(res, 200, { searchPath, identifier, tracking: result.tracking });
+    }
+    if (result.status === 'limited') {
+      res.setHeader('Retry-After', String(result.retryAfterSeconds));
+      return sendTrackingPage(res, 429, { searchPath, identifier, message: 'Too many searches for shipments we could not find. Please try again later.' });
+    }
+    sendTrackingPage(res, result.status === 'invalid' ? 400 : 404, {
+      searchPath,
+      identifier,
+      message: 'We could not find a shipment with that waybill or order number. Please check it and try again.',
+    });
+  } catch (error) {
+    console.error("❌ [DEV] Error in /dev/track route:", error.message);
+    sendTrackingPage(res, 500, { searchPath, identifier, message: 'Tracking is unavailable right now. Please try again later.' });
+  }
+};
+router.get('/dev/track', trackingPageLimit, trackingPage);
+router.get('/dev/track/:identifier', trackingPageLimit, trackingPage);
+
+// Stream orders as CSV with the same filters as /dev/orders (?status=&waybill=),
+// ?columns=a,b,c to pick columns and ?format=excel for an Excel-friendly file - Development Instance
+router.get('/dev/orders/export', async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/clickpost-dev/dev/orders/export ---");
+  try {
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, error: `format must be one of ${EXPORT_FORMATS.join(', ')}`, instance: 'dev' });
+    }
+    const orderExport = prepareClickPostOrderExport(db.collection('clickpost_dev_orders'), req.query, 'clickpost-dev-orders');
+    if (orderExport.errors) {
+      return res.status(400).json({ success: false, error: 'Invalid export request', validation_errors: orderExport.errors, instance: 'dev' });
+    }
+
+    const { rowCount, aborted } = await orderExport.stream(res, format);
+    console.log(`✅ [DEV] Exported ${rowCount} orders${aborted ? ' (client disconnected)' : ''}`);
+  } catch (error) {
+    console.error("❌ [DEV] Error in /dev/orders/export route:", error.message);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ success: false, error: error.message, instance: 'dev' });
+  }
+});
+
 // Get orders for dashboard - Development Instance
 router.get('/dev/orders', async (req, res) => {
   console.log("\n\n--- Received request for /integrations/clickpost-dev/dev/orders ---");
@@ -202,14 +396,8 @@ router.get('/dev/orders', async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
     
-    // Add filtering support
-    const filter = {};
-    if (req.query.status) {
-      filter.status = req.query.status;
-    }
-    if (req.query.waybill) {
-      filter.waybill = new RegExp(req.query.waybill, 'i');
-    }
+    // Add filtering support (shared with the CSV export)
+    const filter = buildClickPostOrderFilter(req.query);
     
     const orders = await collection
       .find(filter)
@@ -239,6 +427,27 @@ router.get('/dev/orders', async (req, res) => {
 });
 
 
+// Answers a status update that was not recorded: unknown waybill, an event already recorded, or one the
+// lifecycle rejected (unknown status code, illegal transition), which is quarantined - Development Instance
+const sendUnappliedStatus = (res, waybill, outcome) => {
+  if (outcome.result === 'not_found') {
+    console.warn(`⚠️ [DEV] No order found with waybill ${waybill} in MongoDB`);
+    return res.status(404).json({ success: false, error: `Order with waybill ${waybill} not found`, waybill, instance: 'dev' });
+  }
+  if (outcome.result === 'duplicate') {
+    return res.status(200).json({ success: true, message: `Status already recorded for waybill ${waybill}`, duplicate: true, data: { waybill, status: outcome.status }, instance: 'dev' });
+  }
+  return res.status(outcome.evaluation.reason === 'unknown_status' ? 400 : 409).json({
+    success: false,
+    error: outcome.evaluation.message,
+    reason: outcome.evaluation.reason,
+    waybill,
+    current_status: outcome.status,
+    quarantine_id: outcome.quarantine_id,
+    instance: 'dev'
+  });
+};
+
 // Push status to ClickPost - Development Instance
 router.post('/dev/status/update', async (req, res) => {
   console.log("\n\n--- Received request for /integrations/clickpost-dev/dev/status/update ---");
@@ -249,7 +458,7 @@ router.post('/dev/status/update', async (req, res) => {
       return; // Response already sent by validateToken
     }
     
-    const { waybill, status_code, status_description, location, remarks } = req.body;
+    const { waybill, status_code, status_description, location, remarks, expected_delivery_date, timestamp } = req.body;
 
     // Enhanced validation
     if (!waybill || !status_code) {
@@ -268,21 +477,61 @@ router.post('/dev/status/update', async (req, res) => {
       });
     }
 
-    // Validate status_code format
-    const validStatusCodes = ['OFD', 'DEL', 'RTO', 'POD', 'NDR', 'OOD', 'PPD', 'DEX', 'INT', 'EXP'];
-    if (!validStatusCodes.includes(status_code.toUpperCase())) {
-      console.warn(`⚠️ [DEV] Unusual status code received: ${status_code}`);
+    // When the courier saw the event (defaults to now); events are placed in the shipment lifecycle by it
+    const eventTime = timestamp ? new Date(timestamp) : new Date();
+    if (Number.isNaN(eventTime.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid timestamp'
+      });
+    }
+    if (isTooFarInFuture(eventTime)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Timestamp is in the future',
+        message: 'Send the time the courier saw the event (up to CLICKPOST_STATUS_MAX_FUTURE_SKEW_MINUTES ahead of server time)'
+      });
     }
 
+    // Courier's expected delivery date, shown to customers on the tracking page
+    const expectedDelivery = expected_delivery_date ? new Date(expected_delivery_date) : null;
+    if (expectedDelivery && Number.isNaN(expectedDelivery.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid expected_delivery_date'
+      });
+    }
+
+    const statusEvent = {
+      waybill: waybill.trim(),
+      status: String(status_code).trim().toUpperCase(),
+      description: status_description || status_code,
+      location: location || 'Unknown',
+      remarks: remarks || '',
+      timestamp: eventTime,
+      // Sent without a time: a repeat of the latest status is then a resend, not a new scan
+      timestamp_assumed: !timestamp,
+    };
+
+    // Record first, then push to ClickPost. Unknown codes and transitions the lifecycle does not allow
+    // (e.g. DEL → OFD) are quarantined and never pushed; an event whose push fails stays recorded with
+    // clickpost_push failed, and sending it again pushes it again.
+    const recorded = await recordStatusEvent(db, STATUS_COLLECTIONS, statusEvent, { expectedDelivery });
+    const pushEvent = recorded.result === 'applied' ? statusEvent : unpushedStatusEvent(recorded, statusEvent);
+    if (!pushEvent) {
+      return sendUnappliedStatus(res, waybill, recorded);
+    }
+    const retriedPush = recorded.result !== 'applied';
+
     // ClickPost API payload (Based on Official Documentation)
     const payload = {
-      waybill: waybill.trim(),
+      waybill: pushEvent.waybill,
       status: {
-        clickpost_status_code: status_code.toUpperCase(),
-        clickpost_status_description: status_description || status_code,
-        timestamp: new Date().toISOString(),
-        location: location || 'Unknown',
-        remarks: remarks || '',
+        clickpost_status_code: pushEvent.status,
+        clickpost_status_description: pushEvent.description,
+        timestamp: pushEvent.timestamp.toISOString(),
+        location: pushEvent.location,
+        remarks: pushEvent.remarks,
       },
     };
 
@@ -301,48 +550,20 @@ router.post('/dev/status/update', async (req, res) => {
         timeout: 10000, // 10 second timeout
       });
     } catch (apiError) {
+      const pushError = apiError.response?.data?.message || apiError.message;
       console.error("❌ [DEV] ClickPost API Error:", apiError.response?.data || apiError.message);
-      throw new Error(`ClickPost API call failed: ${apiError.response?.data?.message || apiError.message}`);
-    }
-
-    // Update status in MongoDB with enhanced error handling
-    const collection = db.collection('clickpost_dev_orders');
-    const updateResult = await collection.updateOne(
-      { waybill: waybill.trim() },
-      {
-        $set: {
-          status: status_code.toUpperCase(),
-          updated_at: new Date(),
-          last_status_update: {
-            status_code: status_code.toUpperCase(),
-            description: status_description || status_code,
-            location: location || 'Unknown',
-            remarks: remarks || '',
-            timestamp: new Date()
-          }
-        },
-        $push: {
-          status_history: {
-            status: status_code.toUpperCase(),
-            description: status_description || status_code,
-            timestamp: new Date(),
-            location: location || 'Unknown',
-            remarks: remarks || '',
-            source: 'clickpost_api'
-          },
-        },
-      }
-    );
-
-    if (updateResult.matchedCount === 0) {
-      console.warn(`⚠️ [DEV] No order found with waybill ${waybill} in MongoDB`);
-      return res.status(404).json({
+      await recordStatusPush(db, STATUS_COLLECTIONS.ordersCollection, pushEvent, { status: 'failed', error: pushError });
+      return res.status(502).json({
         success: false,
-        error: `Order with waybill ${waybill} not found`,
-        waybill: waybill,
+        error: `ClickPost API call failed: ${pushError}`,
+        message: `Status recorded for waybill ${waybill} but not pushed to ClickPost; send it again to retry the push`,
+        waybill,
+        database_updated: true,
+        timestamp: new Date().toISOString(),
         instance: 'dev'
       });
     }
+    await recordStatusPush(db, STATUS_COLLECTIONS.ordersCollection, pushEvent, { status: 'pushed' });
 
     // Enhanced response
     res.status(200).json({
@@ -350,17 +571,20 @@ router.post('/dev/status/update', async (req, res) => {
       message: `Status updated for waybill ${waybill} (DEV INSTANCE)`,
       data: {
         waybill: waybill,
-        status: status_code.toUpperCase(),
-        description: status_description || status_code,
-        location: location || 'Unknown',
-        timestamp: new Date().toISOString()
+        status: recorded.status,
+        event_status: statusEvent.status,
+        applied_as_current: recorded.current === true,
+        description: pushEvent.description,
+        location: pushEvent.location,
+        timestamp: pushEvent.timestamp.toISOString()
       },
       clickpost_response: response.data,
-      database_updated: updateResult.modifiedCount > 0,
+      retried_push: retriedPush,
+      database_updated: true,
       instance: 'dev'
     });
     
-    console.log(`✅ [DEV] Status updated for waybill ${waybill}: ${status_code.toUpperCase()}`);
+    console.log(`✅ [DEV] Status updated for waybill ${waybill}: ${statusEvent.status}${retriedPush ? ' (ClickPost push retried)' : recorded.current ? '' : ` (recorded before the later ${recorded.status})`}`);
   } catch (error) {
     const errorData = error.response ? error.response.data : error.message;
     console.error("❌ [DEV] Status push error:", JSON.stringify(errorData, null, 2));
@@ -376,6 +600,23 @@ router.post('/dev/status/update', async (req, res) => {
   }
 });
 
+// Status updates the lifecycle rejected, newest first (?waybill=&reason=&limit=; admin token required) - Development Instance
+router.get('/dev/status/quarantine', requireAdminToken, async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/clickpost-dev/dev/status/quarantine ---");
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const events = await listQuarantinedStatusEvents(db, STATUS_COLLECTIONS.quarantineCollection, {
+      waybill: req.query.waybill,
+      reason: req.query.reason,
+      limit,
+    });
+    res.status(200).json({ success: true, data: events, count: events.length, instance: 'dev' });
+  } catch (error) {
+    console.error("❌ [DEV] Error in /dev/status/quarantine route:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Create order in ClickPost - Development Instance
 router.post('/dev/create-order', async (req, res) => {
   console.log("\n\n--- Received request for /integrations/clickpost-dev/dev/create-order ---");
@@ -395,53 +636,19 @@ router.post('/dev/create-order', async (req, res) => {
       });
     }
 
-    // ClickPost order creation payload (Based on Official Documentation)
-    const clickpostPayload = {
-      reference_number: orderData.reference_number,
-      pickup_info: {
-        name: orderData.pickup_info.name,
-        phone: orderData.pickup_info.phone,
-        address: orderData.pickup_info.address,
-        pincode: orderData.pickup_info.pincode,
-        city: orderData.pickup_info.city,
-        state: orderData.pickup_info.state,
-        country: orderData.pickup_info.country || 'India'
-      },
-      drop_info: {
-        name: orderData.drop_info.name,
-        phone: orderData.drop_info.phone,
-        address: orderData.drop_info.address,
-        pincode: orderData.drop_info.pincode,
-        city: orderData.drop_info.city,
-        state: orderData.drop_info.state,
-        country: orderData.drop_info.country || 'India'
-      },
-      shipment_details: {
-        items: orderData.shipment_details.items,
-        weight: orderData.shipment_details.weight,
-        order_type: orderData.shipment_details.order_type || 'standard',
-        cod_amount: orderData.shipment_details.cod_amount || 0,
-        declared_value: orderData.shipment_details.declared_value || 0
-      }
-    };
+    const clickpostPayload = buildClickPostOrderPayload(orderData);
 
     console.log("[STEP 1] 📋 [DEV] Creating order in ClickPost:", JSON.stringify(clickpostPayload, null, 2));
 
     // ClickPost API call for order creation
-    const createOrderUrl = `${CLICKPOST_BASE_URL}/create-order/?username=${CLICKPOST_USERNAME}&key=${CLICKPOST_API_KEY}`;
-    
-    const response = await axios.post(createOrderUrl, clickpostPayload, {
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      timeout: 15000, // 15 second timeout for order creation
-    });
+    const clickpostResponse = await createClickPostOrder(clickpostPayload);
 
     // Save order to database
     const collection = db.collection('clickpost_dev_orders');
     const orderToSave = {
       reference_number: orderData.reference_number,
-      waybill: response.data.result?.waybill || 'PENDING',
+      // No waybill yet: stored as null so the unique waybill index skips it
+      waybill: clickpostResponse.result?.waybill || null,
       status: 'Created',
       status_history: [{
         status: 'Created',
@@ -452,7 +659,7 @@ router.post('/dev/create-order', async (req, res) => {
       pickup_info: clickpostPayload.pickup_info,
       drop_info: clickpostPayload.drop_info,
       shipment_details: clickpostPayload.shipment_details,
-      clickpost_response: response.data,
+      clickpost_response: clickpostResponse,
       created_at: new Date(),
       updated_at: new Date(),
       instance: 'dev'
@@ -465,14 +672,14 @@ router.post('/dev/create-order', async (req, res) => {
       message: 'Order created successfully in ClickPost (DEV INSTANCE)',
       data: {
         reference_number: orderData.reference_number,
-        waybill: response.data.result?.waybill || 'PENDING',
+        waybill: clickpostResponse.result?.waybill || 'PENDING',
         status: 'Created',
-        clickpost_response: response.data,
+        clickpost_response: clickpostResponse,
         instance: 'dev'
       }
     });
 
-    console.log(`✅ [DEV] Order created in ClickPost: ${orderData.reference_number}, Waybill: ${response.data.result?.waybill || 'PENDING'}`);
+    console.log(`✅ [DEV] Order created in ClickPost: ${orderData.reference_number}, Waybill: ${clickpostResponse.result?.waybill || 'PENDING'}`);
   } catch (error) {
     console.error("❌ [DEV] ClickPost order creation error:", error.response?.data || error.message);
     res.status(500).json({
@@ -574,6 +781,9 @@ module.exports = {
   router,
   init: (globalDb) => {
     db = globalDb;
+    ensureAwbIndexes(globalDb, 'clickpost_dev_orders');
+    ensureRateLimitIndexes(globalDb);
+    ensureStatusQuarantineIndexes(globalDb, STATUS_COLLECTIONS.quarantineCollection);
   },
 };
 
@@ -620,10 +830,37 @@ LOCAL URL: http://localhost:3007/integrations/clickpost-dev
    GET https://your-domain.com/integrations/clickpost-dev/dev/orders
    Query Params: ?page=1&limit=10&status=Pending&waybill=CPAWB123
    
+   📄 EXPORT ORDERS (CSV, streamed):
+   GET https://your-domain.com/integrations/clickpost-dev/dev/orders/export
+   Query Params: ?status=Delivered&columns=waybill,status,drop_city,created_at&format=excel
+   
    🔍 GET SPECIFIC ORDER:
    GET https://your-domain.com/integrations/clickpost-dev/dev/order/:identifier
    Example: GET /dev/order/CPAWB123456 or GET /dev/order/ORDER123
    
+   🚧 QUARANTINED STATUS UPDATES (admin: x-api-key = ADMIN_API_TOKEN):
+   GET https://your-domain.com/integrations/clickpost-dev/dev/status/quarantine?waybill=CPAWB123456&reason=terminal_state&limit=50
+   (reasons: unknown_status, illegal_transition, terminal_state, conflicts_with_later_event)
+   
+   📍 PUBLIC TRACKING (no token; rate limited per client IP):
+   GET https://your-domain.com/integrations/clickpost-dev/dev/tracking/:identifier     (JSON: status, expected delivery, masked timeline)
+   GET https://your-domain.com/integrations/clickpost-dev/dev/track/:identifier        (branded HTML page; /track?id= from its search box)
+   Example: GET /track/CPAWB123456 or GET /tracking/ORDER123
+   
+   🧾 SHIPPING LABELS (PDF; admin: x-api-key = ADMIN_API_TOKEN, rate limited per client IP):
+   GET https://your-domain.com/integrations/clickpost-dev/dev/labels/CPAWB123456.pdf?size=a4
+   POST https://your-domain.com/integrations/clickpost-dev/dev/labels/bulk
+   Body: { "waybills": ["CPAWB123456", "CPAWB123457"], "size": "4x6", "skip_missing": false }
+   (size 4x6 prints one label per thermal page, a4 four per sheet; webhook responses link the
+    label_url on WEBHOOK_BASE_URL_DEVELOPMENT, signed with LABEL_URL_SECRET so it opens without the token until it expires)
+   
+   🏷️ AWB RANGES (admin: x-api-key = ADMIN_API_TOKEN):
+   GET https://your-domain.com/integrations/clickpost-dev/dev/awb-ranges
+   POST https://your-domain.com/integrations/clickpost-dev/dev/awb-ranges
+   Body: { "start": 100000000, "end": 100099999, "courier": "Delhivery", "check_digit": "mod7" }
+   (Webhook orders draw from these ranges when CLICKPOST_DEV_AWB_SOURCE=range, otherwise from the
+    CLICKPOST_DEV_AWB_PREFIX sequence; low ranges are reported through ALERT_NOTIFIERS)
+   
    📈 GET STATISTICS:
    GET https://your-domain.com/integrations/clickpost-dev/dev/stats
    
@@ -685,8 +922,18 @@ LOCAL URL: http://localhost:3007/integrations/clickpost-dev
      "status_code": "OFD",
      "status_description": "Out for Delivery",
      "location": "Mumbai Hub",
-     "remarks": "Package dispatched for delivery"
+     "remarks": "Package dispatched for delivery",
+     "expected_delivery_date": "2024-01-17",
+     "timestamp": "2024-01-16T08:15:00Z"
    }
+   (expected_delivery_date is optional and shown on the tracking page; timestamp is when the courier
+    saw the event, defaults to now and may be at most CLICKPOST_STATUS_MAX_FUTURE_SKEW_MINUTES ahead (400))
+   
+   Status updates follow the shipment lifecycle (lib/shipment-lifecycle.js): events are placed by their
+   timestamp and the status is always the latest one. Unknown codes (400), transitions the lifecycle does
+   not allow such as DEL → OFD, and events that contradict a later one (409) are quarantined, not pushed.
+   Accepted events are recorded before they are pushed to ClickPost; when the push fails (502) the event
+   stays recorded with clickpost_push.status "failed", and sending it again retries the push.
 
 5. RESPONSE FORMATS:
    ==================
@@ -0,0 +1,73 @@
+// integrations/clickpost-export.js
+// Filters shared by the ClickPost order list and CSV export routes (production and dev), and the
+// export's column set. The collection is passed in because dev exports read clickpost_dev_orders.
+const { resolveColumns, streamCsv, exportFilename } = require('../lib/csv');
+
+// ?status= and ?waybill= (case-insensitive match) of GET /orders
+const buildClickPostOrderFilter = (query = {}) => {
+  const filter = {};
+  if (query.status) {
+    filter.status = query.status;
+  }
+  if (query.waybill) {
+    filter.waybill = new RegExp(query.waybill, 'i');
+  }
+  return filter;
+};
+
+const CLICKPOST_ORDER_COLUMNS = {
+  order_id: {},
+  reference_number: {},
+  waybill: {},
+  status: {},
+  source: {},
+  created_at: {},
+  updated_at: {},
+  pickup_name: { value: order => order.pickup_info?.name },
+  pickup_pincode: { value: order => order.pickup_info?.pincode },
+  pickup_city: { value: order => order.pickup_info?.city },
+  drop_name: { value: order => order.drop_info?.name },
+  drop_phone: { value: order => order.drop_info?.phone },
+  drop_address: { value: order => order.drop_info?.address },
+  drop_pincode: { value: order => order.drop_info?.pincode },
+  drop_city: { value: order => order.drop_info?.city },
+  drop_state: { value: order => order.drop_info?.state },
+  order_type: { value: order => order.shipment_details?.order_type },
+  weight: { value: order => order.shipment_details?.weight },
+  cod_amount: { value: order => order.shipment_details?.cod_amount },
+  declared_value: { value: order => order.shipment_details?.declared_value },
+  item_count: { value: order => order.shipment_details?.items?.length },
+  last_status_code: { value: order => order.last_status_update?.status_code },
+  last_status_location: { value: order => order.last_status_update?.location },
+  last_status_at: { value: order => order.last_status_update?.timestamp },
+  easyecom_order_id: { value: order => order.easyecom?.order_id },
+  easyecom_suborder_num: { value: order => order.easyecom?.suborder_num },
+  easyecom_sync_status: { value: order => order.easyecom_sync?.status },
+};
+const DEFAULT_CLICKPOST_ORDER_COLUMNS = [
+  'order_id', 'reference_number', 'waybill', 'status', 'created_at', 'updated_at',
+  'drop_name', 'drop_city', 'drop_state', 'drop_pincode', 'order_type', 'weight', 'cod_amount', 'declared_value',
+  'last_status_code', 'last_status_at',
+];
+
+// Prepares an export of `collection` from the GET /orders params plus ?columns=.
+// Returns { errors } or { stream(res, format) }.
+const prepareClickPostOrderExport = (collection, params = {}, filenamePrefix = 'clickpost-orders') => {
+  const { columns, error } = resolveColumns(CLICKPOST_ORDER_COLUMNS, params.columns, DEFAULT_CLICKPOST_ORDER_COLUMNS);
+  if (error) {
+    return { errors: [{ field: 'columns', message: error }] };
+  }
+
+  return {
+    stream: (res, format) => streamCsv(
+      res,
+      collection.find(buildClickPostOrderFilter(params), { projection: { status_history: 0, clickpost_response: 0 } }).sort({ created_at: -1 }),
+      { columns, format, filename: exportFilename(filenamePrefix, format) }
+    ),
+  };
+};
+
+module.exports = {
+  buildClickPostOrderFilter,
+  prepareClickPostOrderExport,
+};
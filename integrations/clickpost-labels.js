@@ -0,0 +1,111 @@
+// integrations/clickpost-labels.js
+// Shipping label requests shared by the ClickPost label routes (production and dev), and the public
+// URLs handed out for them. The collection is passed in because dev labels read clickpost_dev_orders.
+// Labels carry names, phones and addresses, so they need the admin token or a signed label_url that
+// expires (waybills are sequential and could otherwise be walked).
+const crypto = require('crypto');
+const { LABEL_SIZES } = require('../lib/labels');
+const { requireAdminToken } = require('../lib/admin-auth');
+
+const {
+  LABEL_DEFAULT_SIZE,
+  LABEL_BULK_MAX_WAYBILLS,
+  LABEL_URL_SECRET,
+  LABEL_URL_TTL_HOURS,
+} = process.env;
+
+const DEFAULT_SIZE = LABEL_SIZES.includes(LABEL_DEFAULT_SIZE) ? LABEL_DEFAULT_SIZE : '4x6';
+const maxBulkWaybills = parseInt(LABEL_BULK_MAX_WAYBILLS) || 200;
+const labelUrlTtlMs = (parseFloat(LABEL_URL_TTL_HOURS) || 72) * 60 * 60 * 1000;
+
+// Waybills given as an array or a comma-separated string, trimmed and without repeats
+const parseWaybills = (input) => {
+  const list = Array.isArray(input) ? input : String(input ?? '').split(',');
+  return [...new Set(list.map(waybill => String(waybill).trim()).filter(Boolean))];
+};
+
+// Validates a label request { waybills, size } and loads the orders, in the order the waybills were given.
+// Returns { errors } or { size, orders, missing } (missing: waybills no order in `collection` has).
+const prepareLabels = async (collection, { waybills: input, size = DEFAULT_SIZE } = {}) => {
+  const errors = [];
+  const waybills = parseWaybills(input);
+  if (waybills.length === 0) {
+    errors.push({ field: 'waybills', message: 'at least one waybill is required' });
+  } else if (waybills.length > maxBulkWaybills) {
+    errors.push({ field: 'waybills', message: `at most ${maxBulkWaybills} waybills per request` });
+  }
+  if (!LABEL_SIZES.includes(size)) {
+    errors.push({ field: 'size', message: `must be one of ${LABEL_SIZES.join(', ')}` });
+  }
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const found = await collection
+    .find({ waybill: { $in: waybills } }, { projection: { status_history: 0, clickpost_response: 0, webhook_metadata: 0 } })
+    .toArray();
+  const byWaybill = new Map(found.map(order => [order.waybill, order]));
+
+  return {
+    size,
+    orders: waybills.filter(waybill => byWaybill.has(waybill)).map(waybill => byWaybill.get(waybill)),
+    missing: waybills.filter(waybill => !byWaybill.has(waybill)),
+  };
+};
+
+// Absolute URL of `path` under the router handling `req`, on `baseUrl` (WEBHOOK_BASE_URL_*) or else
+// the host the request came in on
+const publicRouteUrl = (req, baseUrl, path) => {
+  const origin = (baseUrl || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+  return `${origin}${req.baseUrl}${path}`;
+};
+
+// Signature of a label link: the router it belongs to (production or dev), the waybill and its expiry
+const signLabel = (baseUrl, waybill, expires) => crypto
+  .createHmac('sha256', LABEL_URL_SECRET)
+  .update(`${baseUrl}|${waybill}|${expires}`)
+  .digest('hex');
+
+// label_url for webhook responses: signed and valid for LABEL_URL_TTL_HOURS when LABEL_URL_SECRET is set,
+// otherwise the plain route, which then needs the admin token
+const signedLabelUrl = (req, baseUrl, path, waybill) => {
+  const url = publicRouteUrl(req, baseUrl, path);
+  if (!LABEL_URL_SECRET) {
+    return url;
+  }
+  const expires = Math.floor((Date.now() + labelUrlTtlMs) / 1000);
+  return `${url}?expires=${expires}&signature=${signLabel(req.baseUrl, waybill, expires)}`;
+};
+
+const hasValidLabelSignature = (req) => {
+  const { expires, signature } = req.query;
+  if (!LABEL_URL_SECRET || !expires || typeof signature !== 'string' || Number(expires) * 1000 < Date.now()) {
+    return false;
+  }
+  const expected = Buffer.from(signLabel(req.baseUrl, req.params.waybill, expires));
+  const given = Buffer.from(signature);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// Express middleware for the single-label route: a valid, unexpired signature or the admin token
+const requireLabelAccess = (req, res, next) => {
+  if (hasValidLabelSignature(req)) {
+    return next();
+  }
+  if (req.query.signature) {
+    return res.status(403).json({
+      success: false,
+      error: 'Invalid or expired label link',
+      message: 'Request a new label_url or provide the admin x-api-key header',
+      timestamp: new Date().toISOString()
+    });
+  }
+  return requireAdminToken(req, res, next);
+};
+
+module.exports = {
+  prepareLabels,
+  publicRouteUrl,
+  signedLabelUrl,
+  requireLabelAccess,
+};
@@ -0,0 +1,169 @@
+// integrations/clickpost-status.js
+// Status updates of ClickPost shipments (production and dev), checked against the shipment lifecycle in
+// lib/shipment-lifecycle.js. Rejected events are quarantined with the reason for review; accepted ones go
+// into status_history in event-time order, and only the latest event sets the order's status.
+// An event is recorded before it is pushed to ClickPost; clickpost_push on the order tracks that push
+// (pending, pushed or failed), so a resend of an event whose push failed pushes it again.
+// The collection names are passed in because dev reads clickpost_dev_orders.
+const { evaluateStatusEvent } = require('../lib/shipment-lifecycle');
+
+// Concurrent updates of one shipment are detected through status_version and retried this often
+const MAX_APPLY_ATTEMPTS = 3;
+
+// Event timestamps may run this far ahead of our clock; later ones would outrank every real event
+const maxFutureSkewMs = (parseFloat(process.env.CLICKPOST_STATUS_MAX_FUTURE_SKEW_MINUTES) || 5) * 60 * 1000;
+
+const ORDER_PROJECTION = { waybill: 1, order_id: 1, reference_number: 1, status: 1, status_history: 1, status_version: 1, clickpost_push: 1 };
+
+const isTooFarInFuture = (eventTime) => eventTime.getTime() > Date.now() + maxFutureSkewMs;
+
+const quarantineStatusEvent = async (db, quarantineCollection, order, event, evaluation) => {
+  const { insertedId } = await db.collection(quarantineCollection).insertOne({
+    waybill: event.waybill,
+    order_id: order.order_id || order.reference_number || null,
+    status_code: event.status,
+    description: event.description,
+    location: event.location,
+    remarks: event.remarks,
+    event_timestamp: event.timestamp,
+    received_at: new Date(),
+    reason: evaluation.reason,
+    message: evaluation.message,
+    current_status: order.status || null,
+    previous_status: evaluation.from || null,
+    next_status: evaluation.next || null,
+  });
+  console.warn(`⚠️ Quarantined ${event.status} for waybill ${event.waybill}: ${evaluation.message}`);
+  return insertedId;
+};
+
+// Loads the order of event.waybill and places the event in its lifecycle; rejected events are quarantined
+const evaluateForOrder = async (db, { ordersCollection, quarantineCollection }, event) => {
+  const order = await db.collection(ordersCollection).findOne({ waybill: event.waybill }, { projection: ORDER_PROJECTION });
+  if (!order) {
+    return { result: 'not_found' };
+  }
+
+  const evaluation = evaluateStatusEvent(order.status_history, event);
+  if (!evaluation.allowed) {
+    const quarantineId = await quarantineStatusEvent(db, quarantineCollection, order, event, evaluation);
+    return { result: 'rejected', order, evaluation, quarantine_id: quarantineId };
+  }
+  return { result: evaluation.duplicate ? 'duplicate' : 'accepted', order, evaluation };
+};
+
+// Checks a status event { waybill, status, description, location, remarks, timestamp } without recording it.
+// Returns { result: 'not_found' | 'duplicate' | 'accepted' | 'rejected', status?, clickpost_push?, evaluation?,
+// quarantine_id? } (status: the order's current status; clickpost_push: its last push to ClickPost).
+const checkStatusEvent = async (db, collections, event) => {
+  const { order, ...checked } = await evaluateForOrder(db, collections, event);
+  return { ...checked, ...(order && { status: order.status, clickpost_push: order.clickpost_push }) };
+};
+
+// Records a status event that passes the lifecycle, with its ClickPost push pending. When it is the latest
+// event it also sets status, last_status_update and the expected delivery date; an older event only joins
+// the history. Returns { result: 'applied', current, status } (status: the order's status afterwards), or
+// { result: 'not_found' | 'duplicate' | 'rejected', ... } as checkStatusEvent does.
+const recordStatusEvent = async (db, collections, event, { expectedDelivery = null } = {}) => {
+  for (let attempt = 1; ; attempt++) {
+    const checked = await evaluateForOrder(db, collections, event);
+    if (checked.result !== 'accepted') {
+      const { order, ...rest } = checked;
+      return { ...rest, ...(order && { status: order.status, clickpost_push: order.clickpost_push }) };
+    }
+
+    const { order, evaluation } = checked;
+    const receivedAt = new Date();
+    const set = {
+      updated_at: receivedAt,
+      clickpost_push: { status: 'pending', status_code: event.status, timestamp: event.timestamp, updated_at: receivedAt },
+    };
+    if (evaluation.current) {
+      set.status = event.status;
+      set.last_status_update = {
+        status_code: event.status,
+        description: event.description,
+        location: event.location,
+        remarks: event.remarks,
+        timestamp: event.timestamp,
+      };
+      if (expectedDelivery) {
+        set.expected_delivery_date = expectedDelivery;
+      }
+    }
+
+    const updateResult = await db.collection(collections.ordersCollection).updateOne(
+      { _id: order._id, status_version: order.status_version ?? null },
+      {
+        $set: set,
+        $inc: { status_version: 1 },
+        $push: {
+          status_history: {
+            $each: [{
+              status: event.status,
+              description: event.description,
+              timestamp: event.timestamp,
+              received_at: receivedAt,
+              location: event.location,
+              remarks: event.remarks,
+              source: 'clickpost_api',
+            }],
+            $sort: { timestamp: 1 },
+          },
+        },
+      }
+    );
+    if (updateResult.matchedCount === 1) {
+      return { result: 'applied', evaluation, current: evaluation.current, status: evaluation.current ? event.status : order.status };
+    }
+    if (attempt >= MAX_APPLY_ATTEMPTS) {
+      throw new Error(`Waybill ${event.waybill} kept changing while recording ${event.status}; please retry`);
+    }
+    console.warn(`⚠️ Waybill ${event.waybill} changed while recording ${event.status}, re-checking (attempt ${attempt})`);
+  }
+};
+
+// The event a duplicate resend should push again: the order's last push when it did not go through and
+// the resend is of that event (same status, and the same time unless the resend carried none)
+const unpushedStatusEvent = (checked, event) => {
+  const push = checked.clickpost_push;
+  if (checked.result !== 'duplicate' || !push || !['pending', 'failed'].includes(push.status) || push.status_code !== event.status) {
+    return null;
+  }
+  if (!event.timestamp_assumed && new Date(push.timestamp).getTime() !== event.timestamp.getTime()) {
+    return null;
+  }
+  return { ...event, timestamp: new Date(push.timestamp) };
+};
+
+// Stores how the ClickPost push of an event went ('pushed' or 'failed' with its error), unless a later
+// event's push has replaced it meanwhile
+const recordStatusPush = (db, ordersCollection, event, { status, error = null }) => db.collection(ordersCollection).updateOne(
+  { waybill: event.waybill, 'clickpost_push.status_code': event.status, 'clickpost_push.timestamp': event.timestamp },
+  {
+    $set: { 'clickpost_push.status': status, 'clickpost_push.error': error, 'clickpost_push.updated_at': new Date() },
+    $inc: { 'clickpost_push.attempts': 1 },
+  }
+);
+
+// Quarantined events, newest first (?waybill=&reason=&limit=)
+const listQuarantinedStatusEvents = async (db, quarantineCollection, { waybill, reason, limit = 50 } = {}) => {
+  const filter = {};
+  if (waybill) filter.waybill = waybill;
+  if (reason) filter.reason = reason;
+  return db.collection(quarantineCollection).find(filter).sort({ received_at: -1 }).limit(limit).toArray();
+};
+
+const ensureStatusQuarantineIndexes = (db, quarantineCollection) => db.collection(quarantineCollection)
+  .createIndex({ waybill: 1, received_at: -1 })
+  .catch(error => console.error(`❌ Failed to create ${quarantineCollection} index:`, error.message));
+
+module.exports = {
+  isTooFarInFuture,
+  checkStatusEvent,
+  recordStatusEvent,
+  unpushedStatusEvent,
+  recordStatusPush,
+  listQuarantinedStatusEvents,
+  ensureStatusQuarantineIndexes,
+};
@@ -0,0 +1,148 @@
+// integrations/clickpost-tracking.js
+// Public shipment tracking shared by the ClickPost tracking routes (production and dev): finds an order by
+// waybill or order_id and turns it into a customer-safe view. Phone numbers, names and addresses are masked,
+// and internal fields (remarks, sources, webhook metadata, easyEcom links) are never returned.
+// The database is passed in because dev tracking reads the dev database.
+const { consumeRateLimit, rateLimit } = require('../lib/rate-limit');
+
+const {
+  RATE_LIMIT_WINDOW_MS,
+  RATE_LIMIT_MAX_REQUESTS,
+  TRACKING_NOT_FOUND_LIMIT,
+} = process.env;
+
+const windowMs = parseInt(RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000;
+const maxRequests = parseInt(RATE_LIMIT_MAX_REQUESTS) || 100;
+// Lookups that find nothing are what walking through waybills looks like, so far fewer are allowed
+const maxNotFound = parseInt(TRACKING_NOT_FOUND_LIMIT) || 10;
+
+const IDENTIFIER_PATTERN = /^[\x21-\x7E]{3,64}$/;
+
+// Customer-facing names of the statuses an order goes through
+const STATUS_LABELS = {
+  Pending: 'Order received',
+  Created: 'Shipment created',
+  PPD: 'Pickup pending',
+  INT: 'In transit',
+  OFD: 'Out for delivery',
+  DEL: 'Delivered',
+  POD: 'Delivered',
+  NDR: 'Delivery attempt failed',
+  DEX: 'Delivery exception',
+  OOD: 'Out of delivery area',
+  RTO: 'Returning to sender',
+  EXP: 'Shipment expired',
+};
+// Statuses we record ourselves; their descriptions are internal, so only the label is shown
+const OWN_STATUSES = ['Pending', 'Created'];
+const DELIVERED_STATUSES = ['DEL', 'POD'];
+
+const statusLabel = (status) => STATUS_LABELS[status] || status;
+
+// "9876543210" -> "******3210"
+const maskPhone = (phone) => {
+  const digits = String(phone ?? '').replace(/\D/g, '');
+  return digits ? `${'*'.repeat(Math.max(digits.length - 4, 4))}${digits.slice(-4)}` : null;
+};
+
+// "Priya Sharma" -> "P**** S*****"
+const maskName = (name) => {
+  const words = String(name ?? '').trim().split(/\s+/).filter(Boolean);
+  return words.length > 0 ? words.map(word => `${word[0]}${'*'.repeat(Math.max(word.length - 1, 1))}`).join(' ') : null;
+};
+
+// Only the first few characters of the street address
+const maskAddress = (address) => {
+  const text = String(address ?? '').trim();
+  return text ? `${text.slice(0, 4)}****` : null;
+};
+
+// "560001" -> "560***"
+const maskPincode = (pincode) => {
+  const text = String(pincode ?? '').trim();
+  return text ? `${text.slice(0, 3)}${'*'.repeat(Math.max(text.length - 3, 0))}` : null;
+};
+
+const toIso = (date) => (date ? new Date(date).toISOString() : null);
+
+// status_history as public events, newest first
+const timelineFor = (order) => (order.status_history || [])
+  .filter(event => event?.status)
+  .map(event => {
+    const label = statusLabel(event.status);
+    const ownOrRepeated = OWN_STATUSES.includes(event.status) || [event.status, label].includes(event.description);
+    return {
+      status: event.status,
+      label,
+      description: ownOrRepeated ? null : event.description || null,
+      location: event.location && event.location !== 'Unknown' ? event.location : null,
+      timestamp: toIso(event.timestamp),
+    };
+  })
+  .sort((a, b) => new Date(b.timestamp || 0) - new Date(a.timestamp || 0));
+
+// The sanitized tracking view of a stored order
+const buildTrackingView = (order) => {
+  const events = timelineFor(order);
+  const drop = order.drop_info || {};
+  return {
+    waybill: order.waybill,
+    order_id: order.order_id || order.reference_number || null,
+    status: order.status,
+    status_label: statusLabel(order.status),
+    delivered: DELIVERED_STATUSES.includes(order.status),
+    expected_delivery_date: order.expected_delivery_date ? toIso(order.expected_delivery_date).slice(0, 10) : null,
+    last_updated_at: events[0]?.timestamp || toIso(order.updated_at),
+    current_location: events.find(event => event.location)?.location || null,
+    origin: {
+      city: order.pickup_info?.city || null,
+      state: order.pickup_info?.state || null,
+    },
+    destination: {
+      name: maskName(drop.name),
+      phone: maskPhone(drop.phone),
+      address: maskAddress(drop.address),
+      city: drop.city || null,
+      state: drop.state || null,
+      pincode: maskPincode(drop.pincode),
+    },
+    events,
+  };
+};
+
+// Looks up the order a customer asked for, counting lookups that find nothing against the client.
+// Returns { status: 'found', tracking }, { status: 'invalid' }, { status: 'not_found' }
+// or { status: 'limited', retryAfterSeconds } once the client had too many misses.
+const lookupTracking = async (db, collectionName, identifier, clientKey) => {
+  const value = String(identifier ?? '').trim();
+  if (!IDENTIFIER_PATTERN.test(value)) {
+    return { status: 'invalid' };
+  }
+
+  const misses = { bucket: 'tracking-not-found', key: clientKey, windowMs, max: maxNotFound };
+  const seen = await consumeRateLimit(db, { ...misses, increment: 0 });
+  if (seen.count >= maxNotFound) {
+    return { status: 'limited', retryAfterSeconds: seen.retryAfterSeconds };
+  }
+
+  const order = await db.collection(collectionName).findOne(
+    { waybill: { $type: 'string' }, $or: [{ waybill: value }, { order_id: value }, { reference_number: value }] },
+    {
+      projection: { waybill: 1, order_id: 1, reference_number: 1, status: 1, status_history: 1, pickup_info: 1, drop_info: 1, expected_delivery_date: 1, updated_at: 1 },
+      sort: { created_at: -1 },
+    }
+  );
+  if (!order) {
+    await consumeRateLimit(db, misses);
+    return { status: 'not_found' };
+  }
+  return { status: 'found', tracking: buildTrackingView(order) };
+};
+
+// Per-client limit shared by the tracking API and page (RATE_LIMIT_MAX_REQUESTS every RATE_LIMIT_WINDOW_MS)
+const trackingRateLimit = (getDb, onLimited) => rateLimit({ getDb, bucket: 'tracking', windowMs, max: maxRequests, onLimited });
+
+module.exports = {
+  lookupTracking,
+  trackingRateLimit,
+};
@@ -0,0 +1,152 @@
+// integrations/easyecom-auth.js
+// Access tokens are cached per location_key, so every registered location has its own token.
+const axios = require('axios');
+const { defaultLocationKey } = require('../config/easyecom-locations');
+
+let db; // Global DB from server.js
+
+// Load env vars
+const {
+  EASYECOM_API_URL,
+  EASYECOM_API_KEY,
+  EASYECOM_EMAIL,
+  EASYECOM_PASSWORD,
+  EASYECOM_TOKEN_REFRESH_MARGIN_SECONDS,
+} = process.env;
+
+// Refresh this long before the JWT actually expires
+const refreshMarginMs = (parseInt(EASYECOM_TOKEN_REFRESH_MARGIN_SECONDS) || 300) * 1000;
+// Used when the JWT carries no exp claim
+const FALLBACK_TOKEN_TTL_MS = 60 * 60 * 1000;
+
+// In-memory cache keyed by location_key: { token, expires_at }
+const tokenCache = new Map();
+// Logins in flight, so concurrent callers share a single auth request
+const pendingLogins = new Map();
+
+// Reads the exp claim from a JWT without verifying it (we only need the expiry)
+const decodeJwtExpiry = (jwt) => {
+  try {
+    const payload = JSON.parse(Buffer.from(jwt.split('.')[1], 'base64url').toString('utf8'));
+    return payload.exp ? new Date(payload.exp * 1000) : null;
+  } catch (error) {
+    console.warn("⚠️ Could not decode easyEcom JWT expiry:", error.message);
+    return null;
+  }
+};
+
+const isUsable = (entry) => entry && entry.token && entry.expires_at.getTime() - refreshMarginMs > Date.now();
+
+// Logs in to the easyEcom authentication endpoint and returns a fresh token entry
+const login = async (locationKey) => {
+  console.log(`\n[STEP 1] ➡️ Attempting to get new access token for location ${locationKey}...`);
+  try {
+    const authPayload = {
+      email: EASYECOM_EMAIL,
+      password: EASYECOM_PASSWORD,
+      location_key: locationKey,
+    };
+    console.log("[STEP 1] 📋 Sending auth payload:", { ...authPayload, password: '***' });
+
+    const response = await axios.post(`${EASYECOM_API_URL}/access/token`, authPayload, {
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': EASYECOM_API_KEY,
+      },
+    });
+
+    console.log("[STEP 1] ✅ Received response from auth server.");
+    const accessToken = response.data?.data?.token?.jwt_token;
+
+    if (!accessToken) {
+      throw new Error("Token not found in API response.");
+    }
+
+    const expiresAt = decodeJwtExpiry(accessToken) || new Date(Date.now() + FALLBACK_TOKEN_TTL_MS);
+    console.log(`[STEP 1] ✨ Successfully extracted access token (expires ${expiresAt.toISOString()}).`);
+    return { token: accessToken, expires_at: expiresAt };
+  } catch (error) {
+    console.error("❌ [STEP 1] ERROR fetching access token:", error.response ? error.response.data : error.message);
+    throw new Error("Could not authenticate with easyEcom. Check credentials and previous logs.");
+  }
+};
+
+const loadStoredToken = async (locationKey) => {
+  if (!db) return null;
+  const stored = await db.collection('easyecom_tokens').findOne({ location_key: locationKey });
+  return stored ? { token: stored.token, expires_at: stored.expires_at } : null;
+};
+
+const storeToken = async (locationKey, entry) => {
+  if (!db) return;
+  await db.collection('easyecom_tokens').updateOne(
+    { location_key: locationKey },
+    { $set: { token: entry.token, expires_at: entry.expires_at, refreshed_at: new Date() } },
+    { upsert: true }
+  );
+};
+
+// Returns a cached access token, logging in again only when it is about to expire.
+// Pass { forceRefresh: true } to discard the cached token (e.g. after a 401).
+const getAccessToken = async ({ locationKey = defaultLocationKey, forceRefresh = false } = {}) => {
+  if (!forceRefresh) {
+    const cached = tokenCache.get(locationKey);
+    if (isUsable(cached)) {
+      return cached.token;
+    }
+
+    const stored = await loadStoredToken(locationKey);
+    if (isUsable(stored)) {
+      console.log("[STEP 1] ♻️ Reusing access token stored in MongoDB.");
+      tokenCache.set(locationKey, stored);
+      return stored.token;
+    }
+  }
+
+  if (!pendingLogins.has(locationKey)) {
+    const loginPromise = login(locationKey)
+      .then(async (entry) => {
+        tokenCache.set(locationKey, entry);
+        await storeToken(locationKey, entry);
+        return entry.token;
+      })
+      .finally(() => pendingLogins.delete(locationKey));
+    pendingLogins.set(locationKey, loginPromise);
+  }
+
+  return pendingLogins.get(locationKey);
+};
+
+// Sends an authenticated request to easyEcom. `url` is relative to EASYECOM_API_URL.
+// A 401 response forces a token refresh and the request is retried once.
+const easyEcomRequest = async ({ locationKey = defaultLocationKey, headers = {}, url, ...config }) => {
+  const send = async (token) => axios({
+    ...config,
+    url: `${EASYECOM_API_URL}${url}`,
+    headers: {
+      ...headers,
+      'x-api-key': EASYECOM_API_KEY,
+      'Authorization': `Bearer ${token}`,
+    },
+  });
+
+  const token = await getAccessToken({ locationKey });
+  try {
+    return await send(token);
+  } catch (error) {
+    if (error.response?.status !== 401) {
+      throw error;
+    }
+    console.warn(`⚠️ easyEcom returned 401 for ${url}, refreshing token and retrying once...`);
+    const freshToken = await getAccessToken({ locationKey, forceRefresh: true });
+    return send(freshToken);
+  }
+};
+
+module.exports = {
+  getAccessToken,
+  easyEcomRequest,
+  init: (globalDb) => {
+    db = globalDb;
+  },
+};
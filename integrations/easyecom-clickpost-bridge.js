@@ -0,0 +1,401 @@
+// integrations/easyecom-clickpost-bridge.js
+// Creates ClickPost shipments for easyEcom suborders that reach a "ready to ship" status and writes
+// the waybill back onto the suborder (suborders[].clickpost_waybill).
+// Each suborder is claimed by inserting its clickpost_orders document first; a unique index on the
+// easyEcom order/suborder pair means a suborder can never get a second shipment, even when two runs overlap.
+// Runs refuse to start until that index exists. A retry, or a run taking over a claim whose run died,
+// first asks ClickPost for the suborder's reference_number, since an earlier create may have gone through.
+const { buildClickPostOrderPayload, createClickPostOrder, findClickPostOrder } = require('./clickpost-client');
+const { ensureUniqueIndex } = require('../lib/unique-index');
+
+let db; // Global DB from server.js
+let shipmentIndex; // Resolves once the unique order/suborder index exists
+
+const {
+  EASYECOM_READY_TO_SHIP_STATUSES,
+  CLICKPOST_BRIDGE_BATCH_SIZE,
+  CLICKPOST_BRIDGE_MAX_ATTEMPTS,
+  CLICKPOST_BRIDGE_CLAIM_TIMEOUT_MINUTES,
+  CLICKPOST_PICKUP_NAME,
+  CLICKPOST_PICKUP_PHONE,
+  CLICKPOST_PICKUP_ADDRESS,
+  CLICKPOST_PICKUP_PINCODE,
+  CLICKPOST_PICKUP_CITY,
+  CLICKPOST_PICKUP_STATE,
+} = process.env;
+
+const READY_TO_SHIP_STATUSES = (EASYECOM_READY_TO_SHIP_STATUSES || 'Ready to dispatch')
+  .split(',')
+  .map(status => status.trim())
+  .filter(Boolean);
+const batchSize = parseInt(CLICKPOST_BRIDGE_BATCH_SIZE) || 50;
+// Failed shipments are retried on later runs until they have been attempted this many times
+const maxAttempts = parseInt(CLICKPOST_BRIDGE_MAX_ATTEMPTS) || 3;
+// A claim still 'creating' after this long belongs to a run that died, and the next run takes it over
+const claimTimeoutMs = (parseFloat(CLICKPOST_BRIDGE_CLAIM_TIMEOUT_MINUTES) || 10) * 60 * 1000;
+
+const SOURCE = 'easyecom-bridge';
+const DUPLICATE_KEY_ERROR = 11000;
+
+const joinAddress = (...parts) => parts.filter(part => part && String(part).trim()).join(', ');
+
+// Pickup comes from the easyEcom order's warehouse fields, or the configured default warehouse
+const mapPickupInfo = (order) => (order.pickup_address
+  ? {
+    name: order.pickup_name || order.company_name || CLICKPOST_PICKUP_NAME,
+    phone: order.pickup_phone || order.pickup_contact || CLICKPOST_PICKUP_PHONE,
+    address: joinAddress(order.pickup_address),
+    pincode: order.pickup_pin_code,
+    city: order.pickup_city,
+    state: order.pickup_state,
+    country: order.pickup_country,
+  }
+  : {
+    name: CLICKPOST_PICKUP_NAME,
+    phone: CLICKPOST_PICKUP_PHONE,
+    address: CLICKPOST_PICKUP_ADDRESS,
+    pincode: CLICKPOST_PICKUP_PINCODE,
+    city: CLICKPOST_PICKUP_CITY,
+    state: CLICKPOST_PICKUP_STATE,
+  });
+
+// Drop comes from the pulled order, falling back to the shipping address of a /push-data createOrder payload
+const mapDropInfo = (order) => {
+  const shipping = order.create_order_payload?.customer?.[0]?.shipping || {};
+  return {
+    name: order.shipping_name || order.customer_name || shipping.name,
+    phone: order.contact_num || shipping.contact,
+    address: joinAddress(order.address_line_1, order.address_line_2) || joinAddress(shipping.addressLine1, shipping.addressLine2),
+    pincode: order.pin_code || shipping.postalCode,
+    city: order.city || shipping.city,
+    state: order.state || shipping.state,
+    country: order.country || shipping.country,
+  };
+};
+
+const isCod = (order) => /cod|cash/i.test(String(order.payment_mode || '')) || order.create_order_payload?.paymentMode === 2;
+
+// Maps one suborder into the create-order body /integrations/clickpost/create-order accepts.
+// Returns { orderData } or { errors } listing the fields ClickPost needs but the order lacks.
+const mapSuborderToShipment = (order, suborder) => {
+  const quantity = Number(suborder.item_quantity || suborder.quantity || 1);
+  const price = Number(suborder.selling_price || suborder.price || 0);
+  const value = price * quantity;
+
+  const orderData = {
+    reference_number: String(suborder.suborder_num),
+    pickup_info: mapPickupInfo(order),
+    drop_info: mapDropInfo(order),
+    shipment_details: {
+      items: [{ sku: suborder.sku, description: suborder.productName || suborder.sku, quantity, price }],
+      weight: Number(suborder.weight || order.package_weight || order.total_weight || 0),
+      order_type: isCod(order) ? 'COD' : 'PREPAID',
+      cod_amount: isCod(order) ? value : 0,
+      declared_value: value,
+    },
+  };
+
+  const errors = [];
+  for (const section of ['pickup_info', 'drop_info']) {
+    for (const field of ['name', 'phone', 'address', 'pincode']) {
+      if (!orderData[section][field]) {
+        errors.push(`${section}.${field} is missing`);
+      }
+    }
+  }
+  if (!suborder.sku) {
+    errors.push('suborder sku is missing');
+  }
+
+  return errors.length > 0 ? { errors } : { orderData };
+};
+
+const shipmentKey = (order, suborder) => ({
+  'easyecom.order_id': order.order_id,
+  'easyecom.suborder_num': suborder.suborder_num,
+});
+
+// Copies the waybill onto the suborder so easyecom_orders shows which shipment it went out on
+const writeBackWaybill = async (order, suborder, waybill) => {
+  await db.collection('easyecom_orders').updateOne(
+    { order_id: order.order_id, 'suborders.suborder_num': suborder.suborder_num },
+    { $set: { 'suborders.$.clickpost_waybill': waybill, 'suborders.$.clickpost_synced_at': new Date() } }
+  );
+};
+
+// Claims a suborder for shipment creation. Returns { claimed: true, shipment } when this run owns it
+// (a new claim, a failed shipment to retry or a stale claim to take over), otherwise
+// { claimed: false, existing } with the shipment that already exists for the suborder.
+const claimSuborder = async (order, suborder) => {
+  const collection = db.collection('clickpost_orders');
+  const now = new Date();
+
+  try {
+    const shipment = {
+      source: SOURCE,
+      easyecom: {
+        order_id: order.order_id,
+        suborder_num: suborder.suborder_num,
+        reference_code: order.reference_code || null,
+        location_key: order.location_key || null,
+      },
+      bridge_status: 'creating',
+      status: 'Pending',
+      attempts: 1,
+      claimed_at: now,
+      created_at: now,
+      updated_at: now,
+    };
+    const { insertedId } = await collection.insertOne(shipment);
+    return { claimed: true, shipment: { ...shipment, _id: insertedId } };
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY_ERROR) {
+      throw error;
+    }
+  }
+
+  const existing = await collection.findOne({ source: SOURCE, ...shipmentKey(order, suborder) });
+  if (existing?.bridge_status === 'failed' && existing.attempts < maxAttempts) {
+    // Only one run can move a failed shipment back to creating
+    const retried = await collection.findOneAndUpdate(
+      { _id: existing._id, bridge_status: 'failed', attempts: existing.attempts },
+      { $set: { bridge_status: 'creating', claimed_at: now, updated_at: now }, $inc: { attempts: 1 } },
+      { returnDocument: 'after' }
+    );
+    if (retried) {
+      return { claimed: true, shipment: retried };
+    }
+  }
+  if (existing?.bridge_status === 'creating' && now - new Date(existing.claimed_at) > claimTimeoutMs) {
+    // claimed_at in the filter lets only one run take the stale claim over
+    const takenOver = await collection.findOneAndUpdate(
+      { _id: existing._id, bridge_status: 'creating', claimed_at: existing.claimed_at },
+      { $set: { claimed_at: now, updated_at: now, taken_over_at: now }, $inc: { attempts: 1 } },
+      { returnDocument: 'after' }
+    );
+    if (takenOver) {
+      console.warn(`⚠️ [BRIDGE] Taking over suborder ${suborder.suborder_num}, claimed at ${new Date(existing.claimed_at).toISOString()} and never finished`);
+      return { claimed: true, shipment: takenOver };
+    }
+  }
+  return { claimed: false, existing };
+};
+
+// After the last attempt the suborder is flagged so later scans stop picking it up
+const markFailed = async (shipment, order, suborder, error) => {
+  await db.collection('clickpost_orders').updateOne(
+    { _id: shipment._id },
+    { $set: { bridge_status: 'failed', last_error: error, failed_at: new Date(), updated_at: new Date() } }
+  );
+  if (shipment.attempts >= maxAttempts) {
+    await db.collection('easyecom_orders').updateOne(
+      { order_id: order.order_id, 'suborders.suborder_num': suborder.suborder_num },
+      { $set: { 'suborders.$.clickpost_bridge_gave_up': true } }
+    );
+    console.warn(`⚠️ [BRIDGE] Giving up on suborder ${suborder.suborder_num} after ${shipment.attempts} attempts: ${error}`);
+  }
+};
+
+// Creates the shipment for one suborder, or explains why it did not
+const processSuborder = async (order, suborder) => {
+  const result = { order_id: order.order_id, suborder_num: suborder.suborder_num };
+
+  const { claimed, shipment, existing } = await claimSuborder(order, suborder);
+  if (!claimed) {
+    if (existing?.bridge_status === 'created') {
+      // The shipment exists but the waybill never reached the suborder (or a pull overwrote it)
+      await writeBackWaybill(order, suborder, existing.waybill);
+      return { ...result, action: 'already_created', waybill: existing.waybill };
+    }
+    return { ...result, action: existing?.bridge_status === 'failed' ? 'failed_max_attempts' : 'in_progress', attempts: existing?.attempts };
+  }
+
+  const { orderData, errors } = mapSuborderToShipment(order, suborder);
+  if (errors) {
+    const error = `Cannot build ClickPost shipment: ${errors.join(', ')}`;
+    await markFailed(shipment, order, suborder, error);
+    return { ...result, action: 'failed', error };
+  }
+
+  const clickpostPayload = buildClickPostOrderPayload(orderData);
+
+  // An earlier attempt may have created the shipment before timing out or dying
+  if (shipment.attempts > 1) {
+    let found;
+    try {
+      found = await findClickPostOrder(clickpostPayload.reference_number);
+    } catch (error) {
+      const errorData = error.response ? error.response.data : error.message;
+      const message = `Could not check ClickPost for an existing shipment, not creating another: ${typeof errorData === 'string' ? errorData : JSON.stringify(errorData)}`;
+      await markFailed(shipment, order, suborder, message);
+      return { ...result, action: 'failed', error: message };
+    }
+    if (found) {
+      console.log(`[BRIDGE] 🔁 Suborder ${suborder.suborder_num} already has ClickPost waybill ${found.waybill} from an earlier attempt`);
+      await recordCreated(shipment, order, suborder, clickpostPayload, { result: found, found_by_reference: true }, found.waybill);
+      return { ...result, action: 'created', waybill: found.waybill, recovered: true };
+    }
+  }
+
+  let clickpostResponse;
+  try {
+    clickpostResponse = await createClickPostOrder(clickpostPayload);
+  } catch (error) {
+    const errorData = error.response ? error.response.data : error.message;
+    await markFailed(shipment, order, suborder, typeof errorData === 'string' ? errorData : JSON.stringify(errorData));
+    return { ...result, action: 'failed', error: errorData };
+  }
+
+  const waybill = clickpostResponse?.result?.waybill;
+  if (!waybill) {
+    const error = clickpostResponse?.meta?.message || 'ClickPost response did not include a waybill';
+    await db.collection('clickpost_orders').updateOne({ _id: shipment._id }, { $set: { clickpost_response: clickpostResponse } });
+    await markFailed(shipment, order, suborder, error);
+    return { ...result, action: 'failed', error };
+  }
+
+  await recordCreated(shipment, order, suborder, clickpostPayload, clickpostResponse, waybill);
+  console.log(`[BRIDGE] ✅ Suborder ${suborder.suborder_num} shipped with ClickPost waybill ${waybill}`);
+  return { ...result, action: 'created', waybill };
+};
+
+// Stores the created shipment and writes its waybill back onto the suborder
+const recordCreated = async (shipment, order, suborder, clickpostPayload, clickpostResponse, waybill) => {
+  const now = new Date();
+  await db.collection('clickpost_orders').updateOne(
+    { _id: shipment._id },
+    {
+      $set: {
+        bridge_status: 'created',
+        reference_number: clickpostPayload.reference_number,
+        waybill,
+        status: 'Created',
+        pickup_info: clickpostPayload.pickup_info,
+        drop_info: clickpostPayload.drop_info,
+        shipment_details: clickpostPayload.shipment_details,
+        clickpost_response: clickpostResponse,
+        last_error: null,
+        updated_at: now,
+      },
+      $push: {
+        status_history: {
+          status: 'Created',
+          timestamp: now,
+          source: SOURCE,
+          description: `Created from easyEcom suborder ${suborder.suborder_num}`,
+        },
+      },
+    }
+  );
+  await writeBackWaybill(order, suborder, waybill);
+};
+
+const isReady = (suborder) => READY_TO_SHIP_STATUSES.includes(suborder.order_status)
+  && !suborder.clickpost_waybill
+  && !suborder.clickpost_bridge_gave_up;
+
+// Finds suborders in a ready-to-ship status without a waybill and creates their ClickPost shipments.
+// { dryRun } returns the payloads without claiming anything; { locationKey } limits it to one location.
+const createShipmentsForReadySuborders = async ({ limit = batchSize, dryRun = false, locationKey } = {}) => {
+  console.log("\n\n--- createShipmentsForReadySuborders Function Called ---");
+  try {
+    const filter = {
+      suborders: {
+        $elemMatch: {
+          order_status: { $in: READY_TO_SHIP_STATUSES },
+          clickpost_waybill: { $exists: false },
+          clickpost_bridge_gave_up: { $ne: true },
+        },
+      },
+    };
+    if (locationKey) {
+      filter.location_key = locationKey;
+    }
+
+    const orders = await db.collection('easyecom_orders').find(filter).sort({ last_updated: 1 }).limit(limit).toArray();
+    const candidates = orders.flatMap(order => (order.suborders || []).filter(isReady).map(suborder => ({ order, suborder })));
+
+    console.log(`[BRIDGE] 🔍 ${candidates.length} ready-to-ship suborders without a waybill in ${orders.length} orders`);
+
+    if (dryRun) {
+      return {
+        success: true,
+        dry_run: true,
+        message: `Dry run: ${candidates.length} suborders are ready to ship`,
+        ready_to_ship_statuses: READY_TO_SHIP_STATUSES,
+        shipments: candidates.map(({ order, suborder }) => {
+          const { orderData, errors } = mapSuborderToShipment(order, suborder);
+          return {
+            order_id: order.order_id,
+            suborder_num: suborder.suborder_num,
+            ...(errors ? { errors } : { payload: buildClickPostOrderPayload(orderData) }),
+          };
+        }),
+      };
+    }
+
+    // Without the unique index two overlapping runs could both create a shipment
+    try {
+      await shipmentIndex;
+    } catch (error) {
+      return { success: false, error: error.message, message: "The clickpost_orders bridge index is missing, so no shipments were created" };
+    }
+
+    const details = [];
+    for (const { order, suborder } of candidates) {
+      try {
+        details.push(await processSuborder(order, suborder));
+      } catch (error) {
+        console.error(`❌ [BRIDGE] Suborder ${suborder.suborder_num} failed:`, error.message);
+        details.push({ order_id: order.order_id, suborder_num: suborder.suborder_num, action: 'failed', error: error.message });
+      }
+    }
+
+    const count = (action) => details.filter(detail => detail.action === action).length;
+    const summary = {
+      ready: candidates.length,
+      created: count('created'),
+      already_created: count('already_created'),
+      in_progress: count('in_progress'),
+      failed: count('failed'),
+      // Out of attempts; see GET /clickpost/shipments?bridge_status=failed
+      gave_up: count('failed_max_attempts'),
+    };
+
+    console.log(`[BRIDGE] 📊 ${summary.created} created, ${summary.already_created} already created, ${summary.failed} failed`);
+
+    return {
+      success: summary.failed === 0,
+      message: `Created ${summary.created} ClickPost shipments for ${candidates.length} ready-to-ship suborders`,
+      summary,
+      details,
+    };
+  } catch (error) {
+    console.error("❌ ERROR in createShipmentsForReadySuborders:", error.message);
+    return { success: false, error: error.message, message: "Failed to create ClickPost shipments" };
+  }
+};
+
+// Shipments the bridge has created or attempted (?bridge_status=created|failed|creating)
+const listBridgeShipments = async ({ bridgeStatus, limit = 100 } = {}) => {
+  const filter = { source: SOURCE };
+  if (bridgeStatus) {
+    filter.bridge_status = bridgeStatus;
+  }
+  return db.collection('clickpost_orders').find(filter).sort({ updated_at: -1 }).limit(limit).toArray();
+};
+
+module.exports = {
+  mapSuborderToShipment,
+  createShipmentsForReadySuborders,
+  listBridgeShipments,
+  init: (globalDb) => {
+    db = globalDb;
+    shipmentIndex = ensureUniqueIndex(
+      db.collection('clickpost_orders'),
+      { 'easyecom.order_id': 1, 'easyecom.suborder_num': 1 },
+      { partialFilterExpression: { source: SOURCE } }
+    );
+    shipmentIndex.catch(error => console.error("❌ Failed to create clickpost_orders bridge index:", error.message));
+  },
+};
@@ -0,0 +1,240 @@
+// integrations/easyecom-delivery-sync.js
+// Pushes ClickPost delivery statuses (DEL, RTO, NDR, ... see config/clickpost-status-sync.js) back to
+// the easyEcom order the shipment belongs to, so easyEcom does not keep showing it as Shipped.
+// Every attempt is recorded on the clickpost_orders document (easyecom_sync, easyecom_sync_history)
+// and on the easyEcom order (clickpost_delivery, clickpost_sync_history).
+const { easyEcomRequest } = require('./easyecom-auth');
+const { statusMap, actions, trackingStatusPath } = require('../config/clickpost-status-sync');
+
+let db; // Global DB from server.js
+
+const { CLICKPOST_STATUS_SYNC_MAX_ATTEMPTS } = process.env;
+
+// Failed syncs are retried by /easyecom-sync/retry until they have been attempted this many times
+const maxAttempts = parseInt(CLICKPOST_STATUS_SYNC_MAX_ATTEMPTS) || 5;
+// Attempt history kept per document
+const HISTORY_LIMIT = 50;
+
+// The easyEcom order a shipment belongs to: the bridge link when the shipment was created from a
+// suborder, otherwise an order carrying the waybill or the shipment's reference number
+const findLinkedOrder = async (shipment) => {
+  const collection = db.collection('easyecom_orders');
+  if (shipment.easyecom?.order_id) {
+    return collection.findOne({ order_id: shipment.easyecom.order_id });
+  }
+
+  const candidates = [
+    { 'suborders.clickpost_waybill': shipment.waybill },
+    { awb_number: shipment.waybill },
+    { 'suborders.awb_number': shipment.waybill },
+  ];
+  if (shipment.reference_number) {
+    candidates.push({ reference_code: String(shipment.reference_number) });
+  }
+  return collection.findOne({ $or: candidates });
+};
+
+const describeError = (error) => {
+  const errorData = error.response ? error.response.data : error.message;
+  return typeof errorData === 'string' ? errorData : JSON.stringify(errorData);
+};
+
+// Sends one tracking status to easyEcom. Returns { success, response } or { success: false, error }.
+const pushTrackingStatus = async (order, shipment, action, statusUpdate) => {
+  const data = {
+    awb: shipment.waybill,
+    current_shipment_status_id: action.shipment_status_id,
+    remarks: statusUpdate.description || action.label,
+  };
+  if (action.name === 'mark_delivered') {
+    data.delivery_date = new Date(statusUpdate.timestamp || Date.now()).toISOString();
+  }
+
+  try {
+    const response = await easyEcomRequest({
+      locationKey: order.location_key,
+      method: 'post',
+      url: trackingStatusPath,
+      data,
+      timeout: 15000,
+    });
+    // easyEcom reports some rejections with HTTP 200 and an error code in the body
+    if (response.data?.code && Number(response.data.code) >= 400) {
+      return { success: false, error: response.data.message || JSON.stringify(response.data) };
+    }
+    return { success: true, response: response.data };
+  } catch (error) {
+    return { success: false, error: describeError(error) };
+  }
+};
+
+const recordAttempt = async (shipment, order, attempt) => {
+  await db.collection('clickpost_orders').updateOne(
+    { _id: shipment._id },
+    {
+      $set: {
+        easyecom_sync: {
+          status: attempt.status,
+          status_code: attempt.status_code,
+          action: attempt.action,
+          // The event being synced, so a retry re-sends it rather than whatever arrived since
+          description: attempt.description,
+          event_timestamp: attempt.event_timestamp,
+          order_id: order?.order_id ?? null,
+          attempts: attempt.attempt,
+          last_attempt_at: attempt.attempted_at,
+          last_error: attempt.error || null,
+          ...(attempt.status === 'synced' ? { synced_at: attempt.attempted_at } : {}),
+        },
+      },
+      $push: { easyecom_sync_history: { $each: [attempt], $slice: -HISTORY_LIMIT } },
+    }
+  );
+
+  if (!order) {
+    return;
+  }
+  await db.collection('easyecom_orders').updateOne(
+    { _id: order._id },
+    {
+      $set: {
+        clickpost_delivery: {
+          waybill: shipment.waybill,
+          suborder_num: shipment.easyecom?.suborder_num ?? null,
+          status_code: attempt.status_code,
+          action: attempt.action,
+          sync_status: attempt.status,
+          last_attempt_at: attempt.attempted_at,
+          last_error: attempt.error || null,
+        },
+      },
+      $push: {
+        clickpost_sync_history: {
+          $each: [{ ...attempt, waybill: shipment.waybill, suborder_num: shipment.easyecom?.suborder_num ?? null }],
+          $slice: -HISTORY_LIMIT,
+        },
+      },
+    }
+  );
+};
+
+// Propagates a ClickPost status update to easyEcom when its status code is mapped.
+// statusUpdate is { status_code, description, timestamp }. Never throws; returns
+// { status: 'not_mapped' | 'not_found' | 'no_linked_order' | 'already_synced' | 'synced' | 'failed', ... }.
+const syncShipmentStatus = async (waybill, statusUpdate) => {
+  const statusCode = String(statusUpdate.status_code || '').toUpperCase();
+  const action = actions[statusMap[statusCode]];
+  if (!action) {
+    return { status: 'not_mapped', status_code: statusCode };
+  }
+
+  try {
+    const shipment = await db.collection('clickpost_orders').findOne({ waybill });
+    if (!shipment) {
+      return { status: 'not_found', status_code: statusCode };
+    }
+
+    const previous = shipment.easyecom_sync;
+    if (previous?.status === 'synced' && previous.status_code === statusCode) {
+      return { status: 'already_synced', status_code: statusCode, action: action.name, order_id: previous.order_id };
+    }
+
+    const attempt = {
+      status_code: statusCode,
+      action: action.name,
+      shipment_status_id: action.shipment_status_id,
+      description: statusUpdate.description || null,
+      event_timestamp: statusUpdate.timestamp || null,
+      attempt: previous?.status_code === statusCode ? (previous.attempts || 0) + 1 : 1,
+      attempted_at: new Date(),
+    };
+
+    const order = await findLinkedOrder(shipment);
+    if (!order) {
+      console.warn(`⚠️ [DELIVERY SYNC] No easyEcom order linked to waybill ${waybill}; ${statusCode} stays in ClickPost`);
+      await recordAttempt(shipment, null, { ...attempt, status: 'no_linked_order', error: 'No linked easyEcom order' });
+      return { status: 'no_linked_order', status_code: statusCode, action: action.name };
+    }
+
+    const result = await pushTrackingStatus(order, shipment, action, statusUpdate);
+    await recordAttempt(shipment, order, {
+      ...attempt,
+      status: result.success ? 'synced' : 'failed',
+      error: result.error,
+      easyecom_response: result.response,
+    });
+
+    if (result.success) {
+      console.log(`[DELIVERY SYNC] ✅ Waybill ${waybill} ${statusCode} → easyEcom order ${order.order_id} (${action.label})`);
+      return { status: 'synced', status_code: statusCode, action: action.name, order_id: order.order_id };
+    }
+    console.error(`❌ [DELIVERY SYNC] Waybill ${waybill} ${statusCode} → easyEcom order ${order.order_id} failed (attempt ${attempt.attempt}):`, result.error);
+    return { status: 'failed', status_code: statusCode, action: action.name, order_id: order.order_id, error: result.error, attempt: attempt.attempt };
+  } catch (error) {
+    console.error(`❌ [DELIVERY SYNC] Waybill ${waybill} ${statusCode}:`, error.message);
+    return { status: 'failed', status_code: statusCode, action: action.name, error: error.message };
+  }
+};
+
+// Re-sends failed syncs that still have attempts left, with the description and time of the event that
+// failed. A sync whose shipment has moved on to another status since (e.g. a failed NDR followed by OFD)
+// is marked superseded instead, so easyEcom is not sent a status the shipment no longer has.
+const retryFailedStatusSyncs = async ({ limit = 50 } = {}) => {
+  console.log("\n\n--- retryFailedStatusSyncs Function Called ---");
+  try {
+    const shipments = await db.collection('clickpost_orders')
+      .find({ 'easyecom_sync.status': 'failed', 'easyecom_sync.attempts': { $lt: maxAttempts } })
+      .sort({ 'easyecom_sync.last_attempt_at': 1 })
+      .limit(limit)
+      .toArray();
+
+    const details = [];
+    for (const shipment of shipments) {
+      const sync = shipment.easyecom_sync;
+      if (shipment.status !== sync.status_code) {
+        await db.collection('clickpost_orders').updateOne(
+          { _id: shipment._id, 'easyecom_sync.status': 'failed', 'easyecom_sync.status_code': sync.status_code },
+          { $set: { 'easyecom_sync.status': 'superseded', 'easyecom_sync.superseded_by': shipment.status ?? null, 'easyecom_sync.superseded_at': new Date() } }
+        );
+        console.log(`[DELIVERY SYNC] ⏭️ Waybill ${shipment.waybill} is now ${shipment.status}; not retrying its failed ${sync.status_code} sync`);
+        details.push({ waybill: shipment.waybill, status: 'superseded', status_code: sync.status_code, current_status: shipment.status ?? null });
+        continue;
+      }
+
+      // Syncs recorded before the event was kept on easyecom_sync fall back to the shipment's latest update
+      const result = await syncShipmentStatus(shipment.waybill, {
+        status_code: sync.status_code,
+        description: sync.description ?? shipment.last_status_update?.description,
+        timestamp: sync.event_timestamp ?? shipment.last_status_update?.timestamp,
+      });
+      details.push({ waybill: shipment.waybill, ...result });
+    }
+
+    const synced = details.filter(detail => detail.status === 'synced').length;
+    const superseded = details.filter(detail => detail.status === 'superseded').length;
+    return {
+      success: true,
+      message: `Retried ${details.length - superseded} failed easyEcom status syncs, ${synced} synced, ${superseded} superseded`,
+      summary: {
+        retried: details.length - superseded,
+        synced,
+        failed: details.filter(detail => detail.status === 'failed').length,
+        superseded,
+      },
+      details,
+    };
+  } catch (error) {
+    console.error("❌ ERROR in retryFailedStatusSyncs:", error.message);
+    return { success: false, error: error.message, message: "Failed to retry easyEcom status syncs" };
+  }
+};
+
+module.exports = {
+  syncShipmentStatus,
+  retryFailedStatusSyncs,
+  init: (globalDb) => {
+    db = globalDb;
+    db.collection('clickpost_orders').createIndex({ 'easyecom_sync.status': 1, 'easyecom_sync.last_attempt_at': 1 }, { sparse: true })
+      .catch(error => console.error("❌ Failed to create clickpost_orders sync index:", error.message));
+  },
+};
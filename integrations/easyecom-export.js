@@ -0,0 +1,114 @@
+// integrations/easyecom-export.js
+// Column sets and cursors for the CSV exports of easyecom_orders (one row per suborder) and
+// easyecom_inventory. Filters are the same as GET /orders and GET /inventory; rows are streamed
+// by lib/csv.js so an export never holds the whole collection in memory.
+const { resolveColumns, streamCsv, exportFilename } = require('../lib/csv');
+const { buildOrderQuery } = require('./easyecom-order-query');
+
+let db; // Global DB from server.js
+
+// Export rows are { order, suborder }
+const ORDER_COLUMNS = {
+  order_id: { value: ({ order }) => order.order_id },
+  reference_code: { value: ({ order }) => order.reference_code },
+  location_key: { value: ({ order }) => order.location_key },
+  marketplace: { value: ({ order }) => order.marketplace },
+  marketplace_id: { value: ({ order }) => order.marketplace_id },
+  order_date: { value: ({ order }) => order.order_date },
+  order_status: { value: ({ order }) => order.order_status },
+  payment_mode: { value: ({ order }) => order.payment_mode },
+  customer_name: { value: ({ order }) => order.customer_name },
+  contact_num: { value: ({ order }) => order.contact_num },
+  email: { value: ({ order }) => order.email },
+  city: { value: ({ order }) => order.city },
+  state: { value: ({ order }) => order.state },
+  pin_code: { value: ({ order }) => order.pin_code },
+  total_amount: { value: ({ order }) => order.total_amount },
+  last_updated: { value: ({ order }) => order.last_updated },
+  suborder_num: { value: ({ suborder }) => suborder.suborder_num },
+  sku: { value: ({ suborder }) => suborder.sku },
+  product_name: { value: ({ suborder }) => suborder.productName },
+  quantity: { value: ({ suborder }) => suborder.item_quantity },
+  selling_price: { value: ({ suborder }) => suborder.selling_price },
+  suborder_status: { value: ({ suborder }) => suborder.order_status },
+  clickpost_waybill: { value: ({ suborder }) => suborder.clickpost_waybill },
+};
+const DEFAULT_ORDER_COLUMNS = [
+  'order_id', 'reference_code', 'location_key', 'marketplace', 'order_date', 'order_status',
+  'suborder_num', 'sku', 'product_name', 'quantity', 'selling_price', 'suborder_status', 'clickpost_waybill',
+];
+
+const INVENTORY_COLUMNS = {
+  sku: {},
+  location_key: {},
+  product_name: {},
+  quantity: {},
+  available_quantity: {},
+  reserved_quantity: {},
+  virtual_quantity: {},
+  damaged_quantity: {},
+  snapshot_version: {},
+  processed_at: {},
+};
+const DEFAULT_INVENTORY_COLUMNS = Object.keys(INVENTORY_COLUMNS);
+
+// Prepares an orders export from the GET /orders query params plus ?columns=.
+// Returns { errors } for invalid params, otherwise { stream(res, format) }.
+const prepareOrderExport = (params = {}) => {
+  // Pagination params of the list endpoint do not apply to an export
+  const { limit, cursor, fields, ...filters } = params;
+  const query = buildOrderQuery(filters);
+  const { columns, error } = resolveColumns(ORDER_COLUMNS, params.columns, DEFAULT_ORDER_COLUMNS);
+  const errors = [...(query.errors || []), ...(error ? [{ field: 'columns', message: error }] : [])];
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  // With a sku or suborder_status filter only the matching suborders become rows
+  const skus = filters.sku ? String(filters.sku).split(',').map(value => value.trim()) : null;
+  const statuses = filters.suborder_status ? String(filters.suborder_status).split(',').map(value => value.trim()) : null;
+  const rowsFor = (order) => {
+    const suborders = (order.suborders || []).filter(suborder => (!skus || skus.includes(String(suborder.sku)))
+      && (!statuses || statuses.includes(suborder.order_status)));
+    if (suborders.length === 0) {
+      return skus || statuses ? [] : [{ order, suborder: {} }];
+    }
+    return suborders.map(suborder => ({ order, suborder }));
+  };
+
+  return {
+    stream: (res, format) => streamCsv(
+      res,
+      db.collection('easyecom_orders').find(query.filter, { projection: { original_data: 0, status_history: 0 } }).sort(query.sort),
+      { columns, format, filename: exportFilename('easyecom-orders', format), rowsFor }
+    ),
+  };
+};
+
+// Prepares an inventory export (?location_key=&sku=&columns=). Returns { errors } or { stream(res, format) }.
+const prepareInventoryExport = (params = {}) => {
+  const { columns, error } = resolveColumns(INVENTORY_COLUMNS, params.columns, DEFAULT_INVENTORY_COLUMNS);
+  if (error) {
+    return { errors: [{ field: 'columns', message: error }] };
+  }
+
+  const filter = {};
+  if (params.location_key) filter.location_key = params.location_key;
+  if (params.sku) filter.sku = params.sku;
+
+  return {
+    stream: (res, format) => streamCsv(
+      res,
+      db.collection('easyecom_inventory').find(filter, { projection: { original_data: 0 } }).sort({ sku: 1, location_key: 1 }),
+      { columns, format, filename: exportFilename('easyecom-inventory', format) }
+    ),
+  };
+};
+
+module.exports = {
+  prepareOrderExport,
+  prepareInventoryExport,
+  init: (globalDb) => {
+    db = globalDb;
+  },
+};
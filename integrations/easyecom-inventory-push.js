@@ -0,0 +1,174 @@
+// integrations/easyecom-inventory-push.js
+// Batched bulkInventoryUpdate pushes with a per-SKU outcome in inventory_push_log.
+// The last quantity easyEcom acknowledged for each SKU and location is kept in inventory_push_state,
+// which is what delta pushes compare against. A push always targets a single location.
+const { ObjectId } = require('mongodb');
+const { easyEcomRequest } = require('./easyecom-auth');
+const { defaultLocationKey } = require('../config/easyecom-locations');
+
+let db; // Global DB from server.js
+
+const { EASYECOM_INVENTORY_PUSH_BATCH_SIZE } = process.env;
+
+// easyEcom rejects very large bulkInventoryUpdate payloads; keep each call well inside that
+const MAX_BATCH_SIZE = 500;
+const batchSize = Math.min(parseInt(EASYECOM_INVENTORY_PUSH_BATCH_SIZE) || 100, MAX_BATCH_SIZE);
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+// Splits SKUs into the bulkInventoryUpdate batches a push would send
+const planBatches = (skus) => chunk(skus, batchSize);
+
+// Works out which SKUs of a batch easyEcom did not accept.
+// A non-200 `code` fails the whole batch; per-SKU entries with an error/failed status fail just those SKUs.
+const findRejectedSkus = (responseData, batch) => {
+  const rejected = new Map();
+
+  if (responseData?.code && responseData.code !== 200) {
+    for (const item of batch) {
+      rejected.set(item.sku, responseData.message || `easyEcom returned code ${responseData.code}`);
+    }
+    return rejected;
+  }
+
+  const entries = Array.isArray(responseData?.data) ? responseData.data : [];
+  for (const entry of entries) {
+    const sku = entry?.sku || entry?.Sku;
+    const failed = entry?.success === false || /fail|error/i.test(String(entry?.status || ''));
+    if (sku && failed) {
+      rejected.set(sku, entry.message || entry.error || entry.status);
+    }
+  }
+  return rejected;
+};
+
+// Pushes [{ sku, quantity, cost? }] to one easyEcom location in batches and logs every SKU's outcome.
+// `source` names the route or job that triggered the push.
+const pushInventoryUpdates = async (skus, { source, locationKey = defaultLocationKey }) => {
+  const pushId = new ObjectId();
+  const batches = planBatches(skus);
+  const batchResults = [];
+  const failedSkus = [];
+  let succeededCount = 0;
+
+  console.log(`[PUSH] ➡️ Pushing ${skus.length} SKUs to location ${locationKey} in ${batches.length} batch(es) of up to ${batchSize} (push ${pushId})`);
+
+  for (const [index, batch] of batches.entries()) {
+    const pushedAt = new Date();
+    let responseData = null;
+    let rejected;
+
+    try {
+      const response = await easyEcomRequest({
+        locationKey,
+        method: 'post',
+        url: '/inventory/bulkInventoryUpdate',
+        data: { skus: batch },
+        headers: { 'Content-Type': 'application/json' },
+      });
+      responseData = response.data;
+      rejected = findRejectedSkus(responseData, batch);
+    } catch (error) {
+      const errorData = error.response ? error.response.data : error.message;
+      console.error(`❌ [PUSH] Batch ${index + 1} failed:`, JSON.stringify(errorData, null, 2));
+      responseData = { error: errorData };
+      rejected = new Map(batch.map(item => [item.sku, typeof errorData === 'string' ? errorData : JSON.stringify(errorData)]));
+    }
+
+    const logEntries = batch.map(item => ({
+      push_id: pushId,
+      batch_number: index + 1,
+      source,
+      location_key: locationKey,
+      sku: item.sku,
+      quantity: item.quantity,
+      status: rejected.has(item.sku) ? 'failed' : 'success',
+      error: rejected.get(item.sku) || null,
+      pushed_at: pushedAt,
+    }));
+    await db.collection('inventory_push_log').insertMany(logEntries);
+
+    const acknowledged = batch.filter(item => !rejected.has(item.sku));
+    if (acknowledged.length > 0) {
+      await db.collection('inventory_push_state').bulkWrite(acknowledged.map(item => ({
+        updateOne: {
+          filter: { sku: item.sku, location_key: locationKey },
+          update: { $set: { last_pushed_quantity: item.quantity, last_pushed_at: pushedAt, last_push_id: pushId } },
+          upsert: true,
+        },
+      })), { ordered: false });
+    }
+
+    succeededCount += acknowledged.length;
+    failedSkus.push(...logEntries.filter(entry => entry.status === 'failed').map(entry => ({ sku: entry.sku, quantity: entry.quantity, error: entry.error })));
+    batchResults.push({
+      batch_number: index + 1,
+      size: batch.length,
+      succeeded: acknowledged.length,
+      failed: batch.length - acknowledged.length,
+      easyecom_response: responseData,
+    });
+
+    console.log(`[PUSH] 📦 Batch ${index + 1}/${batches.length}: ${acknowledged.length} ok, ${batch.length - acknowledged.length} failed`);
+  }
+
+  return {
+    push_id: pushId,
+    location_key: locationKey,
+    total: skus.length,
+    succeeded: succeededCount,
+    failed: failedSkus.length,
+    failed_skus: failedSkus,
+    batches: batchResults,
+  };
+};
+
+// Keeps only the items whose quantity differs from the last quantity the location acknowledged
+const selectChangedSkus = async (items, locationKey = defaultLocationKey) => {
+  const skus = items.map(item => item.sku);
+  const states = await db.collection('inventory_push_state').find({ sku: { $in: skus }, location_key: locationKey }).toArray();
+  const acknowledged = new Map(states.map(state => [state.sku, state.last_pushed_quantity]));
+
+  return items.filter(item => acknowledged.get(item.sku) !== item.quantity);
+};
+
+// SKUs of a location whose most recent push attempt failed, with the quantity that was attempted
+const getFailedSkus = async (locationKey = defaultLocationKey) => db.collection('inventory_push_log').aggregate([
+  { $match: { location_key: locationKey } },
+  { $sort: { sku: 1, pushed_at: -1 } },
+  { $group: { _id: '$sku', status: { $first: '$status' }, quantity: { $first: '$quantity' }, error: { $first: '$error' }, pushed_at: { $first: '$pushed_at' } } },
+  { $match: { status: 'failed' } },
+  { $project: { _id: 0, sku: '$_id', quantity: 1, error: 1, pushed_at: 1 } },
+]).toArray();
+
+const getPushLog = async (filter, limit) => db.collection('inventory_push_log')
+  .find(filter)
+  .sort({ pushed_at: -1 })
+  .limit(limit)
+  .toArray();
+
+module.exports = {
+  planBatches,
+  pushInventoryUpdates,
+  selectChangedSkus,
+  getFailedSkus,
+  getPushLog,
+  init: (globalDb) => {
+    db = globalDb;
+    db.collection('inventory_push_log').createIndexes([
+      { key: { location_key: 1, sku: 1, pushed_at: -1 } },
+      { key: { push_id: 1 } },
+    ]).catch(error => console.error("❌ Failed to create inventory_push_log indexes:", error.message));
+    // The state used to be unique per SKU; it is now unique per SKU and location
+    db.collection('inventory_push_state').dropIndex('sku_1')
+      .catch(() => {})
+      .then(() => db.collection('inventory_push_state').createIndex({ sku: 1, location_key: 1 }, { unique: true }))
+      .catch(error => console.error("❌ Failed to create inventory_push_state indexes:", error.message));
+  },
+};
@@ -0,0 +1,343 @@
+// integrations/easyecom-inventory-upload.js
+// Bulk inventory updates from an uploaded CSV (sku,quantity[,cost]).
+// An upload is parsed and checked row by row, previewed against the stock last pulled for the location
+// (easyecom_inventory), and only pushed to bulkInventoryUpdate once it is confirmed. The push safety limits
+// are still checked by the push guard, against the quantities last pushed. The original file, the row issues, the
+// preview and the push outcome stay in inventory_uploads for auditing.
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const { parseCsv } = require('../lib/csv');
+const { pushInventoryUpdates } = require('./easyecom-inventory-push');
+const { guardInventoryPush } = require('./easyecom-push-guard');
+
+let db; // Global DB from server.js
+
+const { INVENTORY_UPLOAD_MAX_ROWS } = process.env;
+
+const UPLOADS_COLLECTION = 'inventory_uploads';
+const maxRows = parseInt(INVENTORY_UPLOAD_MAX_ROWS) || 5000;
+
+// Accepted header names (case-insensitive) for each column
+const HEADER_ALIASES = {
+  sku: ['sku', 'item_sku', 'sku_code'],
+  quantity: ['quantity', 'qty', 'inventory'],
+  cost: ['cost', 'cost_price'],
+};
+
+const findColumn = (headers, column) => headers.findIndex(header => HEADER_ALIASES[column].includes(header));
+
+// Parses the CSV and checks every row. Returns { error } when the file itself is unusable, otherwise
+// { items: [{ line, sku, quantity, cost? }], issues: [{ line, sku, type, message }], total_rows }.
+// Issue types: invalid (bad sku/quantity/cost), duplicate (SKU already on an earlier line).
+// A SKU listed again with a different quantity or cost is dropped entirely, since we cannot tell which line is right.
+const parseInventoryCsv = (text) => {
+  const records = parseCsv(text);
+  if (records.length === 0) {
+    return { error: 'The file is empty' };
+  }
+
+  const [headerRecord, ...rows] = records;
+  const headers = headerRecord.fields.map(header => header.trim().toLowerCase());
+  const columns = {
+    sku: findColumn(headers, 'sku'),
+    quantity: findColumn(headers, 'quantity'),
+    cost: findColumn(headers, 'cost'),
+  };
+  if (columns.sku === -1 || columns.quantity === -1) {
+    return { error: `Line ${headerRecord.line}: header must include a sku and a quantity (or qty) column; found ${headers.join(', ')}` };
+  }
+  if (rows.length === 0) {
+    return { error: 'The file has a header but no rows' };
+  }
+  if (rows.length > maxRows) {
+    return { error: `The file has ${rows.length} rows; the limit is ${maxRows} (INVENTORY_UPLOAD_MAX_ROWS)` };
+  }
+
+  const issues = [];
+  const firstBySku = new Map();
+  const conflictingSkus = new Set();
+
+  for (const { line, fields } of rows) {
+    const sku = (fields[columns.sku] || '').trim();
+    const rawQuantity = (fields[columns.quantity] || '').trim();
+    const rawCost = columns.cost === -1 ? '' : (fields[columns.cost] || '').trim();
+
+    if (!sku) {
+      issues.push({ line, sku: null, type: 'invalid', message: 'Missing sku' });
+      continue;
+    }
+    if (!/^\d+$/.test(rawQuantity)) {
+      issues.push({ line, sku, type: 'invalid', message: `Quantity "${rawQuantity}" is not a whole number of 0 or more` });
+      continue;
+    }
+    if (rawCost !== '' && !(Number(rawCost) >= 0)) {
+      issues.push({ line, sku, type: 'invalid', message: `Cost "${rawCost}" is not a number of 0 or more` });
+      continue;
+    }
+
+    const item = { line, sku, quantity: parseInt(rawQuantity, 10) };
+    if (rawCost !== '') item.cost = Number(rawCost);
+
+    const first = firstBySku.get(sku);
+    if (first) {
+      const conflicting = first.quantity !== item.quantity || first.cost !== item.cost;
+      if (conflicting) conflictingSkus.add(sku);
+      issues.push({
+        line,
+        sku,
+        type: 'duplicate',
+        message: conflicting
+          ? `SKU already on line ${first.line} with different values; ${sku} will not be pushed`
+          : `SKU already on line ${first.line}; this line is ignored`,
+      });
+      continue;
+    }
+    firstBySku.set(sku, item);
+  }
+
+  for (const sku of conflictingSkus) {
+    const first = firstBySku.get(sku);
+    issues.push({ line: first.line, sku, type: 'duplicate', message: `SKU is listed again with different values; ${sku} will not be pushed` });
+    firstBySku.delete(sku);
+  }
+
+  return {
+    items: [...firstBySku.values()],
+    issues: issues.sort((a, b) => a.line - b.line),
+    total_rows: rows.length,
+  };
+};
+
+// SKUs easyEcom knows: in the product master, or in the stock pulled for any location
+const findUnknownSkus = async (skus) => {
+  const [products, inventory] = await Promise.all([
+    db.collection('easyecom_products').distinct('sku', { sku: { $in: skus }, removed_at: null }),
+    db.collection('easyecom_inventory').distinct('sku', { sku: { $in: skus } }),
+  ]);
+  const known = new Set([...products, ...inventory].map(String));
+  return skus.filter(sku => !known.has(sku));
+};
+
+const toPushSkus = (items) => items.map(({ sku, quantity, cost }) => (cost === undefined ? { sku, quantity } : { sku, quantity, cost }));
+
+const issueCounts = (issues) => ({
+  invalid: issues.filter(issue => issue.type === 'invalid').length,
+  duplicate: issues.filter(issue => issue.type === 'duplicate').length,
+  unknown_sku: issues.filter(issue => issue.type === 'unknown_sku').length,
+});
+
+// What each row changes compared with the stock last pulled for the location.
+// current_quantity is null only for SKUs never pulled there.
+const previewAgainstPulledStock = async (items, locationKey) => {
+  const pulled = await db.collection('easyecom_inventory')
+    .find({ location_key: locationKey, sku: { $in: items.map(item => item.sku) } }, { projection: { sku: 1, quantity: 1, processed_at: 1 } })
+    .toArray();
+  const pulledBySku = new Map(pulled.map(item => [item.sku, item]));
+
+  const previewItems = items.map(item => {
+    const stock = pulledBySku.get(item.sku);
+    const currentQuantity = stock ? Number(stock.quantity) || 0 : null;
+    return {
+      sku: item.sku,
+      current_quantity: currentQuantity,
+      pulled_at: stock?.processed_at || null,
+      new_quantity: item.quantity,
+      delta: currentQuantity === null ? null : item.quantity - currentQuantity,
+      sets_to_zero: item.quantity === 0 && currentQuantity !== 0,
+    };
+  });
+
+  return {
+    items: previewItems,
+    summary: {
+      total: previewItems.length,
+      increased: previewItems.filter(item => item.delta > 0).length,
+      decreased: previewItems.filter(item => item.delta < 0).length,
+      unchanged: previewItems.filter(item => item.delta === 0).length,
+      never_pulled: previewItems.filter(item => item.current_quantity === null).length,
+      set_to_zero: previewItems.filter(item => item.sets_to_zero).length,
+    },
+  };
+};
+
+// Stores an uploaded file ({ originalname, buffer }) and previews it for one location.
+// The result carries the upload_id to confirm and, when the changes exceed the push safety
+// limits, the confirmation_token the confirm call needs.
+const createInventoryUpload = async (file, { locationKey, uploadedBy } = {}) => {
+  console.log(`[STEP 1] 📄 Inventory upload "${file.originalname}" (${file.size} bytes) for location ${locationKey}`);
+  const content = file.buffer.toString('utf8');
+  const upload = {
+    _id: new ObjectId(),
+    filename: file.originalname,
+    size: file.size,
+    sha256: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+    content,
+    location_key: locationKey,
+    uploaded_by: uploadedBy || null,
+    uploaded_at: new Date(),
+  };
+
+  const parsed = parseInventoryCsv(content);
+  if (parsed.error) {
+    await db.collection(UPLOADS_COLLECTION).insertOne({ ...upload, status: 'rejected', error: parsed.error });
+    console.warn(`⚠️ [UPLOAD] Rejected upload ${upload._id}: ${parsed.error}`);
+    return { success: false, upload_id: upload._id, status: 'rejected', message: parsed.error };
+  }
+
+  const unknown = new Set(await findUnknownSkus(parsed.items.map(item => item.sku)));
+  const issues = [
+    ...parsed.issues,
+    ...parsed.items
+      .filter(item => unknown.has(item.sku))
+      .map(item => ({ line: item.line, sku: item.sku, type: 'unknown_sku', message: 'SKU not found in the product master or pulled inventory; it will not be pushed' })),
+  ].sort((a, b) => a.line - b.line);
+  const items = parsed.items.filter(item => !unknown.has(item.sku));
+
+  console.log(`[STEP 2] 🔍 ${parsed.total_rows} rows: ${items.length} valid, ${issues.length} issues`);
+
+  const rows = { total: parsed.total_rows, valid: items.length, ...issueCounts(issues) };
+  if (items.length === 0) {
+    const message = 'No valid rows to push';
+    await db.collection(UPLOADS_COLLECTION).insertOne({ ...upload, status: 'rejected', error: message, rows, issues });
+    return { success: false, upload_id: upload._id, status: 'rejected', message, rows, issues };
+  }
+
+  // The guard only decides the safety limits and the token; the preview itself is against the pulled stock
+  const [stockPreview, dryRun] = await Promise.all([
+    previewAgainstPulledStock(items, locationKey),
+    guardInventoryPush(toPushSkus(items), { dryRun: true, locationKey }),
+  ]);
+  const { confirmation_required: confirmationRequired, confirmation_token: confirmationToken } = dryRun.result;
+  const preview = { ...stockPreview, limits: dryRun.result.preview.limits, violations: dryRun.result.preview.violations };
+
+  await db.collection(UPLOADS_COLLECTION).insertOne({
+    ...upload,
+    status: 'previewed',
+    rows,
+    issues,
+    items,
+    preview: { summary: preview.summary, violations: preview.violations, items: preview.items },
+    confirmation_required: confirmationRequired,
+  });
+
+  console.log(`[STEP 3] ✅ Upload ${upload._id} previewed (${preview.summary.increased} up, ${preview.summary.decreased} down, ${preview.summary.unchanged} unchanged)`);
+
+  return {
+    success: true,
+    upload_id: upload._id,
+    status: 'previewed',
+    message: `${items.length} SKUs ready to push to location ${locationKey}; confirm the upload to push them${confirmationRequired ? ' (exceeds safety limits, include confirmation_token)' : ''}`,
+    rows,
+    issues,
+    preview,
+    confirmation_required: confirmationRequired,
+    ...(confirmationToken && { confirmation_token: confirmationToken }),
+  };
+};
+
+// Pushes a previewed upload. The safety limits are checked again against the last pushed quantities, so a
+// token from the preview (or, once it expired, from a fresh dryRun of this call) is needed when the
+// changes exceed them. dryRun only re-checks the upload and pushes nothing.
+const confirmInventoryUpload = async (uploadId, { confirmationToken, confirmedBy, dryRun = false } = {}) => {
+  const collection = db.collection(UPLOADS_COLLECTION);
+  if (dryRun) {
+    const upload = await collection.findOne({ _id: uploadId }, { projection: { status: 1, items: 1, location_key: 1 } });
+    if (!upload) {
+      return { success: false, not_found: true, message: 'Upload not found' };
+    }
+    if (upload.status !== 'previewed') {
+      return { success: false, conflict: true, message: `Upload is ${upload.status}; only previewed uploads can be confirmed` };
+    }
+    const guard = await guardInventoryPush(toPushSkus(upload.items), { dryRun: true, locationKey: upload.location_key });
+    return { ...guard.result, upload_id: uploadId };
+  }
+
+  const upload = await collection.findOneAndUpdate(
+    { _id: uploadId, status: 'previewed' },
+    { $set: { status: 'pushing', confirmed_at: new Date(), confirmed_by: confirmedBy || null } },
+    { projection: { content: 0, preview: 0 } }
+  );
+  if (!upload) {
+    const existing = await collection.findOne({ _id: uploadId }, { projection: { status: 1 } });
+    return existing
+      ? { success: false, conflict: true, message: `Upload is ${existing.status}; only previewed uploads can be confirmed` }
+      : { success: false, not_found: true, message: 'Upload not found' };
+  }
+
+  const skus = toPushSkus(upload.items);
+  try {
+    const guard = await guardInventoryPush(skus, { confirmationToken, locationKey: upload.location_key });
+    if (!guard.proceed) {
+      await collection.updateOne({ _id: uploadId }, { $set: { status: 'previewed' }, $unset: { confirmed_at: '', confirmed_by: '' } });
+      return guard.result;
+    }
+
+    const push = await pushInventoryUpdates(skus, { source: `inventory-upload:${uploadId}`, locationKey: upload.location_key });
+    const status = push.failed === 0 ? 'pushed' : 'partially_failed';
+    await collection.updateOne({ _id: uploadId }, {
+      $set: {
+        status,
+        pushed_at: new Date(),
+        push: {
+          push_id: push.push_id,
+          total: push.total,
+          succeeded: push.succeeded,
+          failed: push.failed,
+          failed_skus: push.failed_skus,
+          batches: push.batches,
+        },
+      },
+    });
+
+    console.log(`[UPLOAD] 📊 Upload ${uploadId} pushed: ${push.succeeded} succeeded, ${push.failed} failed`);
+
+    return {
+      success: push.failed === 0,
+      upload_id: uploadId,
+      status,
+      message: `Pushed ${push.succeeded} of ${skus.length} SKUs from ${upload.filename}`,
+      uploaded_count: push.succeeded,
+      push_id: push.push_id,
+      location_key: push.location_key,
+      failed_count: push.failed,
+      failed_skus: push.failed_skus,
+      batches: push.batches,
+    };
+  } catch (error) {
+    const errorData = error.response ? error.response.data : error.message;
+    await collection.updateOne({ _id: uploadId }, { $set: { status: 'failed', error: errorData, failed_at: new Date() } });
+    console.error(`❌ [UPLOAD] Push of upload ${uploadId} failed:`, JSON.stringify(errorData));
+    return { success: false, upload_id: uploadId, status: 'failed', error: errorData, message: 'Failed to push the upload to easyEcom' };
+  }
+};
+
+// Upload history without the file contents and row lists (?status=&location_key=&limit=)
+const listInventoryUploads = async ({ status, locationKey, limit = 50 } = {}) => {
+  const filter = {};
+  if (status) filter.status = status;
+  if (locationKey) filter.location_key = locationKey;
+  return db.collection(UPLOADS_COLLECTION)
+    .find(filter, { projection: { content: 0, items: 0, issues: 0, preview: 0 } })
+    .sort({ uploaded_at: -1 })
+    .limit(limit)
+    .toArray();
+};
+
+// One upload with its issues, preview and push outcome; the file itself only when includeFile is set
+const getInventoryUpload = async (uploadId, { includeFile = false } = {}) => db.collection(UPLOADS_COLLECTION)
+  .findOne({ _id: uploadId }, includeFile ? {} : { projection: { content: 0 } });
+
+module.exports = {
+  parseInventoryCsv,
+  createInventoryUpload,
+  confirmInventoryUpload,
+  listInventoryUploads,
+  getInventoryUpload,
+  init: (globalDb) => {
+    db = globalDb;
+    db.collection(UPLOADS_COLLECTION).createIndexes([
+      { key: { uploaded_at: -1 } },
+      { key: { status: 1, location_key: 1, uploaded_at: -1 } },
+    ]).catch(error => console.error("❌ Failed to create inventory_uploads indexes:", error.message));
+  },
+};
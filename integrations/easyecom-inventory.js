@@ -0,0 +1,342 @@
+// integrations/easyecom-inventory.js
+// Full-catalog inventory pulls and versioned inventory snapshots for /pull-inventory.
+// getInventoryDetailsV3 is walked page by page and every entry becomes one document per
+// SKU and location. Every pull is kept in easyecom_inventory_history under its snapshot version, and the
+// live easyecom_inventory collection is swapped to the new snapshot in one rename, so a
+// failed pull never leaves it empty or half written. An empty snapshot is refused for the same reason.
+const { nextSequence } = require('../lib/counters');
+const { easyEcomRequest } = require('./easyecom-auth');
+const { defaultLocationKey } = require('../config/easyecom-locations');
+
+let db; // Global DB from server.js
+
+const { EASYECOM_INVENTORY_SNAPSHOT_RETENTION_DAYS } = process.env;
+
+const retentionDays = parseInt(EASYECOM_INVENTORY_SNAPSHOT_RETENTION_DAYS) || 30;
+
+const LIVE_COLLECTION = 'easyecom_inventory';
+const HISTORY_COLLECTION = 'easyecom_inventory_history';
+const SNAPSHOTS_COLLECTION = 'easyecom_inventory_snapshots';
+
+// Indexes the live collection needs; created on the staging copy before the swap
+const LIVE_INDEXES = [{ key: { sku: 1, location_key: 1 } }];
+
+// Index options carried over from the live collection to the staging copy
+const INDEX_OPTIONS = ['unique', 'sparse', 'partialFilterExpression', 'expireAfterSeconds', 'collation', 'weights', 'default_language'];
+
+const INVENTORY_ENDPOINT = '/getInventoryDetailsV3';
+
+// Describes a response we could not read, so the caller can report it
+const describeShape = (body) => ({
+  main_keys: body && typeof body === 'object' ? Object.keys(body) : typeof body,
+  data_keys: body?.data && typeof body.data === 'object' ? Object.keys(body.data) : 'No data object',
+  data_type: Array.isArray(body?.data) ? 'array' : typeof body?.data,
+});
+
+// Missing quantities count as 0; anything that is not a number makes the entry invalid
+const toQuantity = (value) => (value === null || value === undefined || value === '' ? 0 : Number(value));
+
+// Maps one inventoryData entry to the document stored per SKU and location.
+// Entries without their own location_key belong to the location that was pulled.
+// Returns { item } or { error } when the entry is missing a SKU or has non-numeric quantities.
+const normalizeInventoryEntry = (entry, processedAt, locationKey = defaultLocationKey) => {
+  if (!entry || typeof entry !== 'object' || !entry.sku) {
+    return { error: 'Entry has no sku' };
+  }
+
+  const quantities = {
+    available_quantity: toQuantity(entry.availableInventory),
+    reserved_quantity: toQuantity(entry.reservedInventory),
+    virtual_quantity: toQuantity(entry.virtual_inventory_count),
+    damaged_quantity: toQuantity(entry.damagedInventory),
+  };
+  const invalid = Object.keys(quantities).filter(field => Number.isNaN(quantities[field]));
+  if (invalid.length > 0) {
+    return { error: `Non-numeric ${invalid.join(', ')}` };
+  }
+
+  return {
+    item: {
+      sku: String(entry.sku),
+      location_key: entry.location_key || locationKey || null,
+      product_name: entry.productName || null,
+      // What inventory pushes send and snapshot diffs compare
+      quantity: quantities.available_quantity,
+      ...quantities,
+      original_data: entry,
+      processed_at: processedAt,
+    },
+  };
+};
+
+// Walks every page of getInventoryDetailsV3 for one location by following data.nextUrl.
+// Returns { success: true, entries, pagesFetched } or { success: false, error, response_structure }
+// as soon as a page does not carry a data.inventoryData array.
+const fetchInventoryCatalog = async (params, locationKey = defaultLocationKey) => {
+  const entries = [];
+  const seenUrls = new Set();
+  let pagesFetched = 0;
+
+  let response = await easyEcomRequest({ locationKey, method: 'get', url: INVENTORY_ENDPOINT, params });
+  while (true) {
+    const body = response.data;
+    if (!Array.isArray(body?.data?.inventoryData)) {
+      return {
+        success: false,
+        error: `Unexpected ${INVENTORY_ENDPOINT} response on page ${pagesFetched + 1}: expected data.inventoryData to be an array`,
+        response_structure: describeShape(body),
+        easyecom_message: body?.message || null,
+      };
+    }
+
+    pagesFetched++;
+    const pageEntries = body.data.inventoryData;
+    entries.push(...pageEntries);
+    console.log(`[STEP 2] 📄 Page ${pagesFetched}: received ${pageEntries.length} inventory entries`);
+
+    const nextUrl = body.data.nextUrl;
+    if (!nextUrl || pageEntries.length === 0) {
+      break;
+    }
+    if (seenUrls.has(nextUrl)) {
+      return { success: false, error: `${INVENTORY_ENDPOINT} returned the same nextUrl twice: ${nextUrl}`, response_structure: describeShape(body) };
+    }
+    seenUrls.add(nextUrl);
+    response = await easyEcomRequest({ locationKey, method: 'get', url: nextUrl });
+  }
+
+  return { success: true, entries, pagesFetched };
+};
+
+const getActiveSnapshot = async () => db.collection(SNAPSHOTS_COLLECTION).findOne({ status: 'active' });
+
+// LIVE_INDEXES plus every other index the live collection has, so the swap does not drop indexes other
+// modules created on it
+const liveIndexSpecs = async () => {
+  const existing = await db.collection(LIVE_COLLECTION).indexes()
+    .catch(error => (error.code === 26 ? [] : Promise.reject(error)));
+  const specs = existing
+    .filter(index => index.name !== '_id_')
+    .map(index => ({
+      key: index.key,
+      name: index.name,
+      ...Object.fromEntries(INDEX_OPTIONS.filter(option => index[option] !== undefined).map(option => [option, index[option]])),
+    }));
+  const missing = LIVE_INDEXES.filter(spec => !specs.some(index => JSON.stringify(index.key) === JSON.stringify(spec.key)));
+  return [...specs, ...missing];
+};
+
+// Stores `items` as a new snapshot and makes it the live easyecom_inventory contents.
+// Returns the snapshot metadata document. An empty `items` (an easyEcom hiccup or a filter that matched
+// nothing) is recorded as a failed snapshot and throws with error.code 'EMPTY_SNAPSHOT'; the live
+// inventory is left as it was.
+const saveInventorySnapshot = async (items, meta = {}) => {
+  const snapshots = db.collection(SNAPSHOTS_COLLECTION);
+  const version = await nextSequence(db, 'easyecom_inventory_snapshot');
+  const createdAt = new Date();
+  const stagingName = `${LIVE_COLLECTION}_staging_${version}`;
+
+  const snapshot = {
+    version,
+    status: 'building',
+    item_count: items.length,
+    created_at: createdAt,
+    ...meta,
+  };
+  await snapshots.insertOne(snapshot);
+
+  try {
+    if (items.length === 0) {
+      const error = new Error('The pull returned no inventory items; the live inventory was kept');
+      error.code = 'EMPTY_SNAPSHOT';
+      throw error;
+    }
+
+    await db.collection(HISTORY_COLLECTION).insertMany(
+      items.map(item => ({ ...item, snapshot_version: version })),
+      { ordered: false }
+    );
+
+    const staging = db.collection(stagingName);
+    await staging.insertMany(items.map(item => ({ ...item, snapshot_version: version })), { ordered: false });
+    await staging.createIndexes(await liveIndexSpecs());
+    // renameCollection with dropTarget replaces the live collection in a single step
+    await staging.rename(LIVE_COLLECTION, { dropTarget: true });
+
+    const activatedAt = new Date();
+    await snapshots.updateMany(
+      { status: 'active', version: { $ne: version } },
+      { $set: { status: 'superseded', superseded_at: activatedAt } }
+    );
+    await snapshots.updateOne({ version }, { $set: { status: 'active', activated_at: activatedAt } });
+
+    console.log(`[SNAPSHOT] ✅ Inventory snapshot v${version} is now live (${items.length} items)`);
+    return { ...snapshot, status: 'active', activated_at: activatedAt };
+  } catch (error) {
+    console.error(`❌ [SNAPSHOT] Failed to build inventory snapshot v${version}:`, error.message);
+    await snapshots.updateOne({ version }, { $set: { status: 'failed', error: error.message, failed_at: new Date() } });
+    await db.collection(HISTORY_COLLECTION).deleteMany({ snapshot_version: version });
+    await db.collection(stagingName).drop().catch(() => {});
+    throw error;
+  }
+};
+
+// Refreshes individual SKU/location items in the live collection without taking a snapshot
+// (SKU-filtered pulls and inventory webhooks); the next full pull snapshots them as usual
+const upsertLiveInventoryItems = async (items) => {
+  if (items.length === 0) {
+    return;
+  }
+  await db.collection(LIVE_COLLECTION).bulkWrite(
+    items.map(item => ({
+      updateOne: { filter: { sku: item.sku, location_key: item.location_key }, update: { $set: item }, upsert: true },
+    })),
+    { ordered: false }
+  );
+};
+
+// Deletes snapshots (and their items) older than the retention window, never the active one
+const applySnapshotRetention = async () => {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const snapshots = db.collection(SNAPSHOTS_COLLECTION);
+
+  const expired = await snapshots
+    .find({ created_at: { $lt: cutoff }, status: { $ne: 'active' } }, { projection: { version: 1 } })
+    .toArray();
+
+  if (expired.length === 0) {
+    return { deleted_snapshots: 0, deleted_items: 0 };
+  }
+
+  const versions = expired.map(snapshot => snapshot.version);
+  const { deletedCount } = await db.collection(HISTORY_COLLECTION).deleteMany({ snapshot_version: { $in: versions } });
+  await snapshots.deleteMany({ version: { $in: versions } });
+
+  console.log(`[SNAPSHOT] 🧹 Removed ${versions.length} snapshots older than ${retentionDays} days (${deletedCount} items)`);
+  return { deleted_snapshots: versions.length, deleted_items: deletedCount };
+};
+
+const listSnapshots = async (limit = 20) => db.collection(SNAPSHOTS_COLLECTION)
+  .find({})
+  .sort({ version: -1 })
+  .limit(limit)
+  .toArray();
+
+// Loads { "sku@location" -> { sku, location_key, quantity } } for a snapshot version,
+// optionally for one location only
+const loadSnapshotQuantities = async (version, locationKey) => {
+  const filter = { snapshot_version: version, sku: { $exists: true } };
+  if (locationKey) {
+    filter.location_key = locationKey;
+  }
+  const items = await db.collection(HISTORY_COLLECTION)
+    .find(filter, { projection: { sku: 1, location_key: 1, quantity: 1 } })
+    .toArray();
+  return new Map(items.map(item => [
+    `${item.sku}@${item.location_key ?? ''}`,
+    { sku: item.sku, location_key: item.location_key ?? null, quantity: Number(item.quantity) || 0 },
+  ]));
+};
+
+// Lists SKUs whose quantity differs between two snapshot versions.
+// Defaults to the active snapshot compared with the one before it; `locationKey` limits it to one location.
+// Returns { success: false, error } when a snapshot to compare is missing.
+const diffSnapshots = async ({ from, to, locationKey } = {}) => {
+  const snapshots = db.collection(SNAPSHOTS_COLLECTION);
+
+  const toSnapshot = to
+    ? await snapshots.findOne({ version: to })
+    : await getActiveSnapshot();
+  if (!toSnapshot) {
+    return { success: false, error: to ? `Snapshot v${to} not found` : 'No active inventory snapshot' };
+  }
+
+  const fromSnapshot = from
+    ? await snapshots.findOne({ version: from })
+    : await snapshots.findOne(
+      { version: { $lt: toSnapshot.version }, status: { $in: ['active', 'superseded'] } },
+      { sort: { version: -1 } }
+    );
+  if (!fromSnapshot) {
+    return { success: false, error: from ? `Snapshot v${from} not found` : `No snapshot before v${toSnapshot.version} to compare with` };
+  }
+
+  const before = await loadSnapshotQuantities(fromSnapshot.version, locationKey);
+  const after = await loadSnapshotQuantities(toSnapshot.version, locationKey);
+  const changes = [];
+
+  for (const key of new Set([...before.keys(), ...after.keys()])) {
+    const { sku, location_key } = before.get(key) || after.get(key);
+    const oldQuantity = before.has(key) ? before.get(key).quantity : null;
+    const newQuantity = after.has(key) ? after.get(key).quantity : null;
+    if (oldQuantity === newQuantity) {
+      continue;
+    }
+
+    let change = 'changed';
+    if (oldQuantity === null) change = 'added';
+    if (newQuantity === null) change = 'removed';
+
+    changes.push({
+      sku,
+      location_key,
+      change,
+      old_quantity: oldQuantity,
+      new_quantity: newQuantity,
+      delta: (newQuantity || 0) - (oldQuantity || 0),
+    });
+  }
+
+  changes.sort((a, b) => a.sku.localeCompare(b.sku) || String(a.location_key).localeCompare(String(b.location_key)));
+
+  return {
+    success: true,
+    data: {
+      from: { version: fromSnapshot.version, created_at: fromSnapshot.created_at },
+      to: { version: toSnapshot.version, created_at: toSnapshot.created_at },
+      location_key: locationKey || null,
+      changed_count: changes.length,
+      changes,
+    },
+  };
+};
+
+// Returns the stock of a SKU (one item per location, or just `locationKey`) as it was in the snapshot that was live at `at`
+const getInventoryAt = async (sku, at, locationKey) => {
+  const snapshot = await db.collection(SNAPSHOTS_COLLECTION).findOne(
+    { activated_at: { $lte: at }, status: { $in: ['active', 'superseded'] } },
+    { sort: { activated_at: -1 } }
+  );
+  if (!snapshot) {
+    return { snapshot: null, items: [] };
+  }
+
+  const filter = { snapshot_version: snapshot.version, sku };
+  if (locationKey) {
+    filter.location_key = locationKey;
+  }
+  const items = await db.collection(HISTORY_COLLECTION)
+    .find(filter)
+    .sort({ location_key: 1 })
+    .toArray();
+  return { snapshot, items };
+};
+
+module.exports = {
+  fetchInventoryCatalog,
+  normalizeInventoryEntry,
+  saveInventorySnapshot,
+  upsertLiveInventoryItems,
+  applySnapshotRetention,
+  listSnapshots,
+  diffSnapshots,
+  getInventoryAt,
+  getActiveSnapshot,
+  init: (globalDb) => {
+    db = globalDb;
+    db.collection(HISTORY_COLLECTION).createIndex({ snapshot_version: 1, sku: 1, location_key: 1 })
+      .catch(error => console.error("❌ Failed to create easyecom_inventory_history indexes:", error.message));
+    db.collection(SNAPSHOTS_COLLECTION).createIndex({ version: 1 }, { unique: true })
+      .catch(error => console.error("❌ Failed to create easyecom_inventory_snapshots indexes:", error.message));
+  },
+};
@@ -0,0 +1,73 @@
+// integrations/easyecom-locations.js
+// Resolves the easyEcom locations a pull, query or push applies to, and tags documents
+// stored before multi-location support with the default location.
+const { locations, defaultLocationKey } = require('../config/easyecom-locations');
+
+let db; // Global DB from server.js
+
+// Collections whose documents carry a location_key
+const TAGGED_COLLECTIONS = ['easyecom_orders', 'inventory_push_state', 'inventory_push_log'];
+
+const isKnownLocation = (locationKey) => locations.some(location => location.location_key === locationKey);
+
+// Locations a pull should cover: the one named (if it is registered) or all of them.
+// Returns { locationKeys } or { error } for an unknown location.
+const resolveLocations = (locationKey) => {
+  if (!locationKey || locationKey === 'all') {
+    return { locationKeys: locations.map(location => location.location_key) };
+  }
+  if (!isKnownLocation(locationKey)) {
+    return { error: `Unknown location_key "${locationKey}"; registered: ${locations.map(location => location.location_key).join(', ') || 'none'}` };
+  }
+  return { locationKeys: [locationKey] };
+};
+
+// The single location a push or createOrder goes to (defaults to the default location).
+// Returns { locationKey } or { error } for an unknown location.
+const resolveLocation = (locationKey) => {
+  if (!locationKey) {
+    return defaultLocationKey ? { locationKey: defaultLocationKey } : { error: 'No easyEcom location configured' };
+  }
+  if (locationKey === 'all' || !isKnownLocation(locationKey)) {
+    return { error: `A single registered location_key is required; registered: ${locations.map(location => location.location_key).join(', ') || 'none'}` };
+  }
+  return { locationKey };
+};
+
+// Registered locations with the expiry of their cached token (never the token itself)
+const listLocations = async () => {
+  const tokens = await db.collection('easyecom_tokens')
+    .find({}, { projection: { _id: 0, location_key: 1, expires_at: 1, refreshed_at: 1 } })
+    .toArray();
+  const tokensByLocation = new Map(tokens.map(token => [token.location_key, token]));
+
+  return locations.map(location => ({
+    ...location,
+    is_default: location.location_key === defaultLocationKey,
+    token_expires_at: tokensByLocation.get(location.location_key)?.expires_at || null,
+    token_refreshed_at: tokensByLocation.get(location.location_key)?.refreshed_at || null,
+  }));
+};
+
+module.exports = {
+  resolveLocations,
+  resolveLocation,
+  listLocations,
+  defaultLocationKey,
+  init: (globalDb) => {
+    db = globalDb;
+    if (!defaultLocationKey) {
+      return;
+    }
+    // Everything stored before locations were tracked came from the single configured location
+    for (const name of TAGGED_COLLECTIONS) {
+      db.collection(name).updateMany({ location_key: { $exists: false } }, { $set: { location_key: defaultLocationKey } })
+        .then(result => {
+          if (result.modifiedCount > 0) {
+            console.log(`📍 Tagged ${result.modifiedCount} ${name} documents with location ${defaultLocationKey}`);
+          }
+        })
+        .catch(error => console.error(`❌ Failed to tag ${name} with location_key:`, error.message));
+    }
+  },
+};
@@ -0,0 +1,241 @@
+// integrations/easyecom-order-query.js
+// Filtered, sorted, cursor-paginated reads of easyecom_orders for GET /orders.
+// order_date is stored as easyEcom sends it ("YYYY-MM-DD HH:mm:ss"), so its range filters
+// compare strings in that format; last_updated and created_at are Dates written by this service.
+const { ObjectId } = require('mongodb');
+
+let db; // Global DB from server.js
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Fields that can be sorted on; every sort is tie-broken on _id so cursors are stable
+const SORT_FIELDS = ['order_date', 'last_updated', 'created_at', 'order_id'];
+
+const EASYECOM_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}( \d{2}:\d{2}:\d{2})?$/;
+const FIELD_NAME_PATTERN = /^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)*$/;
+
+const ORDER_INDEXES = [
+  { key: { order_date: -1, _id: -1 } },
+  { key: { last_updated: -1, _id: -1 } },
+  { key: { created_at: -1, _id: -1 } },
+  { key: { location_key: 1, order_date: -1 } },
+  { key: { order_status: 1, order_date: -1 } },
+  { key: { marketplace_id: 1, order_date: -1 } },
+  { key: { marketplace: 1, order_date: -1 } },
+  { key: { 'suborders.sku': 1 } },
+  { key: { 'suborders.order_status': 1 } },
+  { key: { contact_num: 1 } },
+  { key: { email: 1 } },
+  { key: { reference_code: 1 } },
+];
+
+// Formats a Date the way easyEcom expects it in query params (YYYY-MM-DD HH:mm:ss)
+const toEasyEcomDate = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+const splitList = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+const inList = (value) => {
+  const values = splitList(value);
+  return values.length === 1 ? values[0] : { $in: values };
+};
+
+// order_date bounds: a bare date covers the whole day
+const toOrderDateBound = (value, endOfDay) => {
+  const text = String(value).trim();
+  if (text.length === 10) {
+    return `${text} ${endOfDay ? '23:59:59' : '00:00:00'}`;
+  }
+  return text;
+};
+
+// Cursors carry the last row's sort value and _id; dates are tagged so they survive JSON
+const encodeCursor = (value, id) => Buffer.from(JSON.stringify({
+  v: value instanceof Date ? { $date: value.toISOString() } : value ?? null,
+  id: String(id),
+})).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof id !== 'string' || !/^[a-f0-9]{24}$/i.test(id)) {
+      return null;
+    }
+    return { value: v && typeof v === 'object' && v.$date ? new Date(v.$date) : v, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Filter that resumes after the cursor row. Missing sort values sort first ascending and last
+// descending, so they get their own branch.
+const afterCursor = (field, direction, { value, id }) => {
+  const objectId = new ObjectId(id);
+  const idComparison = direction === 1 ? { $gt: objectId } : { $lt: objectId };
+
+  if (value === null) {
+    return direction === 1
+      ? { $or: [{ [field]: null, _id: idComparison }, { [field]: { $ne: null } }] }
+      : { [field]: null, _id: idComparison };
+  }
+
+  const valueComparison = direction === 1 ? { $gt: value } : { $lt: value };
+  const branches = [{ [field]: valueComparison }, { [field]: value, _id: idComparison }];
+  if (direction === -1) {
+    branches.push({ [field]: null });
+  }
+  return { $or: branches };
+};
+
+// Turns query-string params into a Mongo query.
+// Returns { errors } when any param is invalid, otherwise { filter, sort, projection, limit, sortField, direction }.
+const buildOrderQuery = (params = {}) => {
+  const errors = [];
+  const conditions = [];
+
+  if (params.location_key) {
+    conditions.push({ location_key: inList(params.location_key) });
+  }
+  if (params.order_status) {
+    conditions.push({ order_status: inList(params.order_status) });
+  }
+  if (params.suborder_status) {
+    conditions.push({ 'suborders.order_status': inList(params.suborder_status) });
+  }
+  if (params.sku) {
+    conditions.push({ 'suborders.sku': inList(params.sku) });
+  }
+  if (params.marketplace_id) {
+    const ids = splitList(params.marketplace_id).map(Number);
+    if (ids.some(Number.isNaN)) {
+      errors.push({ field: 'marketplace_id', message: 'must be a number or comma-separated numbers' });
+    } else {
+      conditions.push({ marketplace_id: ids.length === 1 ? ids[0] : { $in: ids } });
+    }
+  }
+  if (params.marketplace) {
+    conditions.push({ marketplace: inList(params.marketplace) });
+  }
+  if (params.phone) {
+    // Pulled orders carry contact_num; orders created through /push-data only have the createOrder payload
+    const phone = String(params.phone).trim();
+    conditions.push({ $or: [{ contact_num: phone }, { 'create_order_payload.customer.billing.contact': phone }] });
+  }
+  if (params.email) {
+    const emails = [...new Set([String(params.email).trim(), String(params.email).trim().toLowerCase()])];
+    conditions.push({ $or: [{ email: { $in: emails } }, { 'create_order_payload.customer.billing.email': { $in: emails } }] });
+  }
+
+  const orderDate = {};
+  for (const [param, operator, endOfDay] of [['order_date_from', '$gte', false], ['order_date_to', '$lte', true]]) {
+    if (!params[param]) continue;
+    if (!EASYECOM_DATE_PATTERN.test(String(params[param]).trim())) {
+      errors.push({ field: param, message: 'must be YYYY-MM-DD or YYYY-MM-DD HH:mm:ss' });
+    } else {
+      orderDate[operator] = toOrderDateBound(params[param], endOfDay);
+    }
+  }
+  if (Object.keys(orderDate).length > 0) {
+    conditions.push({ order_date: orderDate });
+  }
+
+  const lastUpdated = {};
+  for (const [param, operator] of [['updated_from', '$gte'], ['updated_to', '$lte']]) {
+    if (!params[param]) continue;
+    const date = new Date(params[param]);
+    if (Number.isNaN(date.getTime())) {
+      errors.push({ field: param, message: 'must be a valid date' });
+    } else {
+      lastUpdated[operator] = date;
+    }
+  }
+  if (Object.keys(lastUpdated).length > 0) {
+    conditions.push({ last_updated: lastUpdated });
+  }
+
+  // sort=-order_date (descending, the default) or sort=order_date (ascending)
+  const sortParam = String(params.sort || '-order_date').trim();
+  const direction = sortParam.startsWith('-') ? -1 : 1;
+  const sortField = sortParam.replace(/^[-+]/, '');
+  if (!SORT_FIELDS.includes(sortField)) {
+    errors.push({ field: 'sort', message: `must be one of ${SORT_FIELDS.join(', ')} (prefix with - for descending)` });
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (params.limit !== undefined) {
+    limit = parseInt(params.limit);
+    if (Number.isNaN(limit) || limit < 1) {
+      errors.push({ field: 'limit', message: `must be a number between 1 and ${MAX_LIMIT}` });
+    }
+    limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  let projection;
+  if (params.fields) {
+    const fields = splitList(params.fields);
+    const invalid = fields.filter(field => !FIELD_NAME_PATTERN.test(field));
+    if (invalid.length > 0) {
+      errors.push({ field: 'fields', message: `invalid field names: ${invalid.join(', ')}` });
+    } else {
+      // The sort field is always returned because the next cursor is built from it
+      projection = Object.fromEntries([...fields, sortField].map(field => [field, 1]));
+    }
+  }
+
+  if (params.cursor && errors.length === 0) {
+    const cursor = decodeCursor(params.cursor);
+    if (!cursor) {
+      errors.push({ field: 'cursor', message: 'is not a valid cursor' });
+    } else {
+      conditions.push(afterCursor(sortField, direction, cursor));
+    }
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  let filter = {};
+  if (conditions.length === 1) filter = conditions[0];
+  if (conditions.length > 1) filter = { $and: conditions };
+
+  return {
+    filter,
+    sort: { [sortField]: direction, _id: direction },
+    projection,
+    limit,
+    sortField,
+    direction,
+  };
+};
+
+// Runs a query built by buildOrderQuery and returns one page plus the cursor for the next one
+const queryOrders = async (query) => {
+  // One extra row tells us whether another page exists
+  const rows = await db.collection('easyecom_orders')
+    .find(query.filter, query.projection ? { projection: query.projection } : {})
+    .sort(query.sort)
+    .limit(query.limit + 1)
+    .toArray();
+
+  const hasMore = rows.length > query.limit;
+  const orders = hasMore ? rows.slice(0, query.limit) : rows;
+  const last = orders[orders.length - 1];
+
+  return {
+    orders,
+    has_more: hasMore,
+    next_cursor: hasMore ? encodeCursor(last[query.sortField], last._id) : null,
+  };
+};
+
+module.exports = {
+  buildOrderQuery,
+  queryOrders,
+  toEasyEcomDate,
+  init: (globalDb) => {
+    db = globalDb;
+    db.collection('easyecom_orders').createIndexes(ORDER_INDEXES)
+      .catch(error => console.error("❌ Failed to create easyecom_orders query indexes:", error.message));
+  },
+};
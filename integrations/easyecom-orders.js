@@ -0,0 +1,362 @@
+// integrations/easyecom-orders.js
+// Status-history merge and batched upsert of easyEcom orders into easyecom_orders,
+// plus validation of createOrder payloads for /push-data.
+const { ensureUniqueIndex } = require('../lib/unique-index');
+
+// Orders loaded with one $in query and written with one bulkWrite per batch
+const UPSERT_BATCH_SIZE = 500;
+
+// Builds the document stored for an order we have not seen before
+const buildNewOrder = (order, currentTime) => ({
+  ...order,
+  status_history: [{ old_status: null, new_status: order.order_status, timestamp: currentTime }],
+  created_at: currentTime,
+  last_updated: currentTime,
+  suborders: (order.suborders || []).map(suborder => ({
+    ...suborder,
+    status_history: [{ old_status: null, new_status: suborder.order_status, timestamp: currentTime }],
+  })),
+});
+
+// Compares an incoming order with the stored record and appends status_history entries
+// for the order and each suborder whose status changed.
+// Returns { changed, updateData, statusChanges } where updateData is the $set payload.
+const mergeOrder = (existingRecord, order, currentTime) => {
+  const statusChanges = [];
+  const statusHistory = [...(existingRecord.status_history || [])];
+
+  if (existingRecord.order_status !== order.order_status) {
+    // Orders created through /push-data have no status until their first pull
+    const oldStatus = existingRecord.order_status ?? null;
+    statusHistory.push({
+      old_status: oldStatus,
+      new_status: order.order_status,
+      timestamp: currentTime,
+    });
+    statusChanges.push({
+      type: 'main_order',
+      old_status: oldStatus,
+      new_status: order.order_status,
+    });
+    console.log(`[STEP 4] 📊 Main order ${order.order_id} status changed: ${existingRecord.order_status} → ${order.order_status}`);
+  }
+
+  const updatedSuborders = (existingRecord.suborders || []).map(suborder => ({ ...suborder }));
+
+  for (const newSuborder of order.suborders || []) {
+    const existingSuborder = updatedSuborders.find(sub => sub.suborder_num === newSuborder.suborder_num);
+
+    if (existingSuborder) {
+      const oldStatus = existingSuborder.order_status;
+      if (oldStatus !== newSuborder.order_status) {
+        existingSuborder.status_history = [
+          ...(existingSuborder.status_history || []),
+          { old_status: oldStatus, new_status: newSuborder.order_status, timestamp: currentTime },
+        ];
+        statusChanges.push({
+          type: 'suborder',
+          suborder_num: newSuborder.suborder_num,
+          old_status: oldStatus,
+          new_status: newSuborder.order_status,
+        });
+        console.log(`[STEP 4] 📦 Suborder ${newSuborder.suborder_num} status changed: ${oldStatus} → ${newSuborder.order_status}`);
+      }
+      Object.assign(existingSuborder, newSuborder, { status_history: existingSuborder.status_history });
+    } else {
+      updatedSuborders.push({
+        ...newSuborder,
+        status_history: [{ old_status: null, new_status: newSuborder.order_status, timestamp: currentTime }],
+      });
+      statusChanges.push({
+        type: 'new_suborder',
+        suborder_num: newSuborder.suborder_num,
+        status: newSuborder.order_status,
+      });
+      console.log(`[STEP 4] ➕ New suborder added: ${newSuborder.suborder_num}`);
+    }
+  }
+
+  const changed = statusChanges.length > 0;
+  return {
+    changed,
+    statusChanges,
+    updateData: changed
+      ? { ...order, suborders: updatedSuborders, status_history: statusHistory, last_updated: currentTime }
+      : null,
+  };
+};
+
+// Merges one batch in memory and returns the bulkWrite operations plus per-order results.
+// An order_id that appears more than once in the batch collapses into a single write.
+const planBatch = (orders, existingById, currentTime) => {
+  const pending = new Map(); // order_id -> { isNew, doc, updateData }
+  const results = [];
+
+  for (const order of orders) {
+    const previous = pending.get(order.order_id);
+    const baseRecord = previous
+      ? (previous.isNew ? previous.doc : { ...existingById.get(order.order_id), ...previous.updateData })
+      : existingById.get(order.order_id);
+
+    if (!baseRecord) {
+      pending.set(order.order_id, { isNew: true, doc: buildNewOrder(order, currentTime) });
+      results.push({ order_id: order.order_id, action: 'inserted' });
+      continue;
+    }
+
+    const { changed, updateData, statusChanges } = mergeOrder(baseRecord, order, currentTime);
+    if (!changed) {
+      results.push({ order_id: order.order_id, action: 'no_change' });
+      continue;
+    }
+
+    if (previous?.isNew) {
+      pending.set(order.order_id, { isNew: true, doc: { ...previous.doc, ...updateData } });
+    } else {
+      pending.set(order.order_id, { isNew: false, updateData: { ...previous?.updateData, ...updateData } });
+    }
+    results.push({ order_id: order.order_id, action: 'updated', status_changes: statusChanges });
+  }
+
+  const operationOrderIds = [];
+  const operations = [];
+  for (const [orderId, entry] of pending) {
+    operationOrderIds.push(orderId);
+    operations.push(entry.isNew
+      // With the unique order_id index, a concurrent pull that inserted the order first turns this into a no-op
+      ? { updateOne: { filter: { order_id: orderId }, update: { $setOnInsert: entry.doc }, upsert: true } }
+      : { updateOne: { filter: { order_id: orderId }, update: { $set: entry.updateData } } });
+  }
+
+  return { operations, operationOrderIds, results };
+};
+
+// Orders created through /push-data whose createOrder response carried no OrderID are stored without
+// order_id. The first pull of such an order adopts that document (matched by reference_code) instead of
+// inserting a second one: order_id is set on it, and the order is then merged into it as an update.
+const adoptPushedOrders = async (collection, batch, existingById) => {
+  const unmatched = batch.filter(order => !existingById.has(order.order_id) && order.reference_code);
+  if (unmatched.length === 0) {
+    return;
+  }
+  const claims = await collection
+    .find({ source: 'push-data', reference_code: { $in: unmatched.map(order => order.reference_code) }, order_id: { $exists: false } })
+    .toArray();
+  const claimByReference = new Map(claims.map(claim => [claim.reference_code, claim]));
+
+  for (const order of unmatched) {
+    const claim = claimByReference.get(order.reference_code);
+    if (!claim || existingById.has(order.order_id)) {
+      continue;
+    }
+    const { modifiedCount } = await collection.updateOne(
+      { _id: claim._id, order_id: { $exists: false } },
+      { $set: { order_id: order.order_id } }
+    );
+    if (modifiedCount === 1) {
+      console.log(`[STEP 4] 🔗 Order ${order.order_id} matched to /push-data order ${order.reference_code}`);
+      existingById.set(order.order_id, { ...claim, order_id: order.order_id });
+    }
+    claimByReference.delete(order.reference_code);
+  }
+};
+
+// Upserts easyEcom orders with status tracking using batched reads and unordered bulk writes.
+// Returns the same summary shape /pull-data has always reported, plus per-order details.
+const upsertOrders = async (collection, orders) => {
+  const currentTime = new Date();
+  const details = [];
+  let insertedCount = 0;
+  let updatedCount = 0;
+  let failedCount = 0;
+
+  for (let start = 0; start < orders.length; start += UPSERT_BATCH_SIZE) {
+    const batch = orders.slice(start, start + UPSERT_BATCH_SIZE);
+    const orderIds = [...new Set(batch.map(order => order.order_id))];
+
+    const existingRecords = await collection.find({ order_id: { $in: orderIds } }).toArray();
+    const existingById = new Map(existingRecords.map(record => [record.order_id, record]));
+    await adoptPushedOrders(collection, batch, existingById);
+
+    const { operations, operationOrderIds, results } = planBatch(batch, existingById, currentTime);
+    const failedOrderIds = new Map();
+    let upsertedIds = {};
+
+    if (operations.length > 0) {
+      try {
+        ({ upsertedIds } = await collection.bulkWrite(operations, { ordered: false }));
+      } catch (error) {
+        if (!error.writeErrors) {
+          throw error;
+        }
+        upsertedIds = error.result?.upsertedIds || {};
+        for (const writeError of [].concat(error.writeErrors)) {
+          failedOrderIds.set(operationOrderIds[writeError.index], writeError.errmsg);
+        }
+        console.error(`❌ [STEP 4] ${failedOrderIds.size} order writes failed in batch starting at ${start}`);
+      }
+    }
+
+    // Inserts that matched an order a concurrent pull saved first wrote nothing
+    const alreadySaved = new Set(operationOrderIds.filter((orderId, index) => operations[index].updateOne.upsert && !(index in upsertedIds)));
+
+    for (const result of results) {
+      if (failedOrderIds.has(result.order_id)) {
+        failedCount++;
+        details.push({ ...result, action: 'failed', error: failedOrderIds.get(result.order_id) });
+      } else if (alreadySaved.has(result.order_id)) {
+        details.push({ order_id: result.order_id, action: 'no_change', message: 'Saved by a concurrent pull' });
+      } else {
+        if (result.action === 'inserted') insertedCount++;
+        if (result.action === 'updated') updatedCount++;
+        details.push(result);
+      }
+    }
+
+    console.log(`[STEP 4] 💾 Batch ${start / UPSERT_BATCH_SIZE + 1}: ${batch.length} orders, ${operations.length} writes`);
+  }
+
+  return {
+    summary: { total_processed: orders.length, inserted: insertedCount, updated: updatedCount, failed: failedCount },
+    details,
+  };
+};
+
+// order_id is unique so concurrent pulls cannot insert an order twice. Orders created through /push-data
+// before easyEcom returned an OrderID stored order_id: null; the field is removed so the partial index skips them.
+// The orderNumber (reference_code) of /push-data orders is unique too, so two concurrent creates cannot both pass.
+const ensureOrderIndexes = async (collection) => {
+  await collection.updateMany({ order_id: { $type: 'null' } }, { $unset: { order_id: '' } });
+  await Promise.all([
+    ensureUniqueIndex(collection, { order_id: 1 }, { partialFilterExpression: { order_id: { $exists: true } } }),
+    ensureUniqueIndex(collection, { source: 1, reference_code: 1 }, { partialFilterExpression: { source: 'push-data' } }),
+  ]);
+};
+
+// Address fields easyEcom's createOrder requires on both billing and shipping
+const REQUIRED_ADDRESS_FIELDS = ['name', 'addressLine1', 'postalCode', 'city', 'state', 'country', 'contact'];
+const OPTIONAL_NUMBER_FIELDS = [
+  'shippingCost', 'discount', 'walletDiscount', 'promoCodeDiscount', 'prepaidDiscount',
+  'packageWeight', 'packageHeight', 'packageWidth', 'packageLength',
+];
+const EASYECOM_DATE_PATTERN = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+const isNumeric = (value) => !isBlank(value) && !Number.isNaN(Number(value));
+
+const validateAddress = (address, path, errors) => {
+  if (!address || typeof address !== 'object') {
+    errors.push({ field: path, message: 'is required and must be an object' });
+    return;
+  }
+
+  for (const field of REQUIRED_ADDRESS_FIELDS) {
+    if (isBlank(address[field])) {
+      errors.push({ field: `${path}.${field}`, message: 'is required' });
+    }
+  }
+  if (!isBlank(address.postalCode) && !/^\d{6}$/.test(String(address.postalCode).trim())) {
+    errors.push({ field: `${path}.postalCode`, message: 'must be a 6 digit pincode' });
+  }
+  if (!isBlank(address.contact) && !/^\+?\d{10,13}$/.test(String(address.contact).replace(/[\s-]/g, ''))) {
+    errors.push({ field: `${path}.contact`, message: 'must be a 10-13 digit phone number' });
+  }
+  if (!isBlank(address.email) && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address.email)) {
+    errors.push({ field: `${path}.email`, message: 'must be a valid email address' });
+  }
+};
+
+// Checks a request body against easyEcom's /webhook/v2/createOrder contract.
+// Returns a list of { field, message } errors (empty when the body is valid).
+const validateCreateOrder = (body) => {
+  const errors = [];
+  if (!body || typeof body !== 'object') {
+    return [{ field: 'body', message: 'must be a JSON object' }];
+  }
+
+  if (isBlank(body.orderNumber)) {
+    errors.push({ field: 'orderNumber', message: 'is required' });
+  }
+  if (!Number.isInteger(Number(body.marketplaceId)) || isBlank(body.marketplaceId)) {
+    errors.push({ field: 'marketplaceId', message: 'is required and must be an integer' });
+  }
+  if (!Number.isInteger(Number(body.paymentMode)) || isBlank(body.paymentMode)) {
+    errors.push({ field: 'paymentMode', message: 'is required and must be an integer' });
+  }
+  if (!Number.isInteger(Number(body.shippingMethod)) || isBlank(body.shippingMethod)) {
+    errors.push({ field: 'shippingMethod', message: 'is required and must be an integer' });
+  }
+  if (!isBlank(body.orderDate) && !EASYECOM_DATE_PATTERN.test(body.orderDate)) {
+    errors.push({ field: 'orderDate', message: 'must be formatted as YYYY-MM-DD HH:mm:ss' });
+  }
+  for (const field of OPTIONAL_NUMBER_FIELDS) {
+    if (!isBlank(body[field]) && !isNumeric(body[field])) {
+      errors.push({ field, message: 'must be a number' });
+    }
+  }
+
+  if (!Array.isArray(body.items) || body.items.length === 0) {
+    errors.push({ field: 'items', message: 'must be a non-empty array' });
+  } else {
+    body.items.forEach((item, i) => {
+      if (isBlank(item?.Sku)) {
+        errors.push({ field: `items[${i}].Sku`, message: 'is required' });
+      }
+      if (!Number.isInteger(Number(item?.Quantity)) || Number(item?.Quantity) < 1) {
+        errors.push({ field: `items[${i}].Quantity`, message: 'must be a positive integer' });
+      }
+      if (!isNumeric(item?.Price) || Number(item.Price) < 0) {
+        errors.push({ field: `items[${i}].Price`, message: 'must be a non-negative number' });
+      }
+    });
+  }
+
+  const customer = Array.isArray(body.customer) ? body.customer[0] : body.customer;
+  if (!customer || typeof customer !== 'object') {
+    errors.push({ field: 'customer', message: 'is required with billing and shipping addresses' });
+  } else {
+    validateAddress(customer.billing, 'customer.billing', errors);
+    validateAddress(customer.shipping, 'customer.shipping', errors);
+  }
+
+  return errors;
+};
+
+// Normalises a validated body into the createOrder payload easyEcom expects
+const buildCreateOrderPayload = (body, orderDate) => {
+  const customer = Array.isArray(body.customer) ? body.customer[0] : body.customer;
+  const payload = {
+    ...body,
+    orderType: body.orderType || 'retailorder',
+    marketplaceId: Number(body.marketplaceId),
+    orderNumber: String(body.orderNumber).trim(),
+    orderDate: body.orderDate || orderDate,
+    paymentMode: Number(body.paymentMode),
+    shippingMethod: Number(body.shippingMethod),
+    items: body.items.map(item => ({
+      ...item,
+      Sku: String(item.Sku).trim(),
+      Quantity: String(item.Quantity),
+      Price: Number(item.Price),
+    })),
+    customer: [customer],
+  };
+
+  for (const field of OPTIONAL_NUMBER_FIELDS) {
+    if (!isBlank(payload[field])) {
+      payload[field] = Number(payload[field]);
+    }
+  }
+
+  return payload;
+};
+
+module.exports = {
+  UPSERT_BATCH_SIZE,
+  buildNewOrder,
+  mergeOrder,
+  upsertOrders,
+  ensureOrderIndexes,
+  validateCreateOrder,
+  buildCreateOrderPayload,
+};
@@ -0,0 +1,307 @@
+// integrations/easyecom-products.js
+// Product master sync into easyecom_products (one document per SKU, combo/kit components included),
+// product search and lookup, and the SKU join that adds product details to inventory items and
+// order suborders at read time.
+const { easyEcomRequest } = require('./easyecom-auth');
+const { defaultLocationKey } = require('../config/easyecom-locations');
+
+let db; // Global DB from server.js
+
+const PRODUCTS_COLLECTION = 'easyecom_products';
+const PRODUCT_MASTER_ENDPOINT = '/Products/GetProductMaster';
+const UPSERT_BATCH_SIZE = 500;
+const MAX_SEARCH_LIMIT = 200;
+
+// Product fields attached to inventory items and suborders by the SKU join
+const SUMMARY_FIELDS = ['product_name', 'brand', 'category', 'cost', 'mrp', 'hsn_code', 'weight', 'dimensions', 'is_combo'];
+
+const describeShape = (body) => ({
+  main_keys: body && typeof body === 'object' ? Object.keys(body) : typeof body,
+  data_type: Array.isArray(body?.data) ? 'array' : typeof body?.data,
+});
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isNaN(number) ? null : number;
+};
+
+const firstDefined = (...values) => values.find(value => value !== undefined && value !== null && value !== '');
+
+// Combo/kit components; easyEcom lists them under sub_products (older accounts: combo_products)
+const extractComponents = (entry) => {
+  const list = firstDefined(entry.sub_products, entry.subProducts, entry.combo_products, entry.kit_components);
+  if (!Array.isArray(list)) {
+    return [];
+  }
+  return list
+    .filter(component => component && firstDefined(component.sku, component.sub_product_sku))
+    .map(component => ({
+      sku: String(firstDefined(component.sku, component.sub_product_sku)),
+      product_name: firstDefined(component.product_name, component.productName) || null,
+      quantity: toNumber(firstDefined(component.quantity, component.qty, component.sub_product_qty)) || 1,
+    }));
+};
+
+// Maps one product master entry to the document stored per SKU.
+// Returns { product } or { error } when the entry has no SKU.
+const normalizeProduct = (entry, syncedAt) => {
+  if (!entry || typeof entry !== 'object' || !entry.sku) {
+    return { error: 'Entry has no sku' };
+  }
+
+  const components = extractComponents(entry);
+  const productType = String(firstDefined(entry.product_type, entry.productType) || '').toLowerCase();
+  return {
+    product: {
+      sku: String(entry.sku),
+      product_id: firstDefined(entry.product_id, entry.cp_id) ?? null,
+      product_name: firstDefined(entry.product_name, entry.productName) || null,
+      description: entry.description || null,
+      brand: firstDefined(entry.brand, entry.brand_name) || null,
+      category: firstDefined(entry.category_name, entry.category) || null,
+      ean: entry.ean || null,
+      hsn_code: firstDefined(entry.hsn_code, entry.hsnCode) ? String(firstDefined(entry.hsn_code, entry.hsnCode)) : null,
+      cost: toNumber(entry.cost),
+      mrp: toNumber(entry.mrp),
+      weight: toNumber(entry.weight),
+      dimensions: {
+        length: toNumber(entry.length),
+        width: toNumber(entry.width),
+        height: toNumber(entry.height),
+      },
+      is_combo: components.length > 0 || ['combo', 'kit', 'bundle'].includes(productType) || Number(entry.combo_flag) === 1,
+      components,
+      active: entry.active === undefined ? true : Boolean(Number(entry.active)),
+      original_data: entry,
+      synced_at: syncedAt,
+    },
+  };
+};
+
+// Walks every page of the product master by following nextUrl.
+// Returns { success: true, entries, pagesFetched } or { success: false, error, response_structure }.
+const fetchProductMaster = async (params = {}, locationKey = defaultLocationKey) => {
+  const entries = [];
+  const seenUrls = new Set();
+  let pagesFetched = 0;
+
+  let response = await easyEcomRequest({ locationKey, method: 'get', url: PRODUCT_MASTER_ENDPOINT, params });
+  while (true) {
+    const body = response.data;
+    if (!Array.isArray(body?.data)) {
+      return {
+        success: false,
+        error: `Unexpected ${PRODUCT_MASTER_ENDPOINT} response on page ${pagesFetched + 1}: expected data to be an array`,
+        response_structure: describeShape(body),
+        easyecom_message: body?.message || null,
+      };
+    }
+
+    pagesFetched++;
+    entries.push(...body.data);
+    console.log(`[STEP 2] 📄 Page ${pagesFetched}: received ${body.data.length} products`);
+
+    const nextUrl = body.nextUrl;
+    if (!nextUrl || body.data.length === 0) {
+      break;
+    }
+    if (seenUrls.has(nextUrl)) {
+      return { success: false, error: `${PRODUCT_MASTER_ENDPOINT} returned the same nextUrl twice: ${nextUrl}`, response_structure: describeShape(body) };
+    }
+    seenUrls.add(nextUrl);
+    response = await easyEcomRequest({ locationKey, method: 'get', url: nextUrl });
+  }
+
+  return { success: true, entries, pagesFetched };
+};
+
+// Pulls the whole product master (or { sku }) and upserts it into easyecom_products.
+// A full sync marks products that easyEcom no longer returns as removed instead of deleting them.
+const syncProducts = async (options = {}) => {
+  console.log("\n\n--- syncProducts Function Called ---");
+  try {
+    const params = { limit: options.limit || 100 };
+    if (options.sku) {
+      params.sku = options.sku;
+    }
+
+    const catalog = await fetchProductMaster(params, options.locationKey);
+    if (!catalog.success) {
+      console.error(`❌ [STEP 3] ${catalog.error}`);
+      return {
+        success: false,
+        message: "Unexpected product master response from easyEcom; nothing was stored",
+        error: catalog.error,
+        response_structure: catalog.response_structure,
+        easyecom_message: catalog.easyecom_message,
+      };
+    }
+
+    const syncedAt = new Date();
+    const productsBySku = new Map();
+    const rejected = [];
+    catalog.entries.forEach((entry, index) => {
+      const { product, error } = normalizeProduct(entry, syncedAt);
+      if (error) {
+        rejected.push({ index, error });
+        return;
+      }
+      productsBySku.set(product.sku, product);
+    });
+    const products = [...productsBySku.values()];
+
+    console.log(`[STEP 4] 🔄 Upserting ${products.length} products (${rejected.length} rejected)...`);
+
+    const collection = db.collection(PRODUCTS_COLLECTION);
+    let inserted = 0;
+    let updated = 0;
+    for (let start = 0; start < products.length; start += UPSERT_BATCH_SIZE) {
+      const batch = products.slice(start, start + UPSERT_BATCH_SIZE);
+      const result = await collection.bulkWrite(
+        batch.map(product => ({
+          updateOne: {
+            filter: { sku: product.sku },
+            update: { $set: { ...product, removed_at: null }, $setOnInsert: { created_at: syncedAt } },
+            upsert: true,
+          },
+        })),
+        { ordered: false }
+      );
+      inserted += result.upsertedCount;
+      updated += result.modifiedCount;
+    }
+
+    let removed = 0;
+    if (!options.sku && products.length > 0) {
+      const result = await collection.updateMany(
+        { synced_at: { $lt: syncedAt }, removed_at: null },
+        { $set: { removed_at: syncedAt } }
+      );
+      removed = result.modifiedCount;
+    }
+
+    console.log(`[STEP 5] ✅ Products: ${inserted} inserted, ${updated} updated, ${removed} no longer in easyEcom`);
+
+    return {
+      success: true,
+      message: `Successfully synced ${products.length} products`,
+      summary: {
+        pages_fetched: catalog.pagesFetched,
+        total_received: catalog.entries.length,
+        synced: products.length,
+        inserted,
+        updated,
+        removed,
+        combos: products.filter(product => product.is_combo).length,
+        rejected: rejected.length,
+      },
+      rejected_entries: rejected,
+    };
+  } catch (error) {
+    const errorData = error.response ? error.response.data : error.message;
+    console.error("❌ [STEP 3/4] ERROR in syncProducts:", JSON.stringify(errorData, null, 2));
+    return { success: false, error: errorData, message: "Failed to sync products from easyEcom" };
+  }
+};
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Searches products by SKU/name/EAN prefix or substring (q), category, brand and combo flag.
+// Removed products are left out unless include_removed is set.
+const searchProducts = async ({ q, category, brand, isCombo, includeRemoved = false, limit = 50, skip = 0 } = {}) => {
+  const filter = {};
+  if (q) {
+    const pattern = new RegExp(escapeRegex(q), 'i');
+    filter.$or = [{ sku: pattern }, { product_name: pattern }, { ean: pattern }];
+  }
+  if (category) filter.category = category;
+  if (brand) filter.brand = brand;
+  if (isCombo !== undefined) filter.is_combo = isCombo;
+  if (!includeRemoved) filter.removed_at = null;
+
+  const cappedLimit = Math.min(limit, MAX_SEARCH_LIMIT);
+  const collection = db.collection(PRODUCTS_COLLECTION);
+  const [products, total] = await Promise.all([
+    collection.find(filter, { projection: { original_data: 0 } }).sort({ sku: 1 }).skip(skip).limit(cappedLimit).toArray(),
+    collection.countDocuments(filter),
+  ]);
+  return { products, total, limit: cappedLimit, skip };
+};
+
+// One product with its components resolved and the combos it is part of; null when unknown
+const getProduct = async (sku) => {
+  const collection = db.collection(PRODUCTS_COLLECTION);
+  const product = await collection.findOne({ sku: String(sku) });
+  if (!product) {
+    return null;
+  }
+
+  const componentSkus = product.components.map(component => component.sku);
+  const [componentProducts, usedIn] = await Promise.all([
+    componentSkus.length > 0
+      ? collection.find({ sku: { $in: componentSkus } }, { projection: { _id: 0, sku: 1, product_name: 1, weight: 1, cost: 1 } }).toArray()
+      : [],
+    collection.find({ 'components.sku': product.sku }, { projection: { _id: 0, sku: 1, product_name: 1, components: 1 } }).toArray(),
+  ]);
+  const componentsBySku = new Map(componentProducts.map(component => [component.sku, component]));
+
+  return {
+    ...product,
+    components: product.components.map(component => ({ ...component, product: componentsBySku.get(component.sku) || null })),
+    used_in_combos: usedIn.map(combo => ({
+      sku: combo.sku,
+      product_name: combo.product_name,
+      quantity: combo.components.find(component => component.sku === product.sku)?.quantity,
+    })),
+  };
+};
+
+// Loads the SUMMARY_FIELDS of the given SKUs with one query
+const loadProductSummaries = async (skus) => {
+  const uniqueSkus = [...new Set(skus.filter(Boolean).map(String))];
+  if (uniqueSkus.length === 0) {
+    return new Map();
+  }
+  const projection = Object.fromEntries([['_id', 0], ['sku', 1], ...SUMMARY_FIELDS.map(field => [field, 1])]);
+  const products = await db.collection(PRODUCTS_COLLECTION).find({ sku: { $in: uniqueSkus } }, { projection }).toArray();
+  return new Map(products.map(({ sku, ...summary }) => [sku, summary]));
+};
+
+// Adds `product` (or null for SKUs not in the catalog) to every inventory item
+const attachProductsToItems = async (items) => {
+  const products = await loadProductSummaries(items.map(item => item.sku));
+  return items.map(item => ({ ...item, product: products.get(String(item.sku)) || null }));
+};
+
+// Adds `product` to every suborder of the given orders (orders projected without suborders are left as they are)
+const attachProductsToOrders = async (orders) => {
+  const skus = orders.flatMap(order => (Array.isArray(order.suborders) ? order.suborders.map(suborder => suborder.sku) : []));
+  const products = await loadProductSummaries(skus);
+  return orders.map(order => (Array.isArray(order.suborders)
+    ? {
+      ...order,
+      suborders: order.suborders.map(suborder => (suborder.sku === undefined
+        ? suborder
+        : { ...suborder, product: products.get(String(suborder.sku)) || null })),
+    }
+    : order));
+};
+
+module.exports = {
+  normalizeProduct,
+  syncProducts,
+  searchProducts,
+  getProduct,
+  attachProductsToItems,
+  attachProductsToOrders,
+  init: (globalDb) => {
+    db = globalDb;
+    db.collection(PRODUCTS_COLLECTION).createIndexes([
+      { key: { sku: 1 }, unique: true },
+      { key: { 'components.sku': 1 } },
+      { key: { product_name: 1 } },
+      { key: { category: 1, brand: 1 } },
+    ]).catch(error => console.error("❌ Failed to create easyecom_products indexes:", error.message));
+  },
+};
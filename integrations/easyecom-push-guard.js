@@ -0,0 +1,175 @@
+// integrations/easyecom-push-guard.js
+// Dry-run previews and safety limits for inventory pushes.
+// Pushes are compared with the last quantity easyEcom acknowledged for each SKU (inventory_push_state),
+// not with easyecom_inventory: most pushes send that stored stock, so it would always match.
+// A push that would zero out too many SKUs, or drop any SKU by more than the allowed amount,
+// is refused unless it carries the confirmation token a dry run issued for that exact payload.
+const crypto = require('crypto');
+const { planBatches } = require('./easyecom-inventory-push');
+const { defaultLocationKey } = require('../config/easyecom-locations');
+
+let db; // Global DB from server.js
+
+const {
+  EASYECOM_PUSH_MAX_ZERO_PERCENT,
+  EASYECOM_PUSH_MAX_SKU_DROP,
+  EASYECOM_PUSH_CONFIRMATION_SECRET,
+  JWT_SECRET,
+} = process.env;
+
+// The parsed setting, or the default when it is unset or not a number (an explicit 0 is kept)
+const limitOr = (parsed, fallback) => (Number.isNaN(parsed) ? fallback : parsed);
+
+const limits = {
+  // Largest share of a push's SKUs that may go from stock to zero
+  max_zero_percent: limitOr(parseFloat(EASYECOM_PUSH_MAX_ZERO_PERCENT), 10),
+  // Largest quantity drop allowed for a single SKU
+  max_sku_drop: limitOr(parseInt(EASYECOM_PUSH_MAX_SKU_DROP), 500),
+};
+
+const CONFIRMATION_TTL_MS = 15 * 60 * 1000;
+const confirmationSecret = EASYECOM_PUSH_CONFIRMATION_SECRET || JWT_SECRET;
+
+// A token only confirms the same SKUs and quantities for the same location
+const payloadDigest = (skus, locationKey) => {
+  const lines = [...skus]
+    .sort((a, b) => String(a.sku).localeCompare(String(b.sku)))
+    .map(item => `${item.sku}=${item.quantity}`);
+  const canonical = [`location=${locationKey}`, ...lines].join('\n');
+  return crypto.createHash('sha256').update(canonical).digest('hex');
+};
+
+const sign = (value) => crypto.createHmac('sha256', confirmationSecret).update(value).digest('hex');
+
+// Token format: "<expires_at_ms>.<hmac(expires_at_ms.payload_digest)>"
+const createConfirmationToken = (skus, locationKey) => {
+  const expiresAt = Date.now() + CONFIRMATION_TTL_MS;
+  return `${expiresAt}.${sign(`${expiresAt}.${payloadDigest(skus, locationKey)}`)}`;
+};
+
+const verifyConfirmationToken = (token, skus, locationKey) => {
+  if (!token || !confirmationSecret) {
+    return false;
+  }
+  const [expiresAt, signature] = String(token).split('.');
+  if (!expiresAt || !signature || Number(expiresAt) < Date.now()) {
+    return false;
+  }
+
+  const expected = sign(`${expiresAt}.${payloadDigest(skus, locationKey)}`);
+  return expected.length === signature.length
+    && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+};
+
+// Compares the SKUs about to be pushed with the quantities the push location last acknowledged
+const previewInventoryPush = async (skus, locationKey = defaultLocationKey) => {
+  const states = await db.collection('inventory_push_state')
+    .find({ sku: { $in: skus.map(item => item.sku) }, location_key: locationKey }, { projection: { sku: 1, last_pushed_quantity: 1, last_pushed_at: 1 } })
+    .toArray();
+  const lastPushed = new Map(states.map(state => [state.sku, state]));
+
+  const items = skus.map(item => {
+    const state = lastPushed.get(item.sku);
+    const currentQuantity = state ? Number(state.last_pushed_quantity) || 0 : null;
+    const newQuantity = Number(item.quantity) || 0;
+    return {
+      sku: item.sku,
+      current_quantity: currentQuantity,
+      last_pushed_at: state?.last_pushed_at || null,
+      new_quantity: newQuantity,
+      delta: currentQuantity === null ? null : newQuantity - currentQuantity,
+      // Unknown current stock counts as zeroing: we cannot prove it is already zero
+      sets_to_zero: newQuantity === 0 && currentQuantity !== 0,
+    };
+  });
+
+  const zeroing = items.filter(item => item.sets_to_zero);
+  const zeroPercent = items.length ? (zeroing.length / items.length) * 100 : 0;
+  const largeDrops = items.filter(item => item.delta !== null && -item.delta > limits.max_sku_drop);
+
+  const violations = [];
+  if (zeroPercent > limits.max_zero_percent) {
+    violations.push({
+      rule: 'max_zero_percent',
+      message: `${zeroing.length} of ${items.length} SKUs (${zeroPercent.toFixed(1)}%) would be set to zero; limit is ${limits.max_zero_percent}%`,
+      skus: zeroing.map(item => item.sku),
+    });
+  }
+  if (largeDrops.length > 0) {
+    violations.push({
+      rule: 'max_sku_drop',
+      message: `${largeDrops.length} SKUs would drop by more than ${limits.max_sku_drop} units`,
+      skus: largeDrops.map(item => item.sku),
+    });
+  }
+
+  return {
+    location_key: locationKey,
+    items,
+    summary: {
+      total: items.length,
+      increased: items.filter(item => item.delta > 0).length,
+      decreased: items.filter(item => item.delta < 0).length,
+      unchanged: items.filter(item => item.delta === 0).length,
+      never_pushed: items.filter(item => item.current_quantity === null).length,
+      set_to_zero: zeroing.length,
+      zero_percent: Number(zeroPercent.toFixed(2)),
+    },
+    limits,
+    violations,
+  };
+};
+
+// Decides whether a push may go ahead.
+// Returns { proceed: true } or { proceed: false, result } where result is the response body: a dry-run
+// preview (with the confirmation token when the push exceeds the limits), or a refusal. Tokens only come
+// from dry runs, so overriding the limits means reviewing the preview first.
+const guardInventoryPush = async (skus, { dryRun = false, confirmationToken, locationKey = defaultLocationKey } = {}) => {
+  const preview = await previewInventoryPush(skus, locationKey);
+  const needsConfirmation = preview.violations.length > 0;
+
+  if (dryRun) {
+    return {
+      proceed: false,
+      result: {
+        success: true,
+        dry_run: true,
+        message: `Dry run: ${skus.length} SKUs would be pushed to location ${locationKey}${needsConfirmation ? ' (requires confirmation)' : ''}`,
+        payload: planBatches(skus).map(batch => ({ skus: batch })),
+        preview,
+        confirmation_required: needsConfirmation,
+        ...(needsConfirmation && confirmationSecret && { confirmation_token: createConfirmationToken(skus, locationKey) }),
+      },
+    };
+  }
+
+  if (needsConfirmation && !verifyConfirmationToken(confirmationToken, skus, locationKey)) {
+    console.warn(`⚠️ [GUARD] Inventory push blocked: ${preview.violations.map(v => v.rule).join(', ')}`);
+    return {
+      proceed: false,
+      result: {
+        success: false,
+        blocked: true,
+        message: confirmationSecret
+          ? 'Push exceeds inventory safety limits; review it with dry_run=true and resend with the confirmation_token it returns'
+          : 'Push exceeds inventory safety limits; set EASYECOM_PUSH_CONFIRMATION_SECRET to allow confirmed overrides',
+        violations: preview.violations,
+        preview_summary: preview.summary,
+        limits,
+      },
+    };
+  }
+
+  if (needsConfirmation) {
+    console.log(`[GUARD] ✅ Inventory push over safety limits confirmed with token`);
+  }
+  return { proceed: true, preview_summary: preview.summary };
+};
+
+module.exports = {
+  guardInventoryPush,
+  previewInventoryPush,
+  init: (globalDb) => {
+    db = globalDb;
+  },
+};
@@ -0,0 +1,305 @@
+// integrations/easyecom-reconciliation.js
+// Checks that what we pushed actually landed in easyEcom. A reconciliation pulls current stock for a
+// location (without touching easyecom_inventory) and compares it SKU by SKU with the quantity we expect:
+// the last quantity easyEcom acknowledged in inventory_push_state, or the stored easyecom_inventory
+// quantity when it was pulled after that push (sales since the push are in it) or the SKU was never
+// pushed. One report per location goes to inventory_reconciliation_reports,
+// with its per-SKU mismatches in inventory_reconciliation_mismatches. Only mismatches against a push can
+// be re-pushed; those against stored stock are reported for information.
+const { ObjectId } = require('mongodb');
+const { fetchInventoryCatalog, normalizeInventoryEntry } = require('./easyecom-inventory');
+const { pushInventoryUpdates } = require('./easyecom-inventory-push');
+const { guardInventoryPush } = require('./easyecom-push-guard');
+const { resolveLocations } = require('./easyecom-locations');
+
+let db; // Global DB from server.js
+
+const REPORTS_COLLECTION = 'inventory_reconciliation_reports';
+const MISMATCHES_COLLECTION = 'inventory_reconciliation_mismatches';
+const UNTRACKED_SAMPLE_SIZE = 50;
+
+// Current easyEcom quantity per SKU for one location. Returns { quantities } or { error }.
+const fetchEasyEcomQuantities = async (locationKey, pageSize) => {
+  const catalog = await fetchInventoryCatalog({ includeLocations: 1, limit: pageSize || 50 }, locationKey);
+  if (!catalog.success) {
+    return { error: catalog.error };
+  }
+
+  const quantities = new Map();
+  const processedAt = new Date();
+  for (const entry of catalog.entries) {
+    const { item } = normalizeInventoryEntry(entry, processedAt, locationKey);
+    if (item && item.location_key === locationKey) {
+      quantities.set(item.sku, item.quantity);
+    }
+  }
+  return { quantities };
+};
+
+// Expected quantity per SKU: whichever is newer of the last acknowledged push and the stored stock
+// (processed_at is when it was pulled). A 'stored' basis is only easyEcom's own stock at pull time, so
+// sales since the pull show up as mismatches against it; those are never re-pushed.
+const loadExpectedQuantities = async (locationKey) => {
+  const [stored, pushed] = await Promise.all([
+    db.collection('easyecom_inventory')
+      .find({ location_key: locationKey, sku: { $exists: true } }, { projection: { sku: 1, quantity: 1, processed_at: 1 } })
+      .toArray(),
+    db.collection('inventory_push_state')
+      .find({ location_key: locationKey }, { projection: { sku: 1, last_pushed_quantity: 1, last_pushed_at: 1 } })
+      .toArray(),
+  ]);
+
+  const expected = new Map();
+  for (const item of stored) {
+    expected.set(item.sku, { quantity: Number(item.quantity) || 0, basis: 'stored', last_pushed_at: null, pulled_at: item.processed_at || null });
+  }
+  for (const state of pushed) {
+    const pulledAt = expected.get(state.sku)?.pulled_at;
+    if (pulledAt && (!state.last_pushed_at || new Date(pulledAt) > new Date(state.last_pushed_at))) {
+      expected.get(state.sku).last_pushed_at = state.last_pushed_at || null;
+      continue;
+    }
+    expected.set(state.sku, { quantity: Number(state.last_pushed_quantity) || 0, basis: 'pushed', last_pushed_at: state.last_pushed_at });
+  }
+  return expected;
+};
+
+const compareQuantities = (expected, actual) => {
+  const mismatches = [];
+  let matched = 0;
+  for (const [sku, { quantity, basis, last_pushed_at: lastPushedAt, pulled_at: pulledAt }] of expected) {
+    if (!actual.has(sku)) {
+      mismatches.push({ sku, type: 'missing_in_easyecom', expected_quantity: quantity, easyecom_quantity: null, delta: null, basis, last_pushed_at: lastPushedAt, pulled_at: pulledAt || null });
+    } else if (actual.get(sku) !== quantity) {
+      const easyEcomQuantity = actual.get(sku);
+      mismatches.push({ sku, type: 'quantity', expected_quantity: quantity, easyecom_quantity: easyEcomQuantity, delta: easyEcomQuantity - quantity, basis, last_pushed_at: lastPushedAt, pulled_at: pulledAt || null });
+    } else {
+      matched++;
+    }
+  }
+  const untracked = [...actual.keys()].filter(sku => !expected.has(sku));
+  return { mismatches, matched, untracked };
+};
+
+// Stock pulled after the push a mismatch expected, so the pushed quantity is out of date
+const findSupersededSkus = async (locationKey, mismatches) => {
+  const pushBased = mismatches.filter(item => item.basis === 'pushed' && item.last_pushed_at);
+  if (pushBased.length === 0) {
+    return new Set();
+  }
+  const pulled = await db.collection('easyecom_inventory')
+    .find({ location_key: locationKey, sku: { $in: pushBased.map(item => item.sku) } }, { projection: { sku: 1, processed_at: 1 } })
+    .toArray();
+  const pulledAtBySku = new Map(pulled.map(item => [item.sku, item.processed_at]));
+  return new Set(pushBased
+    .filter(item => pulledAtBySku.get(item.sku) && new Date(pulledAtBySku.get(item.sku)) > new Date(item.last_pushed_at))
+    .map(item => item.sku));
+};
+
+// Re-pushes the pushed quantity of every push-based mismatch of a report that was not re-pushed yet,
+// through the usual push guard (dryRun previews it and issues the confirmation token). Mismatches against
+// stored stock are returned as informational_skus and never pushed: the stored quantity is a copy of
+// easyEcom's stock at pull time, and pushing it back would restore stock sold since. Push-based mismatches
+// whose SKU was pulled again since are skipped; the next reconciliation checks them.
+// Returns { success, ... } shaped like the other push results; blocked pushes carry `blocked: true`.
+const repushMismatches = async (reportId, { confirmationToken, dryRun = false } = {}) => {
+  const report = await db.collection(REPORTS_COLLECTION).findOne({ _id: reportId }, { projection: { location_key: 1, status: 1 } });
+  if (!report) {
+    return { success: false, not_found: true, message: 'Reconciliation report not found' };
+  }
+  if (report.status !== 'completed') {
+    return { success: false, message: `Report is ${report.status}; only completed reports can be re-pushed` };
+  }
+
+  const mismatches = await db.collection(MISMATCHES_COLLECTION)
+    .find({ report_id: reportId, repushed_at: { $exists: false } }, { projection: { sku: 1, expected_quantity: 1, basis: 1, last_pushed_at: 1 } })
+    .toArray();
+  const informational = mismatches.filter(item => item.basis !== 'pushed').map(item => item.sku);
+  const pushBased = mismatches.filter(item => item.basis === 'pushed');
+  const superseded = await findSupersededSkus(report.location_key, pushBased);
+  const skus = pushBased
+    .filter(item => !superseded.has(item.sku))
+    .map(item => ({ sku: item.sku, quantity: item.expected_quantity }));
+  if (informational.length > 0) {
+    console.log(`[RECONCILE] ℹ️ Not re-pushing ${informational.length} SKUs mismatched against stored stock (report ${reportId})`);
+  }
+  if (superseded.size > 0) {
+    console.log(`[RECONCILE] ⏭️ Skipping ${superseded.size} mismatched SKUs pulled again since their last push (report ${reportId})`);
+  }
+  if (skus.length === 0) {
+    return {
+      success: true,
+      message: superseded.size > 0
+        ? 'Every push-based mismatch left was pulled again since its last push; run a new reconciliation'
+        : 'No push-based mismatches left to re-push',
+      uploaded_count: 0,
+      superseded_skus: [...superseded],
+      informational_skus: informational,
+    };
+  }
+
+  const guard = await guardInventoryPush(skus, { confirmationToken, dryRun, locationKey: report.location_key });
+  if (!guard.proceed) {
+    return { ...guard.result, report_id: reportId, superseded_skus: [...superseded], informational_skus: informational };
+  }
+
+  console.log(`[RECONCILE] ➡️ Re-pushing ${skus.length} mismatched SKUs for location ${report.location_key} (report ${reportId})`);
+  const push = await pushInventoryUpdates(skus, { source: `inventory-reconciliation:${reportId}`, locationKey: report.location_key });
+
+  const failedSkus = new Set(push.failed_skus.map(item => item.sku));
+  await db.collection(MISMATCHES_COLLECTION).updateMany(
+    { report_id: reportId, sku: { $in: skus.map(item => item.sku).filter(sku => !failedSkus.has(sku)) } },
+    { $set: { repushed_at: new Date(), repush_id: push.push_id } }
+  );
+  await db.collection(REPORTS_COLLECTION).updateOne({ _id: reportId }, {
+    $push: {
+      repushes: { push_id: push.push_id, pushed_at: new Date(), total: push.total, succeeded: push.succeeded, failed: push.failed },
+    },
+  });
+
+  return {
+    success: push.failed === 0,
+    message: `Re-pushed ${push.succeeded} of ${skus.length} mismatched SKUs to location ${report.location_key}`,
+    report_id: reportId,
+    uploaded_count: push.succeeded,
+    superseded_skus: [...superseded],
+    informational_skus: informational,
+    push_id: push.push_id,
+    location_key: push.location_key,
+    failed_count: push.failed,
+    failed_skus: push.failed_skus,
+    batches: push.batches,
+  };
+};
+
+// Reconciles one location and stores its report. Never throws: a failed pull is stored as a failed report.
+const reconcileLocation = async (locationKey, { pageSize, trigger }) => {
+  const reportId = new ObjectId();
+  const startedAt = new Date();
+  console.log(`[STEP 2] ➡️ Pulling current easyEcom stock for location ${locationKey} to reconcile...`);
+
+  try {
+    const actual = await fetchEasyEcomQuantities(locationKey, pageSize);
+    if (actual.error) {
+      throw new Error(actual.error);
+    }
+
+    const expected = await loadExpectedQuantities(locationKey);
+    const { mismatches, matched, untracked } = compareQuantities(expected, actual.quantities);
+    const counts = {
+      compared: expected.size,
+      matched,
+      mismatched: mismatches.length,
+      quantity_mismatches: mismatches.filter(item => item.type === 'quantity').length,
+      missing_in_easyecom: mismatches.filter(item => item.type === 'missing_in_easyecom').length,
+      untracked_in_easyecom: untracked.length,
+    };
+
+    if (mismatches.length > 0) {
+      await db.collection(MISMATCHES_COLLECTION).insertMany(mismatches.map(item => ({
+        report_id: reportId,
+        location_key: locationKey,
+        ...item,
+        // Sort key for the report: a SKU missing in easyEcom is off by its whole expected quantity
+        abs_delta: item.delta === null ? item.expected_quantity : Math.abs(item.delta),
+      })));
+    }
+    await db.collection(REPORTS_COLLECTION).insertOne({
+      _id: reportId,
+      location_key: locationKey,
+      status: 'completed',
+      trigger,
+      started_at: startedAt,
+      finished_at: new Date(),
+      counts,
+      // SKUs easyEcom has that we neither stock locally nor ever pushed
+      untracked_skus_sample: untracked.slice(0, UNTRACKED_SAMPLE_SIZE),
+      repushes: [],
+    });
+
+    console.log(`[STEP 3] 📊 ${locationKey}: ${counts.matched} matched, ${counts.quantity_mismatches} quantity mismatches, ${counts.missing_in_easyecom} missing in easyEcom`);
+    return { report_id: reportId, location_key: locationKey, status: 'completed', counts };
+  } catch (error) {
+    const errorData = error.response ? error.response.data : error.message;
+    console.error(`❌ [RECONCILE] ${locationKey}:`, JSON.stringify(errorData));
+    await db.collection(REPORTS_COLLECTION).insertOne({
+      _id: reportId,
+      location_key: locationKey,
+      status: 'failed',
+      trigger,
+      started_at: startedAt,
+      finished_at: new Date(),
+      error: errorData,
+    });
+    return { report_id: reportId, location_key: locationKey, status: 'failed', error: errorData };
+  }
+};
+
+// Reconciles one location (location_key) or all of them. With repush: true the push-based mismatches of
+// each report are re-pushed right away (a confirmation_token only fits a single location's payload).
+const reconcileInventory = async (options = {}) => {
+  console.log("\n\n--- reconcileInventory Function Called ---");
+  const { locationKeys, error: locationError } = resolveLocations(options.location_key);
+  if (locationError) {
+    return { success: false, message: locationError };
+  }
+
+  const repush = options.repush === true || options.repush === 'true';
+  const reports = [];
+  for (const locationKey of locationKeys) {
+    const report = await reconcileLocation(locationKey, { pageSize: options.limit, trigger: options.trigger || 'manual' });
+    if (repush && report.status === 'completed' && report.counts.mismatched > 0) {
+      report.repush = await repushMismatches(report.report_id, { confirmationToken: options.confirmationToken });
+    }
+    reports.push(report);
+  }
+
+  const failed = reports.filter(report => report.status === 'failed');
+  const mismatched = reports.reduce((sum, report) => sum + (report.counts?.mismatched || 0), 0);
+  return {
+    success: failed.length === 0 && reports.every(report => !report.repush || report.repush.success),
+    message: failed.length > 0
+      ? `Reconciliation failed for ${failed.map(report => report.location_key).join(', ')}`
+      : `Reconciled ${locationKeys.length} location(s): ${mismatched} mismatched SKUs`,
+    mismatched,
+    reports,
+  };
+};
+
+// Reports without their mismatches (?location_key=&status=&limit=)
+const listReconciliationReports = async ({ locationKey, status, limit = 20 } = {}) => {
+  const filter = {};
+  if (locationKey) filter.location_key = locationKey;
+  if (status) filter.status = status;
+  return db.collection(REPORTS_COLLECTION).find(filter).sort({ started_at: -1 }).limit(limit).toArray();
+};
+
+// One report with its per-SKU mismatches (largest differences first)
+const getReconciliationReport = async (reportId, { type, limit = 500 } = {}) => {
+  const report = await db.collection(REPORTS_COLLECTION).findOne({ _id: reportId });
+  if (!report) {
+    return null;
+  }
+  const filter = { report_id: reportId };
+  if (type) filter.type = type;
+  const mismatches = await db.collection(MISMATCHES_COLLECTION)
+    .find(filter, { projection: { report_id: 0, abs_delta: 0 } })
+    .sort({ abs_delta: -1, sku: 1 })
+    .limit(limit)
+    .toArray();
+  return { ...report, mismatches };
+};
+
+module.exports = {
+  reconcileInventory,
+  repushMismatches,
+  listReconciliationReports,
+  getReconciliationReport,
+  init: (globalDb) => {
+    db = globalDb;
+    db.collection(REPORTS_COLLECTION).createIndex({ location_key: 1, started_at: -1 })
+      .catch(error => console.error("❌ Failed to create inventory_reconciliation_reports indexes:", error.message));
+    db.collection(MISMATCHES_COLLECTION).createIndex({ report_id: 1, sku: 1 })
+      .catch(error => console.error("❌ Failed to create inventory_reconciliation_mismatches indexes:", error.message));
+  },
+};
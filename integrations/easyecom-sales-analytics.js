@@ -0,0 +1,285 @@
+// integrations/easyecom-sales-analytics.js
+// Revenue, order count and units sold from easyecom_orders, by day, week or month, in total or broken
+// down by marketplace, SKU, state, city or payment type (COD vs prepaid).
+// A nightly rollup precomputes one row per day, location, dimension and key into easyecom_sales_rollups,
+// which the reports read; ?source=live runs the same pipelines against easyecom_orders instead.
+// Days come from order_date as easyEcom sends it (account local time), so no timezone conversion applies.
+// Revenue is the sum of suborder selling_price (the line total); suborders in an excluded status are left out.
+
+let db; // Global DB from server.js
+
+const {
+  EASYECOM_SALES_EXCLUDED_STATUSES,
+  EASYECOM_SALES_ROLLUP_DAYS,
+} = process.env;
+
+const ROLLUP_COLLECTION = 'easyecom_sales_rollups';
+const EXCLUDED_STATUSES = (EASYECOM_SALES_EXCLUDED_STATUSES || 'Cancelled')
+  .split(',')
+  .map(status => status.trim())
+  .filter(Boolean);
+// Late cancellations and returns change past days, so every nightly run recomputes this many days
+const rollupDays = parseInt(EASYECOM_SALES_ROLLUP_DAYS) || 7;
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INTERVALS = ['day', 'week', 'month'];
+
+// Key of each breakdown, computed from a row of the unwound sales stage below, and the
+// descriptive label kept alongside it (reported as `labelField`)
+const DIMENSIONS = {
+  total: { key: 'all' },
+  marketplace: { key: '$marketplace' },
+  sku: { key: '$sku', label: '$product_name', labelField: 'product_name' },
+  state: { key: '$state' },
+  // City names repeat across states, so a city is keyed as "City, State"
+  city: { key: { $concat: ['$city', ', ', '$state'] } },
+  payment_type: { key: '$payment_type' },
+};
+
+const BREAKDOWNS = Object.keys(DIMENSIONS).filter(dimension => dimension !== 'total');
+
+const toDay = (date) => date.toISOString().slice(0, 10);
+
+// Validates ?from=&to= (YYYY-MM-DD); defaults to the last `defaultDays` days up to today
+const resolveDayRange = ({ from, to } = {}, defaultDays = 30) => {
+  if ([from, to].some(day => day && !DAY_PATTERN.test(String(day)))) {
+    return { error: 'from and to must be dates in YYYY-MM-DD format' };
+  }
+  const range = {
+    from: from || toDay(new Date(Date.now() - (defaultDays - 1) * DAY_MS)),
+    to: to || toDay(new Date()),
+  };
+  if (range.from > range.to) {
+    return { error: 'from must not be after to' };
+  }
+  return range;
+};
+
+const toNumber = (input, fallback) => ({ $convert: { input, to: 'double', onError: fallback, onNull: fallback } });
+
+// One row per sold suborder line between `from` and `to` (days, inclusive)
+const salesLineStages = ({ from, to, locationKey }) => {
+  const match = { order_date: { $gte: `${from} 00:00:00`, $lte: `${to} 23:59:59` } };
+  if (locationKey) match.location_key = locationKey;
+  return [
+    { $match: match },
+    { $match: { order_status: { $nin: EXCLUDED_STATUSES } } },
+    { $unwind: '$suborders' },
+    { $match: { 'suborders.order_status': { $nin: EXCLUDED_STATUSES } } },
+    {
+      $project: {
+        _id: 0,
+        order_id: 1,
+        date: { $substrBytes: ['$order_date', 0, 10] },
+        location_key: { $ifNull: ['$location_key', 'unknown'] },
+        marketplace: { $ifNull: ['$marketplace', { $ifNull: [{ $toString: '$marketplace_id' }, 'Unknown'] }] },
+        sku: { $toString: { $ifNull: ['$suborders.sku', 'Unknown'] } },
+        product_name: '$suborders.productName',
+        state: { $ifNull: ['$state', 'Unknown'] },
+        city: { $ifNull: ['$city', 'Unknown'] },
+        payment_type: {
+          $switch: {
+            branches: [
+              { case: { $eq: [{ $ifNull: ['$payment_mode', null] }, null] }, then: 'Unknown' },
+              { case: { $regexMatch: { input: { $toString: '$payment_mode' }, regex: /cod|cash/i } }, then: 'COD' },
+            ],
+            default: 'Prepaid',
+          },
+        },
+        units: toNumber({ $ifNull: ['$suborders.item_quantity', 1] }, 1),
+        revenue: toNumber('$suborders.selling_price', 0),
+      },
+    },
+  ];
+};
+
+// Groups sales lines into rollup rows { date, location_key, dimension, key, label?, orders, units, revenue }
+const dimensionStages = (dimension) => {
+  const { key, label } = DIMENSIONS[dimension];
+  return [
+    {
+      $group: {
+        _id: { date: '$date', location_key: '$location_key', key },
+        order_ids: { $addToSet: '$order_id' },
+        units: { $sum: '$units' },
+        revenue: { $sum: '$revenue' },
+        ...(label && { label: { $first: label } }),
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        date: '$_id.date',
+        location_key: '$_id.location_key',
+        dimension: { $literal: dimension },
+        key: '$_id.key',
+        ...(label && { label: 1 }),
+        orders: { $size: '$order_ids' },
+        units: 1,
+        revenue: { $round: ['$revenue', 2] },
+      },
+    },
+  ];
+};
+
+// Recomputes the rollup rows of every day between `from` and `to` (defaults to the last
+// EASYECOM_SALES_ROLLUP_DAYS days). Rows of those days are replaced, so reruns are safe.
+const rollupSales = async (options = {}) => {
+  console.log("\n\n--- rollupSales Function Called ---");
+  try {
+    const range = resolveDayRange(options, rollupDays);
+    if (range.error) {
+      return { success: false, message: range.error };
+    }
+
+    console.log(`[STEP 1] 🔄 Rolling up sales from ${range.from} to ${range.to}...`);
+    const rollups = db.collection(ROLLUP_COLLECTION);
+    const rolledUpAt = new Date();
+    const deleted = await rollups.deleteMany({ date: { $gte: range.from, $lte: range.to } });
+
+    const rows = {};
+    for (const dimension of Object.keys(DIMENSIONS)) {
+      await db.collection('easyecom_orders').aggregate([
+        ...salesLineStages(range),
+        ...dimensionStages(dimension),
+        { $set: { rolled_up_at: rolledUpAt } },
+        { $merge: { into: ROLLUP_COLLECTION, on: ['date', 'location_key', 'dimension', 'key'], whenMatched: 'replace', whenNotMatched: 'insert' } },
+      ], { allowDiskUse: true }).toArray();
+      rows[dimension] = await rollups.countDocuments({ date: { $gte: range.from, $lte: range.to }, dimension });
+      console.log(`[STEP 2] 📊 ${dimension}: ${rows[dimension]} rollup rows`);
+    }
+
+    return {
+      success: true,
+      message: `Rolled up sales from ${range.from} to ${range.to}`,
+      from: range.from,
+      to: range.to,
+      replaced_rows: deleted.deletedCount,
+      rows,
+    };
+  } catch (error) {
+    console.error("❌ ERROR in rollupSales:", error.message);
+    return { success: false, error: error.message, message: "Failed to roll up sales" };
+  }
+};
+
+// Period a YYYY-MM-DD day falls in: the day itself, the Monday starting its week, or YYYY-MM
+const periodExpression = (interval) => {
+  if (interval === 'month') return { $substrBytes: ['$date', 0, 7] };
+  if (interval === 'week') {
+    return {
+      $dateToString: {
+        format: '%Y-%m-%d',
+        date: { $dateTrunc: { date: { $dateFromString: { dateString: '$date', format: '%Y-%m-%d' } }, unit: 'week', startOfWeek: 'monday' } },
+      },
+    };
+  }
+  return '$date';
+};
+
+// Pipeline over easyecom_sales_rollups, or the same rows computed live from easyecom_orders,
+// followed by `stages`
+const aggregateRows = ({ range, locationKey, dimension, live }, stages) => {
+  if (live) {
+    return db.collection('easyecom_orders')
+      .aggregate([...salesLineStages({ ...range, locationKey }), ...dimensionStages(dimension), ...stages], { allowDiskUse: true })
+      .toArray();
+  }
+  const match = { date: { $gte: range.from, $lte: range.to }, dimension };
+  if (locationKey) match.location_key = locationKey;
+  return db.collection(ROLLUP_COLLECTION).aggregate([{ $match: match }, ...stages], { allowDiskUse: true }).toArray();
+};
+
+// Sums rollup rows per `_id` and adds the average order value
+const sumStages = (id, withLabel) => [
+  {
+    $group: {
+      _id: id,
+      orders: { $sum: '$orders' },
+      units: { $sum: '$units' },
+      revenue: { $sum: '$revenue' },
+      ...(withLabel && { label: { $first: '$label' } }),
+    },
+  },
+  {
+    $set: {
+      revenue: { $round: ['$revenue', 2] },
+      avg_order_value: { $cond: [{ $gt: ['$orders', 0] }, { $round: [{ $divide: ['$revenue', '$orders'] }, 2] }, null] },
+    },
+  },
+];
+
+// Revenue, orders and units per period, optionally per key of a dimension (groupBy).
+// Returns { error } for invalid params, otherwise { interval, group_by, from, to, source, data }.
+const getSalesReport = async ({ interval = 'day', groupBy, from, to, locationKey, live = false, limit = 1000 } = {}) => {
+  if (!INTERVALS.includes(interval)) {
+    return { error: `interval must be one of ${INTERVALS.join(', ')}` };
+  }
+  if (groupBy && (groupBy === 'total' || !DIMENSIONS[groupBy])) {
+    return { error: `group_by must be one of ${BREAKDOWNS.join(', ')}` };
+  }
+  const range = resolveDayRange({ from, to });
+  if (range.error) {
+    return range;
+  }
+
+  const dimension = groupBy || 'total';
+  const rows = await aggregateRows({ range, locationKey, dimension, live }, [
+    ...sumStages({ period: periodExpression(interval), key: '$key' }, Boolean(DIMENSIONS[dimension].label)),
+    { $sort: { '_id.period': 1, revenue: -1 } },
+    { $limit: limit },
+  ]);
+
+  return {
+    interval,
+    group_by: groupBy || null,
+    from: range.from,
+    to: range.to,
+    source: live ? 'live' : 'rollup',
+    data: rows.map(({ _id, label, ...totals }) => ({
+      period: _id.period,
+      ...(groupBy && { key: _id.key }),
+      ...(DIMENSIONS[dimension].labelField && { [DIMENSIONS[dimension].labelField]: label ?? null }),
+      ...totals,
+    })),
+  };
+};
+
+// Best-selling SKUs over the range, by revenue or units (sortBy)
+const getTopSkus = async ({ from, to, locationKey, live = false, limit = 10, sortBy = 'revenue' } = {}) => {
+  if (!['revenue', 'units', 'orders'].includes(sortBy)) {
+    return { error: 'sort must be revenue, units or orders' };
+  }
+  const range = resolveDayRange({ from, to });
+  if (range.error) {
+    return range;
+  }
+
+  const rows = await aggregateRows({ range, locationKey, dimension: 'sku', live }, [
+    ...sumStages('$key', true),
+    { $sort: { [sortBy]: -1, _id: 1 } },
+    { $limit: limit },
+  ]);
+
+  return {
+    from: range.from,
+    to: range.to,
+    sort: sortBy,
+    source: live ? 'live' : 'rollup',
+    data: rows.map(({ _id, label, ...totals }, index) => ({ rank: index + 1, sku: _id, product_name: label ?? null, ...totals })),
+  };
+};
+
+module.exports = {
+  rollupSales,
+  getSalesReport,
+  getTopSkus,
+  init: (globalDb) => {
+    db = globalDb;
+    db.collection(ROLLUP_COLLECTION).createIndexes([
+      { key: { date: 1, location_key: 1, dimension: 1, key: 1 }, unique: true },
+      { key: { dimension: 1, date: 1 } },
+    ]).catch(error => console.error("❌ Failed to create easyecom_sales_rollups indexes:", error.message));
+  },
+};
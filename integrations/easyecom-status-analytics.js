@@ -0,0 +1,263 @@
+// integrations/easyecom-status-analytics.js
+// Reads back the status_history that /pull-data records on orders and suborders:
+// per-order timelines, time spent in each status, stuck orders and daily transition counts.
+// History timestamps are when a pull first saw a status, so durations are accurate to the pull interval.
+
+let db; // Global DB from server.js
+
+const {
+  EASYECOM_STUCK_THRESHOLD_HOURS,
+  EASYECOM_TERMINAL_STATUSES,
+} = process.env;
+
+const DEFAULT_STUCK_THRESHOLD_HOURS = parseFloat(EASYECOM_STUCK_THRESHOLD_HOURS) || 48;
+// Statuses an order is expected to stay in, so they never count as stuck
+const TERMINAL_STATUSES = (EASYECOM_TERMINAL_STATUSES || 'Delivered,Cancelled,Returned')
+  .split(',')
+  .map(status => status.trim())
+  .filter(Boolean);
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Turns a status_history array into timeline entries with the time spent in each status.
+// The last status is still open, so its duration runs until `now`.
+const buildTimeline = (history = [], now = new Date()) => history.map((entry, index) => {
+  const next = history[index + 1];
+  const enteredAt = new Date(entry.timestamp);
+  const leftAt = next ? new Date(next.timestamp) : null;
+  return {
+    status: entry.new_status,
+    previous_status: entry.old_status ?? null,
+    entered_at: enteredAt,
+    left_at: leftAt,
+    duration_ms: (leftAt || now).getTime() - enteredAt.getTime(),
+    current: !next,
+  };
+});
+
+const findOrder = async (orderId) => {
+  const collection = db.collection('easyecom_orders');
+  const numericId = Number(orderId);
+  const candidates = Number.isNaN(numericId) ? [orderId] : [numericId, String(orderId)];
+  return (await collection.findOne({ order_id: { $in: candidates } }))
+    || collection.findOne({ reference_code: String(orderId) });
+};
+
+// Timeline of an order (by order_id or reference_code) and each of its suborders,
+// or of one suborder when `suborderNum` is given. Returns null when the order is unknown.
+const getOrderTimeline = async (orderId, { suborderNum } = {}) => {
+  const order = await findOrder(orderId);
+  if (!order) {
+    return null;
+  }
+
+  const now = new Date();
+  const suborders = (order.suborders || [])
+    .filter(suborder => !suborderNum || String(suborder.suborder_num) === String(suborderNum))
+    .map(suborder => ({
+      suborder_num: suborder.suborder_num,
+      sku: suborder.sku,
+      current_status: suborder.order_status,
+      timeline: buildTimeline(suborder.status_history, now),
+    }));
+
+  return {
+    order_id: order.order_id,
+    reference_code: order.reference_code,
+    location_key: order.location_key,
+    current_status: order.order_status,
+    timeline: buildTimeline(order.status_history, now),
+    suborders,
+  };
+};
+
+const percentile = (sortedValues, fraction) => {
+  if (sortedValues.length === 0) return null;
+  const index = Math.min(sortedValues.length - 1, Math.ceil(fraction * sortedValues.length) - 1);
+  return sortedValues[Math.max(index, 0)];
+};
+
+// Match stage shared by the aggregate reports
+const orderMatch = ({ locationKey, marketplace } = {}) => {
+  const match = {};
+  if (locationKey) match.location_key = locationKey;
+  if (marketplace) {
+    const marketplaceId = Number(marketplace);
+    match.$or = Number.isNaN(marketplaceId)
+      ? [{ marketplace }]
+      : [{ marketplace }, { marketplace_id: marketplaceId }];
+  }
+  return match;
+};
+
+// Average and p90 time spent in a status before moving to the next one, per transition
+// (e.g. Open → Shipped). `level` is 'order' or 'suborder'; transitions are those that
+// completed between `from` and `to`.
+const getTimeInStatus = async ({ level = 'order', from, to, locationKey, marketplace } = {}) => {
+  const historyPath = level === 'suborder' ? '$suborders.status_history' : '$status_history';
+  const pipeline = [{ $match: orderMatch({ locationKey, marketplace }) }];
+  if (level === 'suborder') {
+    pipeline.push({ $unwind: '$suborders' });
+  }
+
+  const history = { $ifNull: [historyPath, []] };
+  const current = { $arrayElemAt: ['$pair', 0] };
+  const next = { $arrayElemAt: ['$pair', 1] };
+  const completedAtMatch = {};
+  if (from) completedAtMatch.$gte = from;
+  if (to) completedAtMatch.$lte = to;
+
+  pipeline.push(
+    // Pair every history entry with the one after it ($zip stops at the shorter array)
+    { $project: { pairs: { $zip: { inputs: [history, { $slice: [history, 1, { $max: [{ $size: history }, 1] }] }] } } } },
+    { $unwind: '$pairs' },
+    { $project: { pair: '$pairs' } },
+    {
+      $project: {
+        from_status: { $getField: { field: 'new_status', input: current } },
+        to_status: { $getField: { field: 'new_status', input: next } },
+        completed_at: { $getField: { field: 'timestamp', input: next } },
+        duration_ms: {
+          $subtract: [
+            { $getField: { field: 'timestamp', input: next } },
+            { $getField: { field: 'timestamp', input: current } },
+          ],
+        },
+      },
+    },
+  );
+  if (from || to) {
+    pipeline.push({ $match: { completed_at: completedAtMatch } });
+  }
+  pipeline.push({
+    $group: {
+      _id: { from_status: '$from_status', to_status: '$to_status' },
+      durations: { $push: '$duration_ms' },
+    },
+  });
+
+  const groups = await db.collection('easyecom_orders').aggregate(pipeline, { allowDiskUse: true }).toArray();
+
+  return groups
+    .map(group => {
+      const durations = group.durations.filter(duration => duration >= 0).sort((a, b) => a - b);
+      const total = durations.reduce((sum, duration) => sum + duration, 0);
+      return {
+        from_status: group._id.from_status,
+        to_status: group._id.to_status,
+        transition: `${group._id.from_status} → ${group._id.to_status}`,
+        count: durations.length,
+        avg_hours: durations.length ? Number((total / durations.length / HOUR_MS).toFixed(2)) : null,
+        p90_hours: durations.length ? Number((percentile(durations, 0.9) / HOUR_MS).toFixed(2)) : null,
+      };
+    })
+    .sort((a, b) => b.count - a.count);
+};
+
+// Orders whose current status was entered more than `thresholdHours` ago and is not terminal
+const getStuckOrders = async ({ thresholdHours = DEFAULT_STUCK_THRESHOLD_HOURS, status, locationKey, marketplace, limit = 100 } = {}) => {
+  const cutoff = new Date(Date.now() - thresholdHours * HOUR_MS);
+  const match = orderMatch({ locationKey, marketplace });
+  match.order_status = status ? status : { $nin: TERMINAL_STATUSES };
+
+  const orders = await db.collection('easyecom_orders').aggregate([
+    { $match: match },
+    { $addFields: { status_since: { $getField: { field: 'timestamp', input: { $last: '$status_history' } } } } },
+    { $match: { status_since: { $lte: cutoff } } },
+    { $sort: { status_since: 1 } },
+    { $limit: limit },
+    {
+      $project: {
+        _id: 0,
+        order_id: 1,
+        reference_code: 1,
+        location_key: 1,
+        marketplace: 1,
+        marketplace_id: 1,
+        order_status: 1,
+        status_since: 1,
+      },
+    },
+  ]).toArray();
+
+  const now = Date.now();
+  return {
+    threshold_hours: thresholdHours,
+    terminal_statuses: status ? [] : TERMINAL_STATUSES,
+    orders: orders.map(order => ({
+      ...order,
+      hours_in_status: Number(((now - new Date(order.status_since).getTime()) / HOUR_MS).toFixed(1)),
+    })),
+  };
+};
+
+// True for an IANA time zone name (or UTC offset) that days can be bucketed in
+const isValidTimeZone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat(undefined, { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Number of order status transitions per day and marketplace between `from` and `to`.
+// The first status an order is seen with is not a transition and is left out.
+const getDailyTransitions = async ({ from, to, locationKey, marketplace, timezone = 'UTC' } = {}) => {
+  const timestampMatch = {};
+  if (from) timestampMatch.$gte = from;
+  if (to) timestampMatch.$lte = to;
+
+  const historyMatch = { 'status_history.old_status': { $ne: null } };
+  if (from || to) {
+    historyMatch['status_history.timestamp'] = timestampMatch;
+  }
+  // Narrows the orders before $unwind; the same filter is applied again to each history entry
+  const match = orderMatch({ locationKey, marketplace });
+  if (from || to) {
+    match.status_history = { $elemMatch: { timestamp: timestampMatch } };
+  }
+
+  const rows = await db.collection('easyecom_orders').aggregate([
+    { $match: match },
+    { $unwind: '$status_history' },
+    { $match: historyMatch },
+    {
+      $group: {
+        _id: {
+          day: { $dateToString: { format: '%Y-%m-%d', date: '$status_history.timestamp', timezone } },
+          marketplace: { $ifNull: ['$marketplace', { $toString: '$marketplace_id' }] },
+          from_status: '$status_history.old_status',
+          to_status: '$status_history.new_status',
+        },
+        count: { $sum: 1 },
+      },
+    },
+    { $sort: { '_id.day': 1, '_id.marketplace': 1, count: -1 } },
+  ], { allowDiskUse: true }).toArray();
+
+  return rows.map(row => ({
+    day: row._id.day,
+    marketplace: row._id.marketplace ?? null,
+    from_status: row._id.from_status,
+    to_status: row._id.to_status,
+    transition: `${row._id.from_status} → ${row._id.to_status}`,
+    count: row.count,
+  }));
+};
+
+module.exports = {
+  buildTimeline,
+  getOrderTimeline,
+  getTimeInStatus,
+  getStuckOrders,
+  getDailyTransitions,
+  isValidTimeZone,
+  init: (globalDb) => {
+    db = globalDb;
+    db.collection('easyecom_orders').createIndexes([
+      { key: { 'status_history.timestamp': 1 } },
+      { key: { order_status: 1, last_updated: 1 } },
+    ]).catch(error => console.error("❌ Failed to create easyecom_orders analytics indexes:", error.message));
+  },
+};
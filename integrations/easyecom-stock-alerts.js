@@ -0,0 +1,328 @@
+// integrations/easyecom-stock-alerts.js
+// Reorder-point rules and low-stock alerts for easyecom_inventory.
+// Rules (easyecom_reorder_rules) give a reorder point and safety stock for a SKU, a product category
+// (from easyecom_products) or every SKU, optionally for one location; the most specific rule wins.
+// After each inventory pull every SKU/location is evaluated: stock at or below the reorder point opens
+// a "low" alert, below the safety stock a "critical" one. Alerts (inventory_alerts) move from open to
+// acknowledged by hand and to resolved once stock recovers, and every change is sent to lib/notifiers.
+const { ObjectId } = require('mongodb');
+const { notify } = require('../lib/notifiers');
+const { toEasyEcomDate } = require('./easyecom-order-query');
+
+let db; // Global DB from server.js
+
+const { EASYECOM_VELOCITY_WINDOW_DAYS } = process.env;
+
+// Days of order history that sales velocity (and so days of cover) is based on
+const velocityWindowDays = parseInt(EASYECOM_VELOCITY_WINDOW_DAYS) || 30;
+
+const RULES_COLLECTION = 'easyecom_reorder_rules';
+const ALERTS_COLLECTION = 'inventory_alerts';
+const RULE_SCOPES = ['sku', 'category', 'default'];
+const SEVERITY_RANK = { low: 1, critical: 2 };
+// Suborders in these statuses are not counted as sales
+const UNSOLD_STATUSES = ['Cancelled'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Validates a rule from PUT /reorder-rules. Returns { rule } or { errors }.
+const validateRule = (body = {}) => {
+  const errors = [];
+  const scope = body.scope || (body.sku ? 'sku' : body.category ? 'category' : null);
+  if (!RULE_SCOPES.includes(scope)) {
+    errors.push(`scope must be one of ${RULE_SCOPES.join(', ')} (or give sku or category)`);
+  }
+  if (scope === 'sku' && !body.sku) errors.push('sku is required for a sku rule');
+  if (scope === 'category' && !body.category) errors.push('category is required for a category rule');
+
+  const reorderPoint = Number(body.reorder_point);
+  const safetyStock = body.safety_stock === undefined ? 0 : Number(body.safety_stock);
+  if (!Number.isFinite(reorderPoint) || reorderPoint < 0) errors.push('reorder_point must be a number >= 0');
+  if (!Number.isFinite(safetyStock) || safetyStock < 0) errors.push('safety_stock must be a number >= 0');
+  if (safetyStock > reorderPoint) errors.push('safety_stock cannot be above reorder_point');
+  if (body.reorder_quantity !== undefined && !(Number(body.reorder_quantity) > 0)) errors.push('reorder_quantity must be a number > 0');
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+  return {
+    rule: {
+      scope,
+      sku: scope === 'sku' ? String(body.sku) : null,
+      category: scope === 'category' ? String(body.category) : null,
+      location_key: body.location_key || null,
+      reorder_point: reorderPoint,
+      safety_stock: safetyStock,
+      reorder_quantity: body.reorder_quantity === undefined ? null : Number(body.reorder_quantity),
+    },
+  };
+};
+
+// Creates or replaces the rule for the same scope, SKU/category and location
+const saveRule = async (rule) => {
+  const now = new Date();
+  const key = { scope: rule.scope, sku: rule.sku, category: rule.category, location_key: rule.location_key };
+  return db.collection(RULES_COLLECTION).findOneAndUpdate(
+    key,
+    { $set: { ...rule, updated_at: now }, $setOnInsert: { created_at: now } },
+    { upsert: true, returnDocument: 'after' }
+  );
+};
+
+const listRules = async (filter = {}) => db.collection(RULES_COLLECTION).find(filter).sort({ scope: 1, sku: 1, category: 1 }).toArray();
+
+const deleteRule = async (id) => {
+  const { deletedCount } = await db.collection(RULES_COLLECTION).deleteOne({ _id: new ObjectId(id) });
+  return deletedCount > 0;
+};
+
+// Picks the most specific rule for an item: SKU before category before default,
+// and within each scope a rule for the item's location before one for every location
+const buildRuleResolver = (rules) => {
+  const index = new Map(rules.map(rule => [`${rule.scope}|${rule.sku ?? rule.category ?? ''}|${rule.location_key ?? ''}`, rule]));
+  return (item, category) => {
+    const candidates = [
+      `sku|${item.sku}|${item.location_key ?? ''}`,
+      `sku|${item.sku}|`,
+      ...(category ? [`category|${category}|${item.location_key ?? ''}`, `category|${category}|`] : []),
+      `default||${item.location_key ?? ''}`,
+      'default||',
+    ];
+    for (const key of candidates) {
+      if (index.has(key)) return index.get(key);
+    }
+    return null;
+  };
+};
+
+const severityFor = (quantity, rule) => {
+  if (quantity < rule.safety_stock) return 'critical';
+  if (quantity <= rule.reorder_point) return 'low';
+  return null;
+};
+
+// Units sold per day over the velocity window, keyed by "sku@location_key"
+const getSalesVelocity = async (skus, { locationKey, windowDays = velocityWindowDays } = {}) => {
+  if (skus.length === 0) {
+    return new Map();
+  }
+  const since = toEasyEcomDate(new Date(Date.now() - windowDays * DAY_MS));
+  const match = { order_date: { $gte: since }, 'suborders.sku': { $in: skus } };
+  if (locationKey) match.location_key = locationKey;
+
+  const rows = await db.collection('easyecom_orders').aggregate([
+    { $match: match },
+    { $unwind: '$suborders' },
+    { $match: { 'suborders.sku': { $in: skus }, 'suborders.order_status': { $nin: UNSOLD_STATUSES } } },
+    {
+      $group: {
+        _id: { sku: '$suborders.sku', location_key: '$location_key' },
+        units: { $sum: { $convert: { input: { $ifNull: ['$suborders.item_quantity', 1] }, to: 'double', onError: 1, onNull: 1 } } },
+      },
+    },
+  ]).toArray();
+
+  return new Map(rows.map(row => [`${row._id.sku}@${row._id.location_key}`, row.units / windowDays]));
+};
+
+const daysOfCover = (quantity, dailyVelocity) => (dailyVelocity > 0 ? Number((Math.max(quantity, 0) / dailyVelocity).toFixed(1)) : null);
+
+// Every live inventory item that breaches its rule, with days of cover.
+// Returns { items, rules_count } sorted by severity, then days of cover.
+const findLowStock = async ({ locationKey, severity } = {}) => {
+  const rules = await listRules();
+  if (rules.length === 0) {
+    return { items: [], rules_count: 0 };
+  }
+
+  const inventoryFilter = locationKey ? { location_key: locationKey } : {};
+  const items = await db.collection('easyecom_inventory')
+    .find(inventoryFilter, { projection: { _id: 0, sku: 1, location_key: 1, product_name: 1, available_quantity: 1, quantity: 1 } })
+    .toArray();
+
+  const categories = new Map();
+  if (rules.some(rule => rule.scope === 'category')) {
+    const products = await db.collection('easyecom_products')
+      .find({ sku: { $in: items.map(item => item.sku) } }, { projection: { _id: 0, sku: 1, category: 1 } })
+      .toArray();
+    products.forEach(product => categories.set(product.sku, product.category));
+  }
+
+  const resolveRule = buildRuleResolver(rules);
+  const breaches = [];
+  for (const item of items) {
+    const rule = resolveRule(item, categories.get(item.sku));
+    if (!rule) continue;
+    const quantity = Number(item.available_quantity ?? item.quantity) || 0;
+    const itemSeverity = severityFor(quantity, rule);
+    if (!itemSeverity || (severity && itemSeverity !== severity)) continue;
+    breaches.push({
+      sku: item.sku,
+      location_key: item.location_key ?? null,
+      product_name: item.product_name ?? null,
+      quantity,
+      severity: itemSeverity,
+      reorder_point: rule.reorder_point,
+      safety_stock: rule.safety_stock,
+      reorder_quantity: rule.reorder_quantity,
+      rule_id: rule._id,
+      rule_scope: rule.scope,
+    });
+  }
+
+  const velocity = await getSalesVelocity([...new Set(breaches.map(breach => breach.sku))], { locationKey });
+  for (const breach of breaches) {
+    const dailyVelocity = velocity.get(`${breach.sku}@${breach.location_key}`) || 0;
+    breach.daily_velocity = Number(dailyVelocity.toFixed(2));
+    breach.days_of_cover = daysOfCover(breach.quantity, dailyVelocity);
+  }
+
+  breaches.sort((a, b) => (SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity])
+    || ((a.days_of_cover ?? Infinity) - (b.days_of_cover ?? Infinity)));
+  return { items: breaches, rules_count: rules.length, velocity_window_days: velocityWindowDays };
+};
+
+const describeAlert = (alert) => `${alert.sku}@${alert.location_key ?? 'all'} has ${alert.quantity} units `
+  + `(reorder point ${alert.reorder_point}, safety stock ${alert.safety_stock})`
+  + (alert.days_of_cover === null || alert.days_of_cover === undefined ? '' : `, ${alert.days_of_cover} days of cover`);
+
+const sendAlertEvent = async (type, alert) => notify({
+  type,
+  source: 'easyecom-stock-alerts',
+  message: type === 'stock_alert_resolved'
+    ? `${alert.sku}@${alert.location_key ?? 'all'} resolved (${alert.resolution === 'manual' ? 'closed by hand' : 'stock is back above the reorder point'})`
+    : `[${alert.severity}] ${describeAlert(alert)}`,
+  alert,
+});
+
+// Opens, escalates and resolves alerts after an inventory pull. { locationKeys } limits the
+// evaluation to the pulled locations, so alerts of other locations are left alone.
+const evaluateStockAlerts = async ({ locationKeys } = {}) => {
+  console.log("\n\n--- evaluateStockAlerts Function Called ---");
+  try {
+    const evaluatedAt = new Date();
+    const locationKey = locationKeys?.length === 1 ? locationKeys[0] : undefined;
+    const { items: breaches } = await findLowStock({ locationKey });
+    const breachesByKey = new Map(breaches
+      .filter(breach => !locationKeys?.length || locationKeys.includes(breach.location_key))
+      .map(breach => [`${breach.sku}@${breach.location_key}`, breach]));
+
+    const alerts = db.collection(ALERTS_COLLECTION);
+    const activeFilter = { active: true };
+    if (locationKeys?.length) activeFilter.location_key = { $in: locationKeys };
+    const activeAlerts = await alerts.find(activeFilter).toArray();
+    const activeByKey = new Map(activeAlerts.map(alert => [`${alert.sku}@${alert.location_key}`, alert]));
+
+    const summary = { breached: breachesByKey.size, opened: 0, escalated: 0, updated: 0, resolved: 0 };
+
+    for (const [key, breach] of breachesByKey) {
+      const existing = activeByKey.get(key);
+      const fields = {
+        severity: breach.severity,
+        quantity: breach.quantity,
+        reorder_point: breach.reorder_point,
+        safety_stock: breach.safety_stock,
+        reorder_quantity: breach.reorder_quantity,
+        rule_id: breach.rule_id,
+        daily_velocity: breach.daily_velocity,
+        days_of_cover: breach.days_of_cover,
+        last_evaluated_at: evaluatedAt,
+      };
+
+      if (!existing) {
+        const alert = { sku: breach.sku, location_key: breach.location_key, product_name: breach.product_name, state: 'open', active: true, ...fields, opened_at: evaluatedAt };
+        try {
+          const { insertedId } = await alerts.insertOne(alert);
+          summary.opened++;
+          await sendAlertEvent('stock_alert_opened', { ...alert, _id: insertedId });
+        } catch (error) {
+          // Another evaluation opened it first
+          if (error.code !== 11000) throw error;
+        }
+        continue;
+      }
+
+      const escalated = SEVERITY_RANK[breach.severity] > SEVERITY_RANK[existing.severity];
+      await alerts.updateOne(
+        { _id: existing._id },
+        escalated
+          // An escalation needs attention again even if the low alert was acknowledged
+          ? { $set: { ...fields, state: 'open', escalated_at: evaluatedAt } }
+          : { $set: fields }
+      );
+      if (escalated) {
+        summary.escalated++;
+        await sendAlertEvent('stock_alert_escalated', { ...existing, ...fields, state: 'open' });
+      } else {
+        summary.updated++;
+      }
+    }
+
+    for (const [key, alert] of activeByKey) {
+      if (breachesByKey.has(key)) continue;
+      await alerts.updateOne(
+        { _id: alert._id, active: true },
+        { $set: { state: 'resolved', resolved_at: evaluatedAt, resolution: 'stock_recovered', last_evaluated_at: evaluatedAt }, $unset: { active: '' } }
+      );
+      summary.resolved++;
+      await sendAlertEvent('stock_alert_resolved', { ...alert, state: 'resolved', resolution: 'stock_recovered' });
+    }
+
+    console.log(`[ALERTS] 📊 ${summary.breached} SKUs below threshold: ${summary.opened} opened, ${summary.escalated} escalated, ${summary.resolved} resolved`);
+    return { success: true, message: `Evaluated stock alerts: ${summary.breached} SKUs below threshold`, summary };
+  } catch (error) {
+    console.error("❌ ERROR in evaluateStockAlerts:", error.message);
+    return { success: false, error: error.message, message: "Failed to evaluate stock alerts" };
+  }
+};
+
+const listAlerts = async ({ state, severity, sku, locationKey, limit = 100 } = {}) => {
+  const filter = {};
+  if (state) filter.state = state;
+  if (severity) filter.severity = severity;
+  if (sku) filter.sku = sku;
+  if (locationKey) filter.location_key = locationKey;
+  return db.collection(ALERTS_COLLECTION).find(filter).sort({ opened_at: -1 }).limit(limit).toArray();
+};
+
+// Moves an open alert to acknowledged. Returns the updated alert, or null when there is no open alert with that id.
+const acknowledgeAlert = async (id, { by, note } = {}) => db.collection(ALERTS_COLLECTION).findOneAndUpdate(
+  { _id: new ObjectId(id), state: 'open' },
+  { $set: { state: 'acknowledged', acknowledged_at: new Date(), acknowledged_by: by || null, note: note || null } },
+  { returnDocument: 'after' }
+);
+
+// Closes an active alert by hand (it reopens on the next pull if stock is still low)
+const resolveAlert = async (id, { by, note } = {}) => {
+  const alert = await db.collection(ALERTS_COLLECTION).findOneAndUpdate(
+    { _id: new ObjectId(id), active: true },
+    { $set: { state: 'resolved', resolved_at: new Date(), resolution: 'manual', resolved_by: by || null, note: note || null }, $unset: { active: '' } },
+    { returnDocument: 'after' }
+  );
+  if (alert) {
+    await sendAlertEvent('stock_alert_resolved', alert);
+  }
+  return alert;
+};
+
+module.exports = {
+  validateRule,
+  saveRule,
+  listRules,
+  deleteRule,
+  findLowStock,
+  evaluateStockAlerts,
+  listAlerts,
+  acknowledgeAlert,
+  resolveAlert,
+  init: (globalDb) => {
+    db = globalDb;
+    db.collection(RULES_COLLECTION).createIndex({ scope: 1, sku: 1, category: 1, location_key: 1 }, { unique: true })
+      .catch(error => console.error("❌ Failed to create easyecom_reorder_rules indexes:", error.message));
+    db.collection(ALERTS_COLLECTION).createIndexes([
+      // One open or acknowledged alert per SKU and location
+      { key: { sku: 1, location_key: 1 }, unique: true, partialFilterExpression: { active: true } },
+      { key: { state: 1, opened_at: -1 } },
+    ]).catch(error => console.error("❌ Failed to create inventory_alerts indexes:", error.message));
+  },
+};
@@ -0,0 +1,223 @@
+// integrations/easyecom-webhooks.js
+// Receives easyEcom webhooks (order created, order status changed, inventory changed) so changes
+// arrive within seconds instead of on the next /pull-data or /pull-inventory run.
+// Every event is stored raw in easyecom_webhook_events before it is processed, so failed or
+// missed events can be replayed. Orders go through the same status-history merge as /pull-data.
+const { ObjectId } = require('mongodb');
+const { upsertOrders } = require('./easyecom-orders');
+const { normalizeInventoryEntry, upsertLiveInventoryItems } = require('./easyecom-inventory');
+const { requireToken } = require('../lib/token-auth');
+
+let db; // Global DB from server.js
+
+const { EASYECOM_WEBHOOK_TOKEN } = process.env;
+
+const EVENTS_COLLECTION = 'easyecom_webhook_events';
+
+// Unwraps the list an event carries: a bare array, { orders | inventoryData | data: [...] } or a single object
+const extractRecords = (payload, listKey) => {
+  if (Array.isArray(payload)) return payload;
+  const list = payload?.[listKey] ?? payload?.data;
+  if (Array.isArray(list)) return list;
+  if (list && typeof list === 'object') return [list];
+  return payload && typeof payload === 'object' ? [payload] : [];
+};
+
+// Drops orders older than what is already stored (webhooks can arrive out of order or after a pull
+// has already seen a newer status), comparing easyEcom's last_update_date
+const dropStaleOrders = async (collection, orders) => {
+  const existing = await collection
+    .find({ order_id: { $in: orders.map(order => order.order_id) } }, { projection: { order_id: 1, last_update_date: 1 } })
+    .toArray();
+  const storedUpdateById = new Map(existing.map(order => [order.order_id, order.last_update_date]));
+
+  const fresh = [];
+  const stale = [];
+  for (const order of orders) {
+    const storedUpdate = storedUpdateById.get(order.order_id);
+    if (storedUpdate && order.last_update_date && String(order.last_update_date) < String(storedUpdate)) {
+      stale.push(order.order_id);
+    } else {
+      fresh.push(order);
+    }
+  }
+  return { fresh, stale };
+};
+
+const processOrderEvent = async (payload, locationKey) => {
+  const records = extractRecords(payload, 'orders');
+  const invalid = records.filter(order => order?.order_id === undefined || order?.order_id === null);
+  if (records.length === 0 || invalid.length === records.length) {
+    throw new Error('Order event carries no order with an order_id');
+  }
+
+  const collection = db.collection('easyecom_orders');
+  const orders = records
+    .filter(order => order?.order_id !== undefined && order?.order_id !== null)
+    .map(order => ({ ...order, location_key: locationKey }));
+  const { fresh, stale } = await dropStaleOrders(collection, orders);
+  const { summary, details } = await upsertOrders(collection, fresh);
+
+  if (summary.failed > 0) {
+    throw new Error(`${summary.failed} of ${fresh.length} orders failed to save`);
+  }
+  return { summary: { ...summary, stale: stale.length, invalid: invalid.length }, details };
+};
+
+// Drops items older than the stored SKU/location row, as dropStaleOrders does for orders. easyEcom's
+// inventory entries carry no update time, so an item is as old as the event that brought it and the
+// stored row as old as its processed_at (the pull or event that last wrote it).
+const dropStaleInventoryItems = async (collection, items) => {
+  const existing = await collection
+    .find(
+      { $or: items.map(item => ({ sku: item.sku, location_key: item.location_key })) },
+      { projection: { sku: 1, location_key: 1, processed_at: 1 } }
+    )
+    .toArray();
+  const storedAtByKey = new Map(existing.map(row => [`${row.sku}|${row.location_key}`, row.processed_at]));
+
+  const fresh = [];
+  const stale = [];
+  for (const item of items) {
+    const storedAt = storedAtByKey.get(`${item.sku}|${item.location_key}`);
+    if (storedAt && new Date(storedAt) > item.processed_at) {
+      stale.push(item.sku);
+    } else {
+      fresh.push(item);
+    }
+  }
+  return { fresh, stale };
+};
+
+// eventTime: when easyEcom delivered the event, so a replayed event does not pass for a new one
+const processInventoryEvent = async (payload, locationKey, eventTime = new Date()) => {
+  const records = extractRecords(payload, 'inventoryData');
+  const processedAt = new Date(eventTime);
+  const items = [];
+  const rejected = [];
+  records.forEach((entry, index) => {
+    const { item, error } = normalizeInventoryEntry(entry, processedAt, locationKey);
+    if (error) {
+      rejected.push({ index, sku: entry?.sku || null, error });
+    } else {
+      items.push(item);
+    }
+  });
+  if (items.length === 0) {
+    throw new Error(`Inventory event carries no usable entries${rejected.length ? `: ${rejected[0].error}` : ''}`);
+  }
+
+  const { fresh, stale } = await dropStaleInventoryItems(db.collection('easyecom_inventory'), items);
+  await upsertLiveInventoryItems(fresh);
+  return { summary: { updated: fresh.length, stale: stale.length, rejected: rejected.length }, rejected };
+};
+
+// Supported events, named as they appear in /webhook/:event
+const EVENT_HANDLERS = {
+  'order-created': processOrderEvent,
+  'order-status-changed': processOrderEvent,
+  'inventory-changed': processInventoryEvent,
+};
+
+const isSupportedEvent = (event) => Object.prototype.hasOwnProperty.call(EVENT_HANDLERS, event);
+
+// Express middleware: easyEcom sends EASYECOM_WEBHOOK_TOKEN as x-api-key, Access-Token or a Bearer token
+const requireWebhookToken = requireToken({
+  token: EASYECOM_WEBHOOK_TOKEN,
+  headers: ['access-token'],
+  disabledError: 'easyEcom webhooks are disabled',
+  disabledMessage: 'Set EASYECOM_WEBHOOK_TOKEN to enable the webhook receiver',
+});
+
+// Runs the handler for a stored event and records the outcome on it
+const processStoredEvent = async (storedEvent) => {
+  const events = db.collection(EVENTS_COLLECTION);
+  try {
+    const result = await EVENT_HANDLERS[storedEvent.event](storedEvent.payload, storedEvent.location_key, storedEvent.received_at);
+    await events.updateOne(
+      { _id: storedEvent._id },
+      { $set: { status: 'processed', processed_at: new Date(), result: result.summary, error: null }, $inc: { attempts: 1 } }
+    );
+    console.log(`[WEBHOOK] ✅ ${storedEvent.event} ${storedEvent._id} processed:`, JSON.stringify(result.summary));
+    return { event_id: storedEvent._id, event: storedEvent.event, status: 'processed', ...result };
+  } catch (error) {
+    await events.updateOne(
+      { _id: storedEvent._id },
+      { $set: { status: 'failed', failed_at: new Date(), error: error.message }, $inc: { attempts: 1 } }
+    );
+    console.error(`❌ [WEBHOOK] ${storedEvent.event} ${storedEvent._id} failed:`, error.message);
+    return { event_id: storedEvent._id, event: storedEvent.event, status: 'failed', error: error.message };
+  }
+};
+
+// Stores the raw event, then processes it. Throws only when the event could not be stored.
+const receiveWebhookEvent = async (event, payload, { locationKey, headers = {} } = {}) => {
+  const storedEvent = {
+    event,
+    location_key: locationKey,
+    payload,
+    status: 'received',
+    attempts: 0,
+    received_at: new Date(),
+    request: {
+      user_agent: headers['user-agent'] || null,
+      request_id: headers['x-request-id'] || null,
+    },
+  };
+  const { insertedId } = await db.collection(EVENTS_COLLECTION).insertOne(storedEvent);
+  return processStoredEvent({ ...storedEvent, _id: insertedId });
+};
+
+// Processes stored events again, oldest first: the ones in `ids`, or those matching
+// { status, event, from } (defaults to failed events)
+const replayWebhookEvents = async ({ ids, status = 'failed', event, from, limit = 100 } = {}) => {
+  const filter = {};
+  if (ids && ids.length > 0) {
+    filter._id = { $in: ids.map(id => new ObjectId(id)) };
+  } else {
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+    if (from) filter.received_at = { $gte: from };
+  }
+
+  const storedEvents = await db.collection(EVENTS_COLLECTION).find(filter).sort({ received_at: 1 }).limit(limit).toArray();
+  const details = [];
+  for (const storedEvent of storedEvents) {
+    details.push(await processStoredEvent(storedEvent));
+  }
+
+  const processed = details.filter(detail => detail.status === 'processed').length;
+  return {
+    success: true,
+    message: `Replayed ${details.length} webhook events, ${processed} processed`,
+    summary: { replayed: details.length, processed, failed: details.length - processed },
+    details: details.map(({ event_id, event: name, status: outcome, summary, error }) => ({ event_id, event: name, status: outcome, summary, error })),
+  };
+};
+
+const listWebhookEvents = async ({ status, event, limit = 50 } = {}) => {
+  const filter = {};
+  if (status) filter.status = status;
+  if (event) filter.event = event;
+  return db.collection(EVENTS_COLLECTION)
+    .find(filter, { projection: { payload: 0 } })
+    .sort({ received_at: -1 })
+    .limit(limit)
+    .toArray();
+};
+
+module.exports = {
+  SUPPORTED_EVENTS: Object.keys(EVENT_HANDLERS),
+  isSupportedEvent,
+  requireWebhookToken,
+  receiveWebhookEvent,
+  replayWebhookEvents,
+  listWebhookEvents,
+  init: (globalDb) => {
+    db = globalDb;
+    db.collection(EVENTS_COLLECTION).createIndexes([
+      { key: { received_at: -1 } },
+      { key: { status: 1, event: 1, received_at: 1 } },
+    ]).catch(error => console.error("❌ Failed to create easyecom_webhook_events indexes:", error.message));
+  },
+};
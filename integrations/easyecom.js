@@ -1,219 +1,306 @@
 // integrations/easyecom.js
 const express = require('express');
-const axios = require('axios');
+const multer = require('multer');
+const { ObjectId } = require('mongodb');
+const { requireAdminToken } = require('../lib/admin-auth');
+const { easyEcomRequest, init: initAuth } = require('./easyecom-auth');
+const { upsertOrders, ensureOrderIndexes, validateCreateOrder, buildCreateOrderPayload } = require('./easyecom-orders');
+const { buildOrderQuery, queryOrders, toEasyEcomDate, init: initOrderQuery } = require('./easyecom-order-query');
+const {
+  getOrderTimeline,
+  getTimeInStatus,
+  getStuckOrders,
+  getDailyTransitions,
+  isValidTimeZone,
+  init: initStatusAnalytics,
+} = require('./easyecom-status-analytics');
+const {
+  rollupSales,
+  getSalesReport,
+  getTopSkus,
+  init: initSalesAnalytics,
+} = require('./easyecom-sales-analytics');
+const {
+  fetchInventoryCatalog,
+  normalizeInventoryEntry,
+  saveInventorySnapshot,
+  upsertLiveInventoryItems,
+  applySnapshotRetention,
+  listSnapshots,
+  diffSnapshots,
+  getInventoryAt,
+  init: initInventory,
+} = require('./easyecom-inventory');
+const {
+  pushInventoryUpdates,
+  selectChangedSkus,
+  getFailedSkus,
+  getPushLog,
+  init: initInventoryPush,
+} = require('./easyecom-inventory-push');
+const { guardInventoryPush, init: initPushGuard } = require('./easyecom-push-guard');
+const {
+  createInventoryUpload,
+  confirmInventoryUpload,
+  listInventoryUploads,
+  getInventoryUpload,
+  init: initInventoryUpload,
+} = require('./easyecom-inventory-upload');
+const {
+  reconcileInventory,
+  repushMismatches,
+  listReconciliationReports,
+  getReconciliationReport,
+  init: initReconciliation,
+} = require('./easyecom-reconciliation');
+const {
+  resolveLocations,
+  resolveLocation,
+  listLocations,
+  init: initLocations,
+} = require('./easyecom-locations');
+const { prepareOrderExport, prepareInventoryExport, init: initExport } = require('./easyecom-export');
+const { FORMATS: EXPORT_FORMATS } = require('../lib/csv');
+const {
+  validateRule,
+  saveRule,
+  listRules,
+  deleteRule,
+  findLowStock,
+  evaluateStockAlerts,
+  listAlerts,
+  acknowledgeAlert,
+  resolveAlert,
+  init: initStockAlerts,
+} = require('./easyecom-stock-alerts');
+const {
+  syncProducts,
+  searchProducts,
+  getProduct,
+  attachProductsToItems,
+  attachProductsToOrders,
+  init: initProducts,
+} = require('./easyecom-products');
+const {
+  isSupportedEvent,
+  SUPPORTED_EVENTS,
+  requireWebhookToken,
+  receiveWebhookEvent,
+  replayWebhookEvents,
+  listWebhookEvents,
+  init: initWebhooks,
+} = require('./easyecom-webhooks');
+const {
+  createShipmentsForReadySuborders,
+  listBridgeShipments,
+  init: initClickPostBridge,
+} = require('./easyecom-clickpost-bridge');
 
 let db; // Global DB from server.js
+let orderIndexes; // Resolves once the unique easyecom_orders indexes exist
 
 const router = express.Router();
 
 // Load env vars
 const {
-  EASYECOM_API_URL,
-  EASYECOM_API_KEY,
-  EASYECOM_EMAIL,
-  EASYECOM_PASSWORD,
-  EASYECOM_LOCATION_KEY,
+  EASYECOM_SYNC_LOOKBACK_HOURS,
 } = process.env;
 
-// Fetches a fresh Access Token from the easyEcom authentication endpoint
-const getAccessToken = async () => {
-  console.log("\n[STEP 1] ➡️ Attempting to get new access token...");
-  try {
-    const authPayload = {
-      email: EASYECOM_EMAIL,
-      password: EASYECOM_PASSWORD,
-      location_key: EASYECOM_LOCATION_KEY,
-    };
-    console.log("[STEP 1] 📋 Sending auth payload:", { ...authPayload, password: '***' });
+// Loads the last successful order sync checkpoint for a location
+const getSyncCheckpoint = async (locationKey) => {
+  const collection = db.collection('easyecom_sync_checkpoints');
+  return collection.findOne({ type: 'orders', location_key: locationKey });
+};
 
-    const response = await axios.post(`${EASYECOM_API_URL}/access/token`, authPayload, {
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': EASYECOM_API_KEY,
+// Stores the updated_after value the next incremental sync should resume from
+const saveSyncCheckpoint = async (locationKey, updatedAfter, summary) => {
+  const collection = db.collection('easyecom_sync_checkpoints');
+  await collection.updateOne(
+    { type: 'orders', location_key: locationKey },
+    {
+      $set: {
+        updated_after: updatedAfter,
+        last_run_at: new Date(),
+        last_summary: summary,
       },
-    });
+    },
+    { upsert: true }
+  );
+};
 
-    console.log("[STEP 1] ✅ Received response from auth server.");
-    const accessToken = response.data.data.token.jwt_token;
+// Builds getAllOrders params from the request, falling back to the location's stored checkpoint
+const resolveOrderSyncWindow = async (query, locationKey) => {
+  const { start_date, end_date } = query;
 
-    if (!accessToken) {
-      throw new Error("Token not found in API response.");
+  if (start_date || end_date) {
+    if (!start_date || !end_date) {
+      throw new Error("Please provide both start_date and end_date, or neither to resume from the sync checkpoint");
     }
+    return { mode: 'date_range', params: { start_date, end_date } };
+  }
 
-    console.log("[STEP 1] ✨ Successfully extracted access token.");
-    return accessToken;
-  } catch (error) {
-    console.error("❌ [STEP 1] ERROR fetching access token:", error.response ? error.response.data : error.message);
-    throw new Error("Could not authenticate with easyEcom. Check credentials and previous logs.");
+  const checkpoint = await getSyncCheckpoint(locationKey);
+  const lookbackHours = parseInt(EASYECOM_SYNC_LOOKBACK_HOURS) || 24;
+  const updatedAfter = checkpoint?.updated_after || new Date(Date.now() - lookbackHours * 60 * 60 * 1000);
+  const updatedBefore = new Date();
+
+  return {
+    mode: checkpoint ? 'checkpoint' : 'initial_lookback',
+    params: {
+      updated_after: toEasyEcomDate(updatedAfter),
+      updated_before: toEasyEcomDate(updatedBefore),
+    },
+    next_checkpoint: updatedBefore,
+  };
+};
+
+// Reads every page of getAllOrders for a location by following the nextUrl cursor easyEcom returns
+const fetchAllOrders = async (params, locationKey) => {
+  const orders = [];
+  let pagesFetched = 0;
+
+  let response = await easyEcomRequest({ locationKey, method: 'get', url: '/orders/V2/getAllOrders', params });
+  while (true) {
+    pagesFetched++;
+    const pageOrders = response.data?.data?.orders || [];
+    orders.push(...pageOrders);
+    console.log(`[STEP 2] 📄 Page ${pagesFetched}: received ${pageOrders.length} orders`);
+
+    const nextUrl = response.data?.data?.nextUrl;
+    if (!nextUrl || pageOrders.length === 0) {
+      break;
+    }
+    response = await easyEcomRequest({ locationKey, method: 'get', url: nextUrl });
   }
+
+  return { orders, pagesFetched };
 };
 
-// Route to PULL data from easyEcom with status change tracking
-router.get('/pull-data', async (req, res) => {
-  console.log("\n\n--- Received request for /integrations/easyecom/pull-data ---");
-  try {
-    const token = await getAccessToken();
-    const params = {
-      start_date: '2025-07-15 00:00:00',
-      end_date: '2025-07-17 23:59:59',
-    };
+// Advances the checkpoint after a successful incremental run and describes the sync for the response
+// (failed writes keep the checkpoint where it was so the next run picks those orders up again)
+const completeOrderSync = async (locationKey, syncWindow, pagesFetched, summary) => {
+  if (syncWindow.next_checkpoint && !summary.failed) {
+    await saveSyncCheckpoint(locationKey, syncWindow.next_checkpoint, summary);
+    console.log(`[STEP 5] 📌 Sync checkpoint for ${locationKey} advanced to ${syncWindow.next_checkpoint.toISOString()}`);
+  }
 
-    const endpoint = '/orders/V2/getAllOrders';
-    console.log(`[STEP 2] ➡️ Attempting to PULL data from ${endpoint} with params:`, params);
+  return {
+    mode: syncWindow.mode,
+    params: syncWindow.params,
+    pages_fetched: pagesFetched,
+    next_checkpoint: syncWindow.next_checkpoint || null,
+  };
+};
 
-    const response = await axios.get(`${EASYECOM_API_URL}${endpoint}`, {
-      headers: {
-        'x-api-key': EASYECOM_API_KEY,
-        'Authorization': `Bearer ${token}`,
-      },
-      params,
-    });
+const EMPTY_ORDER_SUMMARY = { total_processed: 0, inserted: 0, updated: 0, failed: 0 };
 
-    console.log("[STEP 3] ✅ Successfully pulled order data.");
-
-    if (response.data && response.data.data && response.data.data.orders) {
-      const orders = response.data.data.orders;
-      const collection = db.collection('easyecom_orders');
-      let updatedCount = 0;
-      let insertedCount = 0;
-      const results = [];
-
-      console.log(`[STEP 4] 🔄 Processing ${orders.length} orders with status tracking...`);
-
-      for (const order of orders) {
-        const currentTime = new Date();
-        const filter = { order_id: order.order_id };
-        const existingRecord = await collection.findOne(filter);
-
-        if (existingRecord) {
-          let orderUpdated = false;
-          let statusChangeDetails = [];
-
-          if (existingRecord.order_status !== order.order_status) {
-            if (!existingRecord.status_history) {
-              existingRecord.status_history = [];
-            }
-            existingRecord.status_history.push({
-              old_status: existingRecord.order_status,
-              new_status: order.order_status,
-              timestamp: currentTime,
-            });
-            orderUpdated = true;
-            statusChangeDetails.push({
-              type: 'main_order',
-              old_status: existingRecord.order_status,
-              new_status: order.order_status,
-            });
-            console.log(`[STEP 4] 📊 Main order status changed: ${existingRecord.order_status} → ${order.order_status}`);
-          }
-
-          const updatedSuborders = [...existingRecord.suborders];
-
-          for (let i = 0; i < order.suborders.length; i++) {
-            const newSuborder = order.suborders[i];
-            const existingSuborder = updatedSuborders.find(sub => sub.suborder_num === newSuborder.suborder_num);
-
-            if (existingSuborder) {
-              if (existingSuborder.order_status !== newSuborder.order_status) {
-                if (!existingSuborder.status_history) {
-                  existingSuborder.status_history = [];
-                }
-                existingSuborder.status_history.push({
-                  old_status: existingSuborder.order_status,
-                  new_status: newSuborder.order_status,
-                  timestamp: currentTime,
-                });
-                Object.assign(existingSuborder, newSuborder);
-                orderUpdated = true;
-                statusChangeDetails.push({
-                  type: 'suborder',
-                  suborder_num: newSuborder.suborder_num,
-                  old_status: existingSuborder.order_status,
-                  new_status: newSuborder.order_status,
-                });
-                console.log(`[STEP 4] 📦 Suborder ${newSuborder.suborder_num} status changed: ${existingSuborder.order_status} → ${newSuborder.order_status}`);
-              } else {
-                Object.assign(existingSuborder, newSuborder);
-              }
-            } else {
-              const newSuborderWithHistory = {
-                ...newSuborder,
-                status_history: [{ old_status: null, new_status: newSuborder.order_status, timestamp: currentTime }],
-              };
-              updatedSuborders.push(newSuborderWithHistory);
-              orderUpdated = true;
-              statusChangeDetails.push({
-                type: 'new_suborder',
-                suborder_num: newSuborder.suborder_num,
-                status: newSuborder.order_status,
-              });
-              console.log(`[STEP 4] ➕ New suborder added: ${newSuborder.suborder_num}`);
-            }
-          }
-
-          if (orderUpdated) {
-            const updateData = {
-              ...order,
-              suborders: updatedSuborders,
-              status_history: existingRecord.status_history || [],
-              last_updated: currentTime,
-            };
-            await collection.updateOne(filter, { $set: updateData });
-            updatedCount++;
-            results.push({
-              order_id: order.order_id,
-              action: 'updated',
-              status_changes: statusChangeDetails,
-            });
-            console.log(`[STEP 4] ✅ Updated order ${order.order_id} with status changes`);
-          } else {
-            console.log(`[STEP 4] ➖ No changes for order: ${order.order_id}`);
-            results.push({ order_id: order.order_id, action: 'no_change' });
-          }
-        } else {
-          const newOrderData = {
-            ...order,
-            status_history: [{ old_status: null, new_status: order.order_status, timestamp: currentTime }],
-            created_at: currentTime,
-            last_updated: currentTime,
-          };
-          newOrderData.suborders = order.suborders.map(suborder => ({
-            ...suborder,
-            status_history: [{ old_status: null, new_status: suborder.order_status, timestamp: currentTime }],
-          }));
-          await collection.insertOne(newOrderData);
-          insertedCount++;
-          results.push({ order_id: order.order_id, action: 'inserted' });
-          console.log(`[STEP 4] ➕ Inserted new order: ${order.order_id}`);
-        }
-      }
+// Pulls and upserts the orders of one location; every stored order is tagged with its location_key
+const pullLocationOrders = async (locationKey, options) => {
+  const syncWindow = await resolveOrderSyncWindow(options, locationKey);
+  const { params } = syncWindow;
 
-      console.log(`[STEP 4] ✅ Processing complete!`);
-      console.log(`[STEP 4] 📊 Summary: ${insertedCount} inserted, ${updatedCount} updated`);
+  console.log(`[STEP 2] ➡️ Attempting to PULL data for location ${locationKey} from /orders/V2/getAllOrders (${syncWindow.mode}) with params:`, params);
 
-      res.status(200).json({
-        success: true,
-        message: `Successfully processed ${orders.length} orders with status tracking`,
-        summary: { total_processed: orders.length, inserted: insertedCount, updated: updatedCount },
-        details: results,
-        data: response.data,
-      });
-    } else {
-      console.log("[STEP 4] ⚠️ No orders found in the response");
-      res.status(200).json({
-        success: true,
-        message: "No orders found for the given date range",
-        data: response.data,
-      });
+  const { orders, pagesFetched } = await fetchAllOrders(params, locationKey);
+
+  console.log(`[STEP 3] ✅ Successfully pulled ${orders.length} orders for ${locationKey} across ${pagesFetched} page(s).`);
+
+  if (orders.length === 0) {
+    console.log(`[STEP 4] ⚠️ No orders found for ${locationKey}`);
+    const sync = await completeOrderSync(locationKey, syncWindow, pagesFetched, EMPTY_ORDER_SUMMARY);
+    return { location_key: locationKey, success: true, summary: EMPTY_ORDER_SUMMARY, sync, details: [] };
+  }
+
+  console.log(`[STEP 4] 🔄 Processing ${orders.length} orders with status tracking...`);
+
+  const collection = db.collection('easyecom_orders');
+  const taggedOrders = orders.map(order => ({ ...order, location_key: locationKey }));
+  const { summary, details } = await upsertOrders(collection, taggedOrders);
+
+  console.log(`[STEP 4] 📊 ${locationKey}: ${summary.inserted} inserted, ${summary.updated} updated, ${summary.failed} failed`);
+
+  const sync = await completeOrderSync(locationKey, syncWindow, pagesFetched, summary);
+  return { location_key: locationKey, success: true, summary, sync, details };
+};
+
+// PULL orders from easyEcom with status change tracking.
+// Takes { start_date, end_date } for an explicit window; without them each location resumes
+// from its own checkpoint in easyecom_sync_checkpoints.
+// Takes { location_key } to pull a single location; otherwise every registered location is pulled.
+const pullOrderData = async (options = {}) => {
+  console.log("\n\n--- pullOrderData Function Called ---");
+  const { locationKeys, error: locationError } = resolveLocations(options.location_key);
+  if (locationError) {
+    return { success: false, message: locationError };
+  }
+
+  const locations = [];
+  for (const locationKey of locationKeys) {
+    try {
+      locations.push(await pullLocationOrders(locationKey, options));
+    } catch (error) {
+      // One location failing must not stop the others from syncing
+      const errorData = error.response ? error.response.data : error.message;
+      console.error(`❌ [STEP 3/4] ERROR in pullOrderData for location ${locationKey}:`, JSON.stringify(errorData, null, 2));
+      locations.push({ location_key: locationKey, success: false, error: errorData });
     }
+  }
+
+  const summary = { ...EMPTY_ORDER_SUMMARY };
+  for (const location of locations.filter(location => location.success)) {
+    for (const key of Object.keys(summary)) {
+      summary[key] += location.summary[key];
+    }
+  }
+  const failedLocations = locations.filter(location => !location.success);
+
+  console.log(`[STEP 5] 📊 Summary across ${locationKeys.length} location(s): ${summary.inserted} inserted, ${summary.updated} updated, ${summary.failed} failed`);
+
+  if (failedLocations.length > 0) {
+    return {
+      success: false,
+      error: failedLocations.map(location => ({ location_key: location.location_key, error: location.error })),
+      message: `Failed to pull orders from easyEcom for ${failedLocations.map(location => location.location_key).join(', ')}`,
+      summary,
+      locations,
+    };
+  }
+
+  return {
+    success: true,
+    message: summary.total_processed > 0
+      ? `Successfully processed ${summary.total_processed} orders with status tracking`
+      : "No orders found for the given date range",
+    summary,
+    locations,
+  };
+};
+
+// Route to PULL data from easyEcom with status change tracking
+// Accepts ?start_date=&end_date= for an explicit window; without them it resumes
+// from the last checkpoint stored in easyecom_sync_checkpoints.
+// ?location_key= pulls one location; otherwise every registered location is pulled.
+router.get('/pull-data', async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/easyecom/pull-data ---");
+  try {
+    const { start_date, end_date } = req.query;
+    if (Boolean(start_date) !== Boolean(end_date)) {
+      return res.status(400).json({ success: false, error: "Please provide both start_date and end_date, or neither to resume from the sync checkpoint" });
+    }
+    const { error: locationError } = resolveLocations(req.query.location_key);
+    if (locationError) {
+      return res.status(400).json({ success: false, error: locationError });
+    }
+
+    const result = await pullOrderData({ start_date, end_date, location_key: req.query.location_key });
+    res.status(result.success ? 200 : 500).json(result);
   } catch (error) {
-    const errorData = error.response ? error.response.data : error.message;
-    console.error("❌ [STEP 3/4] ERROR in /pull-data route:", JSON.stringify(errorData, null, 2));
-    res.status(500).json({ success: false, error: errorData });
+    console.error("❌ ERROR in /pull-data route:", error.message);
+    res.status(500).json({ success: false, error: error.message, message: "Failed to pull orders" });
   }
 });
 
-// Get saved orders
+// Get saved orders (?location_key= limits them to one location)
 router.get('/get-saved-orders', async (req, res) => {
   console.log("\n\n--- Received request for /integrations/easyecom/get-saved-orders ---");
   try {
@@ -222,8 +309,12 @@ router.get('/get-saved-orders', async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    const orders = await collection.find({}).sort({ fetched_at: -1 }).skip(skip).limit(limit).toArray();
-    const totalCount = await collection.countDocuments({});
+    const filter = req.query.location_key ? { location_key: req.query.location_key } : {};
+
+    const orders = await attachProductsToOrders(
+      await collection.find(filter).sort({ last_updated: -1, _id: -1 }).skip(skip).limit(limit).toArray()
+    );
+    const totalCount = await collection.countDocuments(filter);
 
     console.log(`✅ Retrieved ${orders.length} orders from MongoDB (Page ${page})`);
 
@@ -243,7 +334,7 @@ router.get('/get-saved-orders', async (req, res) => {
   }
 });
 
-// Get orders by date range
+// Get orders by date range (order_date, inclusive; YYYY-MM-DD or YYYY-MM-DD HH:mm:ss)
 router.get('/get-orders-by-date', async (req, res) => {
   console.log("\n\n--- Received request for /integrations/easyecom/get-orders-by-date ---");
   try {
@@ -253,184 +344,903 @@ router.get('/get-orders-by-date', async (req, res) => {
       return res.status(400).json({ success: false, error: "Please provide start_date and end_date parameters" });
     }
 
+    const query = buildOrderQuery({ order_date_from: start_date, order_date_to: end_date, location_key: req.query.location_key });
+    if (query.errors) {
+      return res.status(400).json({ success: false, error: "Invalid date range", validation_errors: query.errors });
+    }
+
     const collection = db.collection('easyecom_orders');
-    const orders = await collection.find({
-      fetched_at: { $gte: new Date(start_date), $lte: new Date(end_date) },
-    }).sort({ fetched_at: -1 }).toArray();
+    const orders = await attachProductsToOrders(await collection.find(query.filter).sort(query.sort).toArray());
 
     console.log(`✅ Retrieved ${orders.length} orders from MongoDB for date range`);
 
     res.status(200).json({
       success: true,
-      data: orders,
-      count: orders.length,
-      date_range: { start_date, end_date },
+      data: orders,
+      count: orders.length,
+      date_range: { start_date, end_date },
+    });
+  } catch (error) {
+    console.error("❌ ERROR in /get-orders-by-date route:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Query saved orders with filters, sorting, field projection and cursor pagination.
+// Filters: location_key, order_status, suborder_status, sku, marketplace, marketplace_id (comma-separated lists),
+// phone, email, order_date_from/order_date_to, updated_from/updated_to.
+// sort=-order_date (default) | order_date | last_updated | created_at | order_id; fields=a,b,c; limit; cursor.
+router.get('/orders', async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/easyecom/orders ---");
+  try {
+    const query = buildOrderQuery(req.query);
+    if (query.errors) {
+      return res.status(400).json({ success: false, error: "Invalid order query", validation_errors: query.errors });
+    }
+
+    const result = await queryOrders(query);
+    const { has_more, next_cursor } = result;
+    const orders = await attachProductsToOrders(result.orders);
+
+    console.log(`✅ Retrieved ${orders.length} orders from MongoDB${has_more ? ' (more available)' : ''}`);
+
+    res.status(200).json({
+      success: true,
+      data: orders,
+      count: orders.length,
+      pagination: {
+        limit: query.limit,
+        has_more,
+        next_cursor,
+      },
+      sort: query.sort,
+    });
+  } catch (error) {
+    console.error("❌ ERROR in /orders route:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Stream saved orders as CSV, one row per suborder. Takes the GET /orders filters and sort,
+// ?columns=a,b,c to pick columns and ?format=excel for an Excel-friendly file.
+router.get('/orders/export', async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/easyecom/orders/export ---");
+  try {
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, error: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+    }
+    const orderExport = prepareOrderExport(req.query);
+    if (orderExport.errors) {
+      return res.status(400).json({ success: false, error: "Invalid export request", validation_errors: orderExport.errors });
+    }
+
+    const { rowCount, aborted } = await orderExport.stream(res, format);
+    console.log(`✅ Exported ${rowCount} order rows${aborted ? ' (client disconnected)' : ''}`);
+  } catch (error) {
+    console.error("❌ ERROR in /orders/export route:", error.message);
+    if (res.headersSent) {
+      // Part of the file is already out; cut the download so it is not mistaken for a complete file
+      return res.destroy(error);
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Status timeline of one order (by order_id or reference_code) and its suborders (?suborder_num= for one)
+router.get('/orders/:orderId/timeline', async (req, res) => {
+  console.log(`\n\n--- Received request for /integrations/easyecom/orders/${req.params.orderId}/timeline ---`);
+  try {
+    const timeline = await getOrderTimeline(req.params.orderId, { suborderNum: req.query.suborder_num });
+    if (!timeline) {
+      return res.status(404).json({ success: false, error: `Order ${req.params.orderId} not found` });
+    }
+    if (req.query.suborder_num && timeline.suborders.length === 0) {
+      return res.status(404).json({ success: false, error: `Suborder ${req.query.suborder_num} not found on order ${req.params.orderId}` });
+    }
+
+    res.status(200).json({ success: true, data: timeline });
+  } catch (error) {
+    console.error("❌ ERROR in /orders/:orderId/timeline route:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Parses the optional ?from=&to= ISO dates of the analytics routes; returns { error } when either is invalid
+const analyticsRange = (query, defaultDays) => {
+  const range = {
+    from: query.from ? new Date(query.from) : (defaultDays ? new Date(Date.now() - defaultDays * 24 * 60 * 60 * 1000) : undefined),
+    to: query.to ? new Date(query.to) : undefined,
+  };
+  if ([range.from, range.to].some(date => date && Number.isNaN(date.getTime()))) {
+    return { error: "from and to must be valid dates" };
+  }
+  return range;
+};
+
+// Average and p90 hours spent in each status before the next one
+// (?level=order|suborder&from=&to=&location_key=&marketplace=)
+router.get('/analytics/time-in-status', async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/easyecom/analytics/time-in-status ---");
+  try {
+    const range = analyticsRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ success: false, error: range.error });
+    }
+    const level = req.query.level || 'order';
+    if (!['order', 'suborder'].includes(level)) {
+      return res.status(400).json({ success: false, error: "level must be order or suborder" });
+    }
+
+    const transitions = await getTimeInStatus({
+      level,
+      from: range.from,
+      to: range.to,
+      locationKey: req.query.location_key,
+      marketplace: req.query.marketplace,
+    });
+    res.status(200).json({ success: true, level, data: transitions, count: transitions.length });
+  } catch (error) {
+    console.error("❌ ERROR in /analytics/time-in-status route:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Orders that have been in a non-terminal status for longer than ?threshold_hours=
+// (defaults to EASYECOM_STUCK_THRESHOLD_HOURS; ?status= checks a single status)
+router.get('/analytics/stuck-orders', async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/easyecom/analytics/stuck-orders ---");
+  try {
+    const thresholdHours = req.query.threshold_hours ? parseFloat(req.query.threshold_hours) : undefined;
+    if (thresholdHours !== undefined && (Number.isNaN(thresholdHours) || thresholdHours <= 0)) {
+      return res.status(400).json({ success: false, error: "threshold_hours must be a positive number" });
+    }
+
+    const result = await getStuckOrders({
+      thresholdHours,
+      status: req.query.status,
+      locationKey: req.query.location_key,
+      marketplace: req.query.marketplace,
+      limit: parseInt(req.query.limit) || 100,
+    });
+    res.status(200).json({ success: true, ...result, count: result.orders.length });
+  } catch (error) {
+    console.error("❌ ERROR in /analytics/stuck-orders route:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Daily status transition counts per marketplace (?from=&to=, defaults to the last 30 days; ?timezone=Asia/Kolkata)
+router.get('/analytics/status-transitions', async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/easyecom/analytics/status-transitions ---");
+  try {
+    const range = analyticsRange(req.query, 30);
+    if (range.error) {
+      return res.status(400).json({ success: false, error: range.error });
+    }
+    const timezone = req.query.timezone || 'UTC';
+    if (!isValidTimeZone(timezone)) {
+      return res.status(400).json({ success: false, error: "timezone must be an IANA time zone such as Asia/Kolkata" });
+    }
+
+    const transitions = await getDailyTransitions({
+      from: range.from,
+      to: range.to,
+      locationKey: req.query.location_key,
+      marketplace: req.query.marketplace,
+      timezone,
+    });
+    res.status(200).json({ success: true, from: range.from, to: range.to || null, data: transitions, count: transitions.length });
+  } catch (error) {
+    console.error("❌ ERROR in /analytics/status-transitions route:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Revenue, orders and units per ?interval=day|week|month, optionally broken down by
+// ?group_by=marketplace|sku|state|city|payment_type (?from=&to= as YYYY-MM-DD, defaults to the last 30 days).
+// Reads the nightly rollup; ?source=live computes from easyecom_orders (includes today, slower).
+router.get('/analytics/sales', async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/easyecom/analytics/sales ---");
+  try {
+    const report = await getSalesReport({
+      interval: req.query.interval || 'day',
+      groupBy: req.query.group_by,
+      from: req.query.from,
+      to: req.query.to,
+      locationKey: req.query.location_key,
+      live: req.query.source === 'live',
+      limit: parseInt(req.query.limit) || 1000,
+    });
+    if (report.error) {
+      return res.status(400).json({ success: false, error: report.error });
+    }
+    res.status(200).json({ success: true, ...report, count: report.data.length });
+  } catch (error) {
+    console.error("❌ ERROR in /analytics/sales route:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Top ?limit= SKUs over the range by ?sort=revenue|units|orders (same ?from=&to=&location_key=&source= as /analytics/sales)
+router.get('/analytics/sales/top-skus', async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/easyecom/analytics/sales/top-skus ---");
+  try {
+    const report = await getTopSkus({
+      from: req.query.from,
+      to: req.query.to,
+      locationKey: req.query.location_key,
+      live: req.query.source === 'live',
+      limit: parseInt(req.query.limit) || 10,
+      sortBy: req.query.sort || 'revenue',
+    });
+    if (report.error) {
+      return res.status(400).json({ success: false, error: report.error });
+    }
+    res.status(200).json({ success: true, ...report, count: report.data.length });
+  } catch (error) {
+    console.error("❌ ERROR in /analytics/sales/top-skus route:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Recompute the sales rollup for ?from=&to= (backfills; the nightly job covers the last EASYECOM_SALES_ROLLUP_DAYS days)
+router.post('/analytics/sales/rollup', async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/easyecom/analytics/sales/rollup ---");
+  try {
+    const result = await rollupSales({ from: req.query.from, to: req.query.to });
+    res.status(result.success ? 200 : (result.error ? 500 : 400)).json(result);
+  } catch (error) {
+    console.error("❌ ERROR in /analytics/sales/rollup route:", error.message);
+    res.status(500).json({ success: false, error: error.message, message: "Failed to roll up sales" });
+  }
+});
+
+// Push data route - creates a real order in easyEcom from the request body.
+// The body follows easyEcom's createOrder contract (orderNumber, marketplaceId, paymentMode,
+// shippingMethod, items[], customer[{ billing, shipping }]); orderType and orderDate are optional.
+// ?location_key= picks the location the order is created in (defaults to the default location).
+router.post('/push-data', async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/easyecom/push-data ---");
+  try {
+    const { locationKey, error: locationError } = resolveLocation(req.query.location_key);
+    if (locationError) {
+      return res.status(400).json({ success: false, error: locationError });
+    }
+
+    const validationErrors = validateCreateOrder(req.body);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid createOrder payload',
+        validation_errors: validationErrors,
+      });
+    }
+
+    const newOrderPayload = buildCreateOrderPayload(req.body, toEasyEcomDate(new Date()));
+
+    // Check for duplicate orderNumber (also among orders pulled from easyEcom)
+    const collection = db.collection('easyecom_orders');
+    const existingOrder = await collection.findOne({ reference_code: newOrderPayload.orderNumber });
+
+    if (existingOrder) {
+      return res.status(409).json({
+        success: false,
+        error: 'Order already exists',
+        order_number: newOrderPayload.orderNumber,
+        existing_order_id: existingOrder.order_id || null,
+      });
+    }
+
+    // Save the order before calling easyEcom; the unique reference_code index turns a concurrent
+    // create of the same orderNumber into a duplicate key error here instead of a second easyEcom order.
+    // Without that index the claim would not hold, so no order is created until it exists.
+    try {
+      await orderIndexes;
+    } catch (error) {
+      return res.status(503).json({
+        success: false,
+        error: 'The easyecom_orders indexes are missing, so orders cannot be created safely',
+        message: error.message,
+      });
+    }
+    const currentTime = new Date();
+    let claimId;
+    try {
+      ({ insertedId: claimId } = await collection.insertOne({
+        reference_code: newOrderPayload.orderNumber,
+        marketplace_id: newOrderPayload.marketplaceId,
+        location_key: locationKey,
+        source: 'push-data',
+        push_status: 'creating',
+        create_order_payload: newOrderPayload,
+        status_history: [],
+        suborders: [],
+        created_at: currentTime,
+        last_updated: currentTime,
+      }));
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      return res.status(409).json({
+        success: false,
+        error: 'Order already exists',
+        order_number: newOrderPayload.orderNumber,
+        existing_order_id: null,
+      });
+    }
+
+    console.log("[STEP 2] 📋 Create order payload:", JSON.stringify(newOrderPayload, null, 2));
+    console.log(`[STEP 3] ➡️ Attempting to PUSH data to /webhook/v2/createOrder for location ${locationKey}...`);
+
+    let response;
+    try {
+      response = await easyEcomRequest({
+        locationKey,
+        method: 'post',
+        url: '/webhook/v2/createOrder',
+        data: newOrderPayload,
+      });
+    } catch (error) {
+      // A 4xx is easyEcom refusing the order, so the orderNumber is free again
+      if (error.response?.status >= 400 && error.response.status < 500) {
+        console.error("❌ [STEP 3] easyEcom rejected the order:", JSON.stringify(error.response.data, null, 2));
+        await collection.deleteOne({ _id: claimId });
+        return res.status(502).json({ success: false, error: error.response.data, message: 'easyEcom rejected the order' });
+      }
+      // After a timeout, network error or 5xx we cannot tell whether easyEcom created the order, so the orderNumber stays taken
+      await collection.updateOne({ _id: claimId }, { $set: { push_status: 'unknown', last_updated: new Date() } });
+      throw error;
+    }
+
+    if (response.data?.code && response.data.code !== 200) {
+      console.error("❌ [STEP 3] easyEcom rejected the order:", JSON.stringify(response.data, null, 2));
+      await collection.deleteOne({ _id: claimId });
+      return res.status(502).json({ success: false, error: response.data, message: 'easyEcom rejected the order' });
+    }
+
+    console.log("[STEP 3] ✅ Successfully pushed data.");
+
+    // A later /pull-data merges easyEcom's full order into this document. order_id is only set once
+    // easyEcom returned one, so the unique order_id index skips orders still waiting for it; without it
+    // the pull matches the order to this document by reference_code (its orderNumber).
+    const easyEcomOrderId = response.data?.data?.OrderID;
+    const orderId = easyEcomOrderId && !Number.isNaN(Number(easyEcomOrderId)) ? Number(easyEcomOrderId) : easyEcomOrderId || null;
+    if (orderId === null) {
+      console.warn(`⚠️ [STEP 3] easyEcom returned no OrderID for ${newOrderPayload.orderNumber}; the next /pull-data links it by orderNumber`);
+    }
+    await collection.updateOne(
+      { _id: claimId },
+      {
+        $set: {
+          ...(orderId !== null && { order_id: orderId }),
+          push_status: 'created',
+          easyecom_response: response.data,
+          last_updated: new Date(),
+        },
+      }
+    );
+
+    console.log(`[STEP 4] 💾 Saved order ${newOrderPayload.orderNumber} (easyEcom OrderID: ${orderId}), DB ID: ${claimId}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Order created successfully in easyEcom',
+      data: {
+        order_number: newOrderPayload.orderNumber,
+        order_id: orderId,
+        location_key: locationKey,
+        created_at: currentTime,
+      },
+      easyecom_response: response.data,
+    });
+  } catch (error) {
+    const errorData = error.response ? error.response.data : error.message;
+    console.error("❌ [STEP 3] ERROR in /push-data route:", JSON.stringify(errorData, null, 2));
+    res.status(500).json({ success: false, error: errorData });
+  }
+});
+
+// Pull inventory
+// Walks every page of getInventoryDetailsV3 for each location (or just options.location_key) and stores
+// one normalized document per SKU and location.
+// A response without data.inventoryData is reported as an error and nothing is stored.
+const pullInventoryData = async (options = {}) => {
+  console.log("\n\n--- pullInventoryData Function Called ---");
+  try {
+    const params = {
+      includeLocations: options.includeLocations || 1,
+      limit: options.limit || 50,
+      includeCustomers: options.includeCustomers || 0,
+      get_back_orders: options.get_back_orders || false,
+    };
+
+    if (options.sku) {
+      params.sku = options.sku;
+    }
+
+    const { locationKeys, error: locationError } = resolveLocations(options.location_key);
+    if (locationError) {
+      return { success: false, message: locationError };
+    }
+
+    const entries = [];
+    let pagesFetched = 0;
+    for (const locationKey of locationKeys) {
+      console.log(`[STEP 2] ➡️ Attempting to PULL inventory for location ${locationKey} from /getInventoryDetailsV3 with params:`, params);
+
+      const catalog = await fetchInventoryCatalog(params, locationKey);
+      if (!catalog.success) {
+        console.error(`❌ [STEP 3] ${locationKey}: ${catalog.error}`);
+        return {
+          success: false,
+          message: `Unexpected inventory response from easyEcom for location ${locationKey}; nothing was stored`,
+          error: catalog.error,
+          location_key: locationKey,
+          response_structure: catalog.response_structure,
+          easyecom_message: catalog.easyecom_message,
+        };
+      }
+
+      entries.push(...catalog.entries.map(entry => ({ entry, locationKey })));
+      pagesFetched += catalog.pagesFetched;
+    }
+
+    console.log(`[STEP 3] ✅ Successfully pulled ${entries.length} inventory entries across ${pagesFetched} page(s).`);
+
+    console.log(`[STEP 4] 🔄 Normalizing ${entries.length} inventory entries...`);
+    const processedAt = new Date();
+    // Later pages win if easyEcom repeats a SKU/location pair
+    const itemsByKey = new Map();
+    const rejected = [];
+
+    entries.forEach(({ entry, locationKey }, index) => {
+      const { item, error } = normalizeInventoryEntry(entry, processedAt, locationKey);
+      if (error) {
+        rejected.push({ index, location_key: locationKey, sku: entry?.sku || null, error });
+        return;
+      }
+      itemsByKey.set(`${item.sku}@${item.location_key}`, item);
+    });
+
+    const cleanItems = [...itemsByKey.values()];
+    if (rejected.length > 0) {
+      console.warn(`[STEP 4] ⚠️ Rejected ${rejected.length} inventory entries with an unknown shape`);
+    }
+
+    let snapshotInfo;
+    if (options.sku) {
+      // A single-SKU pull only refreshes that SKU; it is not a full snapshot of the catalog
+      await upsertLiveInventoryItems(cleanItems);
+      snapshotInfo = { snapshot_version: null, note: 'SKU-filtered pull updated the live inventory without a new snapshot' };
+    } else {
+      // A snapshot is the whole live collection, so a pull of some locations keeps the others' current stock
+      let carriedOver = [];
+      if (options.location_key && options.location_key !== 'all') {
+        const pulledLocations = new Set([...locationKeys, ...cleanItems.map(item => item.location_key)]);
+        carriedOver = (await db.collection('easyecom_inventory')
+          .find({ location_key: { $nin: [...pulledLocations] } }, { projection: { _id: 0, snapshot_version: 0 } })
+          .toArray());
+      }
+
+      // Nothing pulled for the pulled locations fails the snapshot rather than emptying their stock
+      const snapshot = await saveInventorySnapshot(cleanItems.length > 0 ? [...cleanItems, ...carriedOver] : [], {
+        params,
+        locations: locationKeys,
+        pages_fetched: pagesFetched,
+        rejected_count: rejected.length,
+        carried_over_count: carriedOver.length,
+      });
+      const retention = await applySnapshotRetention();
+      snapshotInfo = { snapshot_version: snapshot.version, carried_over_count: carriedOver.length, retention };
+    }
+
+    console.log(`[STEP 5] ✅ Stored ${cleanItems.length} SKU/location items`);
+
+    // Reorder rules are checked against the fresh stock; a failure here does not fail the pull
+    const stockAlerts = await evaluateStockAlerts({ locationKeys });
+
+    return {
+      success: true,
+      message: `Successfully processed and stored ${cleanItems.length} inventory items`,
+      summary: {
+        pages_fetched: pagesFetched,
+        total_received: entries.length,
+        successfully_processed: cleanItems.length,
+        duplicates: entries.length - rejected.length - cleanItems.length,
+        rejected: rejected.length,
+        locations: [...new Set(cleanItems.map(item => item.location_key))],
+      },
+      ...snapshotInfo,
+      stock_alerts: stockAlerts.success ? stockAlerts.summary : { error: stockAlerts.error },
+      rejected_entries: rejected,
+    };
+  } catch (error) {
+    if (error.code === 'EMPTY_SNAPSHOT') {
+      console.error(`❌ [STEP 5] ${error.message}`);
+      return { success: false, empty_snapshot: true, error: error.message, message: "easyEcom returned no inventory; nothing was stored" };
+    }
+    const errorData = error.response ? error.response.data : error.message;
+    console.error("❌ [STEP 3/4] ERROR in pullInventoryData:", JSON.stringify(errorData, null, 2));
+    return {
+      success: false,
+      error: errorData,
+      message: "Failed to pull inventory from easyEcom",
+    };
+  }
+};
+
+router.get('/pull-inventory', async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/easyecom/pull-inventory ---");
+  try {
+    const { error: locationError } = resolveLocations(req.query.location_key);
+    if (locationError) {
+      return res.status(400).json({ success: false, error: locationError });
+    }
+
+    const result = await pullInventoryData(req.query);
+    // A response we cannot read or an empty catalog is easyEcom's fault (502); other failures are 500s
+    let status = 200;
+    if (!result.success) status = result.response_structure || result.empty_snapshot ? 502 : 500;
+    res.status(status).json(result);
+  } catch (error) {
+    console.error("❌ ERROR in /pull-inventory route:", error.message);
+    res.status(500).json({ success: false, error: error.message, message: "Failed to pull inventory" });
+  }
+});
+
+// Live inventory with product details (?location_key=&sku=&page=&limit=)
+router.get('/inventory', async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/easyecom/inventory ---");
+  try {
+    const collection = db.collection('easyecom_inventory');
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.location_key) filter.location_key = req.query.location_key;
+    if (req.query.sku) filter.sku = req.query.sku;
+
+    const items = await collection
+      .find(filter, { projection: { original_data: 0 } })
+      .sort({ sku: 1, location_key: 1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+    const totalCount = await collection.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: await attachProductsToItems(items),
+      pagination: {
+        current_page: page,
+        total_pages: Math.ceil(totalCount / limit),
+        total_items: totalCount,
+        items_per_page: limit,
+      },
+    });
+  } catch (error) {
+    console.error("❌ ERROR in /inventory route:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Stream the live inventory as CSV (?location_key=&sku=&columns=&format=csv|excel)
+router.get('/inventory/export', async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/easyecom/inventory/export ---");
+  try {
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, error: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+    }
+    const inventoryExport = prepareInventoryExport(req.query);
+    if (inventoryExport.errors) {
+      return res.status(400).json({ success: false, error: "Invalid export request", validation_errors: inventoryExport.errors });
+    }
+
+    const { rowCount, aborted } = await inventoryExport.stream(res, format);
+    console.log(`✅ Exported ${rowCount} inventory rows${aborted ? ' (client disconnected)' : ''}`);
+  } catch (error) {
+    console.error("❌ ERROR in /inventory/export route:", error.message);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Live inventory items at or below their reorder point, with days of cover from recent order velocity
+// (?location_key=&severity=low|critical)
+router.get('/inventory/low-stock', async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/easyecom/inventory/low-stock ---");
+  try {
+    const result = await findLowStock({ locationKey: req.query.location_key, severity: req.query.severity });
+    res.status(200).json({
+      success: true,
+      data: result.items,
+      count: result.items.length,
+      rules_count: result.rules_count,
+      velocity_window_days: result.velocity_window_days,
+    });
+  } catch (error) {
+    console.error("❌ ERROR in /inventory/low-stock route:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Stock alerts (?state=open|acknowledged|resolved&severity=&sku=&location_key=&limit=)
+router.get('/inventory/alerts', async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/easyecom/inventory/alerts ---");
+  try {
+    const alerts = await listAlerts({
+      state: req.query.state,
+      severity: req.query.severity,
+      sku: req.query.sku,
+      locationKey: req.query.location_key,
+      limit: parseInt(req.query.limit) || 100,
+    });
+    res.status(200).json({ success: true, data: alerts, count: alerts.length });
+  } catch (error) {
+    console.error("❌ ERROR in /inventory/alerts route:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Re-evaluate the reorder rules against the live inventory without pulling
+router.post('/inventory/alerts/evaluate', async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/easyecom/inventory/alerts/evaluate ---");
+  try {
+    const result = await evaluateStockAlerts();
+    res.status(result.success ? 200 : 500).json(result);
+  } catch (error) {
+    console.error("❌ ERROR in /inventory/alerts/evaluate route:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Acknowledge or resolve an alert (body: { "by": "...", "note": "..." })
+router.post('/inventory/alerts/:id/:action', async (req, res) => {
+  const { id, action } = req.params;
+  console.log(`\n\n--- Received request for /integrations/easyecom/inventory/alerts/${id}/${action} ---`);
+  try {
+    if (!['acknowledge', 'resolve'].includes(action)) {
+      return res.status(404).json({ success: false, error: `Unknown alert action "${action}"; use acknowledge or resolve` });
+    }
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, error: "Invalid alert id" });
+    }
+
+    const options = { by: req.body?.by, note: req.body?.note };
+    const alert = action === 'acknowledge' ? await acknowledgeAlert(id, options) : await resolveAlert(id, options);
+    if (!alert) {
+      return res.status(409).json({ success: false, error: `No ${action === 'acknowledge' ? 'open' : 'open or acknowledged'} alert with id ${id}` });
+    }
+    res.status(200).json({ success: true, data: alert });
+  } catch (error) {
+    console.error(`❌ ERROR in /inventory/alerts/:id/${action} route:`, error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Reorder rules, most specific first: sku, then category (from easyecom_products), then default
+router.get('/reorder-rules', async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/easyecom/reorder-rules ---");
+  try {
+    const filter = {};
+    if (req.query.scope) filter.scope = req.query.scope;
+    if (req.query.sku) filter.sku = req.query.sku;
+    if (req.query.category) filter.category = req.query.category;
+    const rules = await listRules(filter);
+    res.status(200).json({ success: true, data: rules, count: rules.length });
+  } catch (error) {
+    console.error("❌ ERROR in /reorder-rules route:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Create or replace a rule: { sku | category | scope: "default", location_key?, reorder_point, safety_stock, reorder_quantity? }
+router.put('/reorder-rules', async (req, res) => {
+  console.log("\n\n--- Received request for PUT /integrations/easyecom/reorder-rules ---");
+  try {
+    const { rule, errors } = validateRule(req.body);
+    if (errors) {
+      return res.status(400).json({ success: false, error: "Invalid reorder rule", validation_errors: errors });
+    }
+    if (rule.location_key) {
+      const { error: locationError } = resolveLocation(rule.location_key);
+      if (locationError) {
+        return res.status(400).json({ success: false, error: locationError });
+      }
+    }
+    const saved = await saveRule(rule);
+    res.status(200).json({ success: true, data: saved });
+  } catch (error) {
+    console.error("❌ ERROR in PUT /reorder-rules route:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.delete('/reorder-rules/:id', async (req, res) => {
+  console.log(`\n\n--- Received request for DELETE /integrations/easyecom/reorder-rules/${req.params.id} ---`);
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: "Invalid rule id" });
+    }
+    const deleted = await deleteRule(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: `Rule ${req.params.id} not found` });
+    }
+    res.status(200).json({ success: true, message: `Deleted reorder rule ${req.params.id}` });
+  } catch (error) {
+    console.error("❌ ERROR in DELETE /reorder-rules route:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// List inventory snapshots, newest first
+router.get('/inventory-snapshots', async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/easyecom/inventory-snapshots ---");
+  try {
+    const limit = parseInt(req.query.limit) || 20;
+    const snapshots = await listSnapshots(limit);
+    res.status(200).json({ success: true, data: snapshots, count: snapshots.length });
+  } catch (error) {
+    console.error("❌ ERROR in /inventory-snapshots route:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// SKUs whose quantity changed between two snapshots (?from=&to= versions; defaults to the last two; ?location_key= for one location)
+router.get('/inventory-snapshots/diff', async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/easyecom/inventory-snapshots/diff ---");
+  try {
+    const from = req.query.from ? parseInt(req.query.from) : undefined;
+    const to = req.query.to ? parseInt(req.query.to) : undefined;
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return res.status(400).json({ success: false, error: "from and to must be snapshot version numbers" });
+    }
+
+    const result = await diffSnapshots({ from, to, locationKey: req.query.location_key });
+    res.status(result.success ? 200 : 404).json(result);
+  } catch (error) {
+    console.error("❌ ERROR in /inventory-snapshots/diff route:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Stock of a SKU as of a point in time (?sku=&at=ISO date, defaults to now; ?location_key= for one location)
+router.get('/inventory-history', async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/easyecom/inventory-history ---");
+  try {
+    const { sku } = req.query;
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+
+    if (!sku) {
+      return res.status(400).json({ success: false, error: "Please provide a sku parameter" });
+    }
+    if (Number.isNaN(at.getTime())) {
+      return res.status(400).json({ success: false, error: "at must be a valid date" });
+    }
+
+    const { snapshot, items } = await getInventoryAt(sku, at, req.query.location_key);
+    if (!snapshot) {
+      return res.status(404).json({ success: false, error: `No inventory snapshot was live at ${at.toISOString()}` });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sku,
+        at,
+        snapshot_version: snapshot.version,
+        snapshot_created_at: snapshot.created_at,
+        // Total across locations; per-location stock is listed below
+        quantity: items.length ? items.reduce((total, item) => total + (Number(item.quantity) || 0), 0) : null,
+        locations: items.map(item => ({
+          location_key: item.location_key ?? null,
+          quantity: item.quantity,
+          available_quantity: item.available_quantity,
+          reserved_quantity: item.reserved_quantity,
+          virtual_quantity: item.virtual_quantity,
+          damaged_quantity: item.damaged_quantity,
+        })),
+        found: items.length > 0,
+      },
     });
   } catch (error) {
-    console.error("❌ ERROR in /get-orders-by-date route:", error.message);
+    console.error("❌ ERROR in /inventory-history route:", error.message);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Push data route
-router.post('/push-data', async (req, res) => {
-  console.log("\n\n--- Received request for /integrations/easyecom/push-data ---");
+// Pull the easyEcom product master into easyecom_products (?sku= for a single product)
+router.get('/pull-products', async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/easyecom/pull-products ---");
   try {
-    const token = await getAccessToken();
-    const newOrderPayload = {
-      orderType: "retailorder",
-      marketplaceId: 10,
-      orderNumber: "Test-Order-02" + Date.now(),
-      orderDate: new Date().toISOString().slice(0, 19).replace('T', ' '),
-      paymentMode: 4,
-      shippingMethod: 2,
-      items: [{ Sku: "hubcrafter_test_sku", Quantity: "1", Price: 20 }],
-      customer: [{
-        billing: { name: "brown t-shirt", addressLine1: "123 Billing St", postalCode: "400067", city: "Mumbai", state: "Maharashtra", country: "India", contact: "9876543210", email: "billing@test.com" },
-        shipping: { name: "brown t-shirt", addressLine1: "456 Shipping Ave", postalCode: "400067", city: "Mumbai", state: "Maharashtra", country: "India", contact: "9876543210", email: "shipping@test.com" },
-      }],
-    };
-
-    console.log("[STEP 2] 📋 Create order payload:", JSON.stringify(newOrderPayload, null, 2));
-    console.log("[STEP 3] ➡️ Attempting to PUSH data to /webhook/v2/createOrder...");
+    const result = await syncProducts({ sku: req.query.sku, limit: parseInt(req.query.limit) || undefined });
+    let status = 200;
+    if (!result.success) status = result.response_structure ? 502 : 500;
+    res.status(status).json(result);
+  } catch (error) {
+    console.error("❌ ERROR in /pull-products route:", error.message);
+    res.status(500).json({ success: false, error: error.message, message: "Failed to pull products" });
+  }
+});
 
-    const response = await axios.post(`${EASYECOM_API_URL}/webhook/v2/createOrder`, newOrderPayload, {
-      headers: {
-        'x-api-key': EASYECOM_API_KEY,
-        'Authorization': `Bearer ${token}`,
-      },
+// Search products (?q= matches SKU, name or EAN; ?category=&brand=&is_combo=true|false&include_removed=true&limit=&skip=)
+router.get('/products', async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/easyecom/products ---");
+  try {
+    const result = await searchProducts({
+      q: req.query.q,
+      category: req.query.category,
+      brand: req.query.brand,
+      isCombo: req.query.is_combo === undefined ? undefined : req.query.is_combo === 'true',
+      includeRemoved: req.query.include_removed === 'true',
+      limit: parseInt(req.query.limit) || 50,
+      skip: parseInt(req.query.skip) || 0,
     });
-
-    console.log("[STEP 3] ✅ Successfully pushed data.");
-    res.status(200).json({ success: true, data: response.data });
+    res.status(200).json({ success: true, data: result.products, count: result.products.length, total: result.total, limit: result.limit, skip: result.skip });
   } catch (error) {
-    const errorData = error.response ? error.response.data : error.message;
-    console.error("❌ [STEP 3] ERROR in /push-data route:", JSON.stringify(errorData, null, 2));
-    res.status(500).json({ success: false, error: errorData });
+    console.error("❌ ERROR in /products route:", error.message);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Pull inventory
-router.get('/pull-inventory', async (req, res) => {
-  console.log("\n\n--- Received request for /integrations/easyecom/pull-inventory ---");
+// One product by SKU, with its combo/kit components and the combos it belongs to
+router.get('/products/:sku', async (req, res) => {
+  console.log(`\n\n--- Received request for /integrations/easyecom/products/${req.params.sku} ---`);
   try {
-    const token = await getAccessToken();
-    const params = {
-      includeLocations: req.query.includeLocations || 1,
-      limit: req.query.limit || 50,
-      includeCustomers: req.query.includeCustomers || 0,
-      get_back_orders: req.query.get_back_orders || false,
-    };
-
-    if (req.query.sku) {
-      params.sku = req.query.sku;
+    const product = await getProduct(req.params.sku);
+    if (!product) {
+      return res.status(404).json({ success: false, error: `Product ${req.params.sku} not found; run /pull-products first` });
     }
+    res.status(200).json({ success: true, data: product });
+  } catch (error) {
+    console.error("❌ ERROR in /products/:sku route:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    const endpoint = '/getInventoryDetailsV3';
-    console.log(`[STEP 2] ➡️ Attempting to PULL inventory from ${endpoint} with params:`, params);
+// Reads ?dry_run=true, the confirmation token (query or x-confirmation-token header)
+// and ?location_key= for push routes
+const pushGuardOptions = (req) => ({
+  dryRun: req.query.dry_run === 'true',
+  confirmationToken: req.query.confirmation_token || req.headers['x-confirmation-token'],
+  locationKey: req.query.location_key,
+});
 
-    const response = await axios.get(`${EASYECOM_API_URL}${endpoint}`, {
-      headers: {
-        'x-api-key': EASYECOM_API_KEY,
-        'Authorization': `Bearer ${token}`,
-      },
-      params,
-    });
+// bulkInventoryUpdate writes to the token's location, so a push reads and writes a single location:
+// the one requested, or the default location
+const resolvePushLocation = (options) => resolveLocation(options.locationKey || options.location_key);
 
-    console.log("[STEP 3] ✅ Successfully pulled inventory data.");
-
-    if (response.data && response.data.data) {
-      let inventoryItems = [];
-      if (Array.isArray(response.data.data)) {
-        inventoryItems = response.data.data;
-      } else if (response.data.data.inventory) {
-        inventoryItems = response.data.data.inventory;
-      } else if (response.data.data.products) {
-        inventoryItems = response.data.data.products;
-      } else if (response.data.data.items) {
-        inventoryItems = response.data.data.items;
-      } else {
-        const collection = db.collection('easyecom_inventory');
-        await collection.deleteMany({});
-        await collection.insertOne({ raw_response: response.data, fetched_at: new Date(), note: "Raw response stored for analysis" });
-        return res.status(200).json({
-          success: true,
-          message: "Raw response stored for analysis.",
-          response_structure: {
-            main_keys: Object.keys(response.data),
-            data_keys: response.data.data ? Object.keys(response.data.data) : "No data object",
-            data_type: Array.isArray(response.data.data) ? "array" : typeof response.data.data,
-          },
-          raw_data: response.data,
-        });
-      }
+// Blocked pushes (over the safety limits without confirmation) are reported as 409
+const pushStatusCode = (result) => {
+  if (result.success) return 200;
+  if (result.blocked) return 409;
+  return result.error ? 500 : 400;
+};
 
-      if (inventoryItems.length > 0) {
-        const collection = db.collection('easyecom_inventory');
-        await collection.deleteMany({});
-        let insertedCount = 0;
-        const results = [];
-
-        console.log(`[STEP 4] 🔄 Processing ${inventoryItems.length} inventory items...`);
-
-        for (const item of inventoryItems) {
-          const sku = item.sku || item.SKU || item.product_sku || item.item_sku || item.code;
-          const quantity = item.quantity || item.available_quantity || item.stock_quantity || item.current_stock || item.available_stock || item.in_stock || 0;
-
-          if (sku) {
-            const cleanItem = {
-              sku,
-              quantity,
-              original_data: item,
-              processed_at: new Date(),
-            };
-            await collection.insertOne(cleanItem);
-            insertedCount++;
-            console.log(`[STEP 4] ✅ Processed item: ${sku} (qty: ${quantity})`);
-            results.push({ sku, quantity, status: 'processed' });
-          } else {
-            console.log(`[STEP 4] ⚠️ No SKU found for item:`, item);
-            results.push({ item, status: 'skipped_no_sku' });
-          }
-        }
-
-        console.log(`[STEP 4] ✅ Processing complete! Inserted ${insertedCount} items`);
-
-        res.status(200).json({
-          success: true,
-          message: `Successfully processed and stored ${insertedCount} inventory items`,
-          summary: { total_received: inventoryItems.length, successfully_processed: insertedCount, skipped: inventoryItems.length - insertedCount },
-          processing_details: results,
-          raw_response_sample: inventoryItems[0],
-        });
-      } else {
-        console.log("[STEP 4] ⚠️ No inventory items found in the response");
-        res.status(200).json({
-          success: true,
-          message: "No inventory items found",
-          response_data: response.data,
-        });
-      }
-    } else {
-      console.log("[STEP 4] ⚠️ Unexpected response structure - no data field");
-      res.status(200).json({
-        success: false,
-        message: "Unexpected response structure",
-        response: response.data,
-      });
-    }
-  } catch (error) {
-    const errorData = error.response ? error.response.data : error.message;
-    console.error("❌ [STEP 3/4] ERROR in /pull-inventory route:", JSON.stringify(errorData, null, 2));
-    res.status(500).json({ success: false, error: errorData });
-  }
+// Per-SKU outcome fields shared by the inventory push responses
+const pushResultFields = (push) => ({
+  push_id: push.push_id,
+  location_key: push.location_key,
+  failed_count: push.failed,
+  failed_skus: push.failed_skus,
+  batches: push.batches,
 });
 
 // Push dummy inventory
-const pushDummyInventoryData = async () => {
+const pushDummyInventoryData = async (options = {}) => {
   console.log("\n\n--- pushDummyInventoryData Function Called ---");
   try {
-    const token = await getAccessToken();
+    const { locationKey, error: locationError } = resolvePushLocation(options);
+    if (locationError) {
+      return { success: false, message: locationError };
+    }
+
     const dummyInventoryData = [
       { sku: "DUMMY-SKU-001", quantity: 50, cost: 299 },
       { sku: "DUMMY-SKU-002", quantity: 25, cost: 499 },
@@ -449,26 +1259,23 @@ const pushDummyInventoryData = async () => {
 
     console.log("[STEP 3] 📋 Dummy bulk payload prepared:", JSON.stringify(bulkPayload, null, 2));
 
-    const endpoint = '/inventory/bulkInventoryUpdate';
-    console.log(`[STEP 4] ➡️ Sending dummy bulk inventory update to ${endpoint}...`);
+    const guard = await guardInventoryPush(bulkPayload.skus, { ...options, locationKey });
+    if (!guard.proceed) {
+      return guard.result;
+    }
 
-    const response = await axios.post(`${EASYECOM_API_URL}${endpoint}`, bulkPayload, {
-      headers: {
-        'x-api-key': EASYECOM_API_KEY,
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json',
-      },
-    });
+    console.log("[STEP 4] ➡️ Sending dummy bulk inventory update to /inventory/bulkInventoryUpdate...");
+
+    const push = await pushInventoryUpdates(bulkPayload.skus, { source: 'push-dummy-inventory', locationKey });
 
-    console.log("[STEP 4] ✅ Successfully sent dummy bulk inventory update to easyEcom");
-    console.log("[STEP 4] 📊 easyEcom Response:", JSON.stringify(response.data, null, 2));
+    console.log(`[STEP 4] 📊 Dummy push ${push.push_id}: ${push.succeeded} succeeded, ${push.failed} failed`);
 
     return {
-      success: true,
-      message: `Successfully uploaded ${dummyInventoryData.length} dummy inventory items to easyEcom`,
-      uploaded_count: dummyInventoryData.length,
+      success: push.failed === 0,
+      message: `Uploaded ${push.succeeded} of ${dummyInventoryData.length} dummy inventory items to easyEcom`,
+      uploaded_count: push.succeeded,
       uploaded_skus: dummyInventoryData.map(item => item.sku),
-      easyecom_response: response.data,
+      ...pushResultFields(push),
     };
   } catch (error) {
     const errorData = error.response ? error.response.data : error.message;
@@ -484,8 +1291,8 @@ const pushDummyInventoryData = async () => {
 router.post('/push-dummy-inventory', async (req, res) => {
   console.log("\n\n--- Received request for /integrations/easyecom/push-dummy-inventory ---");
   try {
-    const result = await pushDummyInventoryData();
-    res.status(result.success ? 200 : 500).json(result);
+    const result = await pushDummyInventoryData(pushGuardOptions(req));
+    res.status(pushStatusCode(result)).json(result);
   } catch (error) {
     console.error("❌ ERROR in /push-dummy-inventory route:", error.message);
     res.status(500).json({ success: false, error: error.message, message: "Failed to push dummy inventory" });
@@ -493,28 +1300,30 @@ router.post('/push-dummy-inventory', async (req, res) => {
 });
 
 // Push three real inventory items
-const pushThreeRealInventoryItems = async () => {
+const pushThreeRealInventoryItems = async (options = {}) => {
   console.log("\n\n--- pushThreeRealInventoryItems Function Called ---");
   try {
-    const token = await getAccessToken();
+    const { locationKey, error: locationError } = resolvePushLocation(options);
+    if (locationError) {
+      return { success: false, message: locationError };
+    }
+
     console.log("[STEP 2] ➡️ Fetching inventory data from MongoDB...");
     const collection = db.collection('easyecom_inventory');
 
-    const document = await collection.findOne({});
+    const threeItems = await collection.find({ sku: { $exists: true }, location_key: locationKey }).limit(3).toArray();
 
-    if (!document || !document.raw_response?.data?.inventoryData) {
-      return { success: false, message: "No inventory data found in database nested structure" };
+    if (threeItems.length === 0) {
+      return { success: false, message: "No inventory data found in database; run /pull-inventory first" };
     }
 
-    const inventoryArray = document.raw_response.data.inventoryData;
-    const threeItems = inventoryArray.slice(0, 3);
-    console.log(`[STEP 3] 📦 Extracted 3 items from ${inventoryArray.length} total items`);
+    console.log(`[STEP 3] 📦 Loaded ${threeItems.length} items from easyecom_inventory`);
 
     console.log("[STEP 4] 🔄 Transforming data for bulk upload...");
 
     const bulkPayload = {
       skus: threeItems.map(item => {
-        const quantity = item.availableInventory || item.virtual_inventory_count || 10;
+        const quantity = item.available_quantity || item.virtual_quantity || 10;
         return { sku: item.sku, quantity: Math.max(quantity, 10) };
       }).filter(item => item.sku),
     };
@@ -522,35 +1331,30 @@ const pushThreeRealInventoryItems = async () => {
     console.log("[STEP 4] 📋 Real inventory bulk payload prepared (minimum quantity 10):");
     console.log(JSON.stringify(bulkPayload, null, 2));
 
-    const endpoint = '/inventory/bulkInventoryUpdate';
-    console.log(`[STEP 5] ➡️ Sending real inventory bulk update to ${endpoint}...`);
+    const guard = await guardInventoryPush(bulkPayload.skus, { ...options, locationKey });
+    if (!guard.proceed) {
+      return guard.result;
+    }
 
-    const response = await axios.post(`${EASYECOM_API_URL}${endpoint}`, bulkPayload, {
-      headers: {
-        'x-api-key': EASYECOM_API_KEY,
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json',
-      },
-    });
+    console.log("[STEP 5] ➡️ Sending real inventory bulk update to /inventory/bulkInventoryUpdate...");
 
-    console.log("[STEP 5] ✅ Successfully sent real inventory bulk update to easyEcom");
-    console.log("[STEP 5] 📊 easyEcom Response:", JSON.stringify(response.data, null, 2));
+    const push = await pushInventoryUpdates(bulkPayload.skus, { source: 'push-three-real-inventory', locationKey });
 
-    const successfulSkus = bulkPayload.skus.map(item => item.sku);
-    console.log(`[STEP 6] 🎉 Real inventory upload completed for ${successfulSkus.length} SKUs`);
+    const successfulSkus = bulkPayload.skus.map(item => item.sku).filter(sku => !push.failed_skus.some(failed => failed.sku === sku));
+    console.log(`[STEP 6] 🎉 Real inventory upload completed for ${successfulSkus.length} SKUs (${push.failed} failed)`);
 
     return {
-      success: true,
-      message: `Successfully uploaded ${successfulSkus.length} real inventory items to easyEcom (min qty 10)`,
+      success: push.failed === 0,
+      message: `Uploaded ${successfulSkus.length} real inventory items to easyEcom (min qty 10)`,
       uploaded_count: successfulSkus.length,
       uploaded_skus: successfulSkus,
       original_items: threeItems.map(item => ({
         sku: item.sku,
-        original_quantity: item.availableInventory,
-        virtual_count: item.virtual_inventory_count,
-        sent_quantity: Math.max(item.availableInventory || item.virtual_inventory_count || 10, 10),
+        original_quantity: item.available_quantity,
+        virtual_count: item.virtual_quantity,
+        sent_quantity: Math.max(item.available_quantity || item.virtual_quantity || 10, 10),
       })),
-      easyecom_response: response.data,
+      ...pushResultFields(push),
     };
   } catch (error) {
     const errorData = error.response ? error.response.data : error.message;
@@ -566,8 +1370,8 @@ const pushThreeRealInventoryItems = async () => {
 router.post('/push-three-real-inventory', async (req, res) => {
   console.log("\n\n--- Received request for /integrations/easyecom/push-three-real-inventory ---");
   try {
-    const result = await pushThreeRealInventoryItems();
-    res.status(result.success ? 200 : 500).json(result);
+    const result = await pushThreeRealInventoryItems(pushGuardOptions(req));
+    res.status(pushStatusCode(result)).json(result);
   } catch (error) {
     console.error("❌ ERROR in /push-three-real-inventory route:", error.message);
     res.status(500).json({ success: false, error: error.message, message: "Failed to push three real inventory items" });
@@ -575,29 +1379,33 @@ router.post('/push-three-real-inventory', async (req, res) => {
 });
 
 // Push original inventory
-const pushOriginalInventoryData = async (limit = 10) => {
+const pushOriginalInventoryData = async (limit = 10, options = {}) => {
   console.log("\n\n--- pushOriginalInventoryData Function Called ---");
   try {
-    const token = await getAccessToken();
+    const { locationKey, error: locationError } = resolvePushLocation(options);
+    if (locationError) {
+      return { success: false, message: locationError };
+    }
+
     console.log("[STEP 2] ➡️ Fetching inventory data from MongoDB...");
     const collection = db.collection('easyecom_inventory');
 
-    const document = await collection.findOne({});
+    const filter = { sku: { $exists: true }, location_key: locationKey };
+    const itemsToProcess = await collection.find(filter).limit(limit).toArray();
 
-    if (!document || !document.raw_response?.data?.inventoryData) {
-      return { success: false, message: "No inventory data found in database nested structure" };
+    if (itemsToProcess.length === 0) {
+      return { success: false, message: "No inventory data found in database; run /pull-inventory first" };
     }
 
-    const inventoryArray = document.raw_response.data.inventoryData;
-    const itemsToProcess = inventoryArray.slice(0, limit);
-    console.log(`[STEP 3] 📦 Extracted ${itemsToProcess.length} items from ${inventoryArray.length} total items`);
+    const totalItems = await collection.countDocuments(filter);
+    console.log(`[STEP 3] 📦 Loaded ${itemsToProcess.length} items from ${totalItems} total items`);
 
     console.log("[STEP 4] 🔄 Transforming ORIGINAL data (including zero quantities)...");
 
     const bulkPayload = {
       skus: itemsToProcess.map(item => {
-        const originalQuantity = item.availableInventory !== null ? item.availableInventory : item.virtual_inventory_count;
-        console.log(`[STEP 4] 📊 Original SKU: ${item.sku}, Original Qty: ${originalQuantity} (availableInventory: ${item.availableInventory}, virtual_count: ${item.virtual_inventory_count})`);
+        const originalQuantity = item.available_quantity ?? item.virtual_quantity;
+        console.log(`[STEP 4] 📊 Original SKU: ${item.sku}, Original Qty: ${originalQuantity} (available: ${item.available_quantity}, virtual: ${item.virtual_quantity})`);
         return { sku: item.sku, quantity: originalQuantity || 0 };
       }).filter(item => item.sku),
     };
@@ -605,32 +1413,27 @@ const pushOriginalInventoryData = async (limit = 10) => {
     console.log("[STEP 4] 📋 Original inventory bulk payload (with zero quantities):");
     console.log(JSON.stringify(bulkPayload, null, 2));
 
-    const endpoint = '/inventory/bulkInventoryUpdate';
-    console.log(`[STEP 5] ➡️ Sending original inventory bulk update to ${endpoint}...`);
+    const guard = await guardInventoryPush(bulkPayload.skus, { ...options, locationKey });
+    if (!guard.proceed) {
+      return guard.result;
+    }
 
-    const response = await axios.post(`${EASYECOM_API_URL}${endpoint}`, bulkPayload, {
-      headers: {
-        'x-api-key': EASYECOM_API_KEY,
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json',
-      },
-    });
+    console.log("[STEP 5] ➡️ Sending original inventory bulk update to /inventory/bulkInventoryUpdate...");
 
-    console.log("[STEP 5] ✅ Successfully sent original inventory bulk update to easyEcom");
-    console.log("[STEP 5] 📊 easyEcom Response:", JSON.stringify(response.data, null, 2));
+    const push = await pushInventoryUpdates(bulkPayload.skus, { source: 'push-original-inventory', locationKey });
 
     const processedItems = bulkPayload.skus.map(item => item.sku);
     const zeroQuantityItems = bulkPayload.skus.filter(item => item.quantity === 0);
-    console.log(`[STEP 6] 🎉 Original inventory upload completed for ${processedItems.length} SKUs`);
+    console.log(`[STEP 6] 🎉 Original inventory upload completed for ${push.succeeded} SKUs (${push.failed} failed)`);
 
     return {
-      success: true,
-      message: `Successfully uploaded ${processedItems.length} original inventory items to easyEcom`,
-      uploaded_count: processedItems.length,
+      success: push.failed === 0,
+      message: `Uploaded ${push.succeeded} of ${processedItems.length} original inventory items to easyEcom`,
+      uploaded_count: push.succeeded,
       zero_quantity_count: zeroQuantityItems.length,
       uploaded_skus: processedItems,
       detailed_items: bulkPayload.skus.map(item => ({ sku: item.sku, quantity_sent: item.quantity })),
-      easyecom_response: response.data,
+      ...pushResultFields(push),
     };
   } catch (error) {
     const errorData = error.response ? error.response.data : error.message;
@@ -647,8 +1450,8 @@ router.post('/push-original-inventory', async (req, res) => {
   console.log("\n\n--- Received request for /integrations/easyecom/push-original-inventory ---");
   try {
     const limit = parseInt(req.query.limit) || 10;
-    const result = await pushOriginalInventoryData(limit);
-    res.status(result.success ? 200 : 500).json(result);
+    const result = await pushOriginalInventoryData(limit, pushGuardOptions(req));
+    res.status(pushStatusCode(result)).json(result);
   } catch (error) {
     console.error("❌ ERROR in /push-original-inventory route:", error.message);
     res.status(500).json({ success: false, error: error.message, message: "Failed to push original inventory items" });
@@ -656,75 +1459,533 @@ router.post('/push-original-inventory', async (req, res) => {
 });
 
 // Push bulk inventory
-router.post('/push-bulk-inventory', async (req, res) => {
-  console.log("\n\n--- Received request for /integrations/easyecom/push-bulk-inventory ---");
+// mode 'full' (default) sends every matching SKU; mode 'delta' sends only SKUs whose quantity
+// changed since the last push easyEcom acknowledged.
+const pushBulkInventoryData = async (options = {}) => {
+  console.log("\n\n--- pushBulkInventoryData Function Called ---");
   try {
-    const token = await getAccessToken();
-    console.log("[STEP 2] ➡️ Fetching inventory data from MongoDB...");
+    const { locationKey, error: locationError } = resolvePushLocation(options);
+    if (locationError) {
+      return { success: false, message: locationError };
+    }
+
+    const mode = options.mode === 'delta' ? 'delta' : 'full';
+    console.log(`[STEP 2] ➡️ Fetching inventory data from MongoDB (${mode} mode)...`);
     const collection = db.collection('easyecom_inventory');
 
-    const limit = parseInt(req.query.limit) || 100;
-    const skuFilter = req.query.sku;
+    const skuFilter = options.sku;
 
-    const filter = {};
+    const filter = { sku: { $exists: true }, location_key: locationKey };
     if (skuFilter) {
       filter.sku = new RegExp(skuFilter, 'i');
     }
 
-    const inventoryItems = await collection.find(filter).limit(limit).toArray();
+    // Delta pushes look at the whole catalog unless a limit is given explicitly
+    let cursor = collection.find(filter);
+    if (mode === 'full' || options.limit) {
+      cursor = cursor.limit(parseInt(options.limit) || 100);
+    }
+    const inventoryItems = await cursor.toArray();
 
     if (inventoryItems.length === 0) {
-      return res.status(400).json({ success: false, message: "No inventory items found in database to upload" });
+      return { success: false, message: "No inventory items found in database to upload" };
     }
 
     console.log(`[STEP 2] ✅ Found ${inventoryItems.length} inventory items in MongoDB`);
 
     console.log("[STEP 3] 🔄 Transforming data for bulk upload...");
 
-    const bulkPayload = {
-      skus: inventoryItems.map(item => ({
-        sku: item.sku,
-        quantity: item.quantity || item.available_quantity || item.stock_quantity || 0,
-      })),
-    };
+    let skus = inventoryItems.map(item => ({
+      sku: item.sku,
+      quantity: item.quantity || item.available_quantity || item.stock_quantity || 0,
+    }));
+
+    if (mode === 'delta') {
+      skus = await selectChangedSkus(skus, locationKey);
+      console.log(`[STEP 3] 🔍 ${skus.length} of ${inventoryItems.length} SKUs changed since the last acknowledged push`);
 
-    console.log("[STEP 3] 📋 Bulk payload prepared:", JSON.stringify(bulkPayload, null, 2));
+      if (skus.length === 0) {
+        return {
+          success: true,
+          message: "No inventory changes since the last acknowledged push",
+          mode,
+          uploaded_count: 0,
+          unchanged_count: inventoryItems.length,
+        };
+      }
+    }
 
-    const endpoint = '/inventory/bulkInventoryUpdate';
-    console.log(`[STEP 4] ➡️ Sending bulk inventory update to ${endpoint}...`);
+    const guard = await guardInventoryPush(skus, { ...options, locationKey });
+    if (!guard.proceed) {
+      return { ...guard.result, mode };
+    }
 
-    const response = await axios.post(`${EASYECOM_API_URL}${endpoint}`, bulkPayload, {
-      headers: {
-        'x-api-key': EASYECOM_API_KEY,
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json',
-      },
-    });
+    console.log(`[STEP 4] ➡️ Sending bulk inventory update for ${skus.length} SKUs to /inventory/bulkInventoryUpdate...`);
 
-    console.log("[STEP 4] ✅ Successfully sent bulk inventory update to easyEcom");
-    console.log("[STEP 4] 📊 easyEcom Response:", JSON.stringify(response.data, null, 2));
+    const push = await pushInventoryUpdates(skus, { source: `push-bulk-inventory:${mode}`, locationKey });
 
-    const successfulSkus = bulkPayload.skus.map(item => item.sku);
-    console.log(`[STEP 5] 🎉 Bulk upload completed for ${successfulSkus.length} SKUs`);
+    const failedSkus = new Set(push.failed_skus.map(item => item.sku));
+    const successfulSkus = skus.map(item => item.sku).filter(sku => !failedSkus.has(sku));
+    console.log(`[STEP 5] 🎉 Bulk upload completed for ${successfulSkus.length} SKUs (${push.failed} failed)`);
 
-    res.status(200).json({
-      success: true,
-      message: `Successfully uploaded ${successfulSkus.length} inventory items to easyEcom`,
+    return {
+      success: push.failed === 0,
+      message: `Uploaded ${successfulSkus.length} of ${skus.length} inventory items to easyEcom`,
+      mode,
       uploaded_count: successfulSkus.length,
       uploaded_skus: successfulSkus,
-      easyecom_response: response.data,
+      unchanged_count: inventoryItems.length - skus.length,
+      ...pushResultFields(push),
+    };
+  } catch (error) {
+    const errorData = error.response ? error.response.data : error.message;
+    console.error("❌ ERROR in pushBulkInventoryData:", JSON.stringify(errorData, null, 2));
+    return { success: false, error: errorData, message: "Failed to upload bulk inventory to easyEcom" };
+  }
+};
+
+router.post('/push-bulk-inventory', async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/easyecom/push-bulk-inventory ---");
+  try {
+    const result = await pushBulkInventoryData({ ...req.query, ...pushGuardOptions(req) });
+    res.status(pushStatusCode(result)).json(result);
+  } catch (error) {
+    console.error("❌ ERROR in /push-bulk-inventory route:", error.message);
+    res.status(500).json({ success: false, error: error.message, message: "Failed to push bulk inventory" });
+  }
+});
+
+// Re-push only the SKUs whose most recent push attempt failed, using their current quantity
+router.post('/push-inventory/retry-failed', async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/easyecom/push-inventory/retry-failed ---");
+  try {
+    const guardOptions = pushGuardOptions(req);
+    const { locationKey, error: locationError } = resolvePushLocation(guardOptions);
+    if (locationError) {
+      return res.status(400).json({ success: false, error: locationError });
+    }
+
+    const failed = await getFailedSkus(locationKey);
+    if (failed.length === 0) {
+      return res.status(200).json({ success: true, message: "No failed SKUs to retry", uploaded_count: 0 });
+    }
+
+    const current = await db.collection('easyecom_inventory')
+      .find({ sku: { $in: failed.map(item => item.sku) }, location_key: locationKey }, { projection: { sku: 1, quantity: 1 } })
+      .toArray();
+    const currentQuantities = new Map(current.map(item => [item.sku, item.quantity]));
+    const skus = failed.map(item => ({
+      sku: item.sku,
+      quantity: currentQuantities.has(item.sku) ? currentQuantities.get(item.sku) : item.quantity,
+    }));
+
+    const guard = await guardInventoryPush(skus, { ...guardOptions, locationKey });
+    if (!guard.proceed) {
+      return res.status(pushStatusCode(guard.result)).json(guard.result);
+    }
+
+    const push = await pushInventoryUpdates(skus, { source: 'push-inventory/retry-failed', locationKey });
+
+    res.status(push.failed === 0 ? 200 : 500).json({
+      success: push.failed === 0,
+      message: `Retried ${skus.length} failed SKUs: ${push.succeeded} succeeded, ${push.failed} still failing`,
+      uploaded_count: push.succeeded,
+      ...pushResultFields(push),
+    });
+  } catch (error) {
+    const errorData = error.response ? error.response.data : error.message;
+    console.error("❌ ERROR in /push-inventory/retry-failed route:", JSON.stringify(errorData, null, 2));
+    res.status(500).json({ success: false, error: errorData, message: "Failed to retry failed SKUs" });
+  }
+});
+
+// Per-SKU push outcomes (?sku=&status=success|failed&push_id=&location_key=&limit=)
+router.get('/push-inventory/log', async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/easyecom/push-inventory/log ---");
+  try {
+    const filter = {};
+    if (req.query.sku) filter.sku = req.query.sku;
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.location_key) filter.location_key = req.query.location_key;
+    if (req.query.push_id) {
+      if (!ObjectId.isValid(req.query.push_id)) {
+        return res.status(400).json({ success: false, error: "Invalid push_id" });
+      }
+      filter.push_id = new ObjectId(req.query.push_id);
+    }
+    const limit = parseInt(req.query.limit) || 100;
+
+    const entries = await getPushLog(filter, limit);
+    res.status(200).json({ success: true, data: entries, count: entries.length });
+  } catch (error) {
+    console.error("❌ ERROR in /push-inventory/log route:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// CSV uploads are kept in memory: they are stored in inventory_uploads, never on disk
+const inventoryCsvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: parseInt(process.env.INVENTORY_UPLOAD_MAX_BYTES) || 2 * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, callback) => {
+    const isCsv = /\.csv$/i.test(file.originalname) || /^(text\/csv|application\/vnd\.ms-excel|text\/plain)$/.test(file.mimetype);
+    callback(isCsv ? null : new Error('Only .csv files can be uploaded'), isCsv);
+  },
+}).single('file');
+
+// Reports multer errors (too large, wrong type, wrong field) as 400 instead of a 500
+const receiveInventoryCsv = (req, res, next) => {
+  inventoryCsvUpload(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: "Send the CSV as multipart/form-data in a field named \"file\"" });
+    }
+    next();
+  });
+};
+
+const parseUploadId = (id) => (ObjectId.isValid(id) ? new ObjectId(id) : null);
+
+// Upload a CSV of sku,quantity[,cost] rows for one location (?location_key=). Nothing is pushed yet:
+// the response lists invalid rows, unknown SKUs and duplicates by line, and previews the changes
+// against current stock. Push it with POST /inventory/uploads/:id/confirm.
+router.post('/inventory/uploads', receiveInventoryCsv, async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/easyecom/inventory/uploads ---");
+  try {
+    const { locationKey, error: locationError } = resolvePushLocation({ locationKey: req.query.location_key });
+    if (locationError) {
+      return res.status(400).json({ success: false, error: locationError });
+    }
+
+    const result = await createInventoryUpload(req.file, { locationKey, uploadedBy: req.headers['x-uploaded-by'] });
+    res.status(result.success ? 201 : 400).json(result);
+  } catch (error) {
+    console.error("❌ ERROR in /inventory/uploads route:", error.message);
+    res.status(500).json({ success: false, error: error.message, message: "Failed to process inventory upload" });
+  }
+});
+
+// Push a previewed upload to easyEcom. Uploads over the push safety limits need the confirmation_token
+// (query or x-confirmation-token header) from the upload response, or from ?dry_run=true once it expired.
+router.post('/inventory/uploads/:id/confirm', async (req, res) => {
+  console.log(`\n\n--- Received request for /integrations/easyecom/inventory/uploads/${req.params.id}/confirm ---`);
+  try {
+    const uploadId = parseUploadId(req.params.id);
+    if (!uploadId) {
+      return res.status(400).json({ success: false, error: "Invalid upload id" });
+    }
+
+    const { confirmationToken, dryRun } = pushGuardOptions(req);
+    const result = await confirmInventoryUpload(uploadId, {
+      confirmationToken,
+      dryRun,
+      confirmedBy: req.headers['x-uploaded-by'],
+    });
+    if (result.not_found) return res.status(404).json(result);
+    if (result.conflict) return res.status(409).json(result);
+    res.status(pushStatusCode(result)).json(result);
+  } catch (error) {
+    console.error("❌ ERROR in /inventory/uploads/:id/confirm route:", error.message);
+    res.status(500).json({ success: false, error: error.message, message: "Failed to confirm inventory upload" });
+  }
+});
+
+// Upload history (?status=previewed|pushed|partially_failed|failed|rejected&location_key=&limit=)
+router.get('/inventory/uploads', async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/easyecom/inventory/uploads ---");
+  try {
+    const uploads = await listInventoryUploads({
+      status: req.query.status,
+      locationKey: req.query.location_key,
+      limit: parseInt(req.query.limit) || 50,
+    });
+    res.status(200).json({ success: true, data: uploads, count: uploads.length });
+  } catch (error) {
+    console.error("❌ ERROR in /inventory/uploads route:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// One upload with its row issues, preview and push outcome
+router.get('/inventory/uploads/:id', async (req, res) => {
+  console.log(`\n\n--- Received request for /integrations/easyecom/inventory/uploads/${req.params.id} ---`);
+  try {
+    const uploadId = parseUploadId(req.params.id);
+    if (!uploadId) {
+      return res.status(400).json({ success: false, error: "Invalid upload id" });
+    }
+    const upload = await getInventoryUpload(uploadId);
+    if (!upload) {
+      return res.status(404).json({ success: false, error: "Upload not found" });
+    }
+    res.status(200).json({ success: true, data: upload });
+  } catch (error) {
+    console.error("❌ ERROR in /inventory/uploads/:id route:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// The file exactly as it was uploaded
+router.get('/inventory/uploads/:id/file', async (req, res) => {
+  console.log(`\n\n--- Received request for /integrations/easyecom/inventory/uploads/${req.params.id}/file ---`);
+  try {
+    const uploadId = parseUploadId(req.params.id);
+    if (!uploadId) {
+      return res.status(400).json({ success: false, error: "Invalid upload id" });
+    }
+    const upload = await getInventoryUpload(uploadId, { includeFile: true });
+    if (!upload) {
+      return res.status(404).json({ success: false, error: "Upload not found" });
+    }
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${String(upload.filename).replace(/["\r\n]/g, '')}"`);
+    res.status(200).send(upload.content);
+  } catch (error) {
+    console.error("❌ ERROR in /inventory/uploads/:id/file route:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Compare current easyEcom stock with what we last pushed (or store) for each SKU and record the mismatches.
+// ?location_key= limits it to one location; ?repush=true re-pushes the mismatches against a push right away
+// (mismatches against stored stock are only reported).
+router.post('/inventory/reconcile', async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/easyecom/inventory/reconcile ---");
+  try {
+    const result = await reconcileInventory({
+      location_key: req.query.location_key,
+      limit: req.query.limit,
+      repush: req.query.repush === 'true',
+      confirmationToken: pushGuardOptions(req).confirmationToken,
+    });
+    res.status(result.success ? 200 : 500).json(result);
+  } catch (error) {
+    console.error("❌ ERROR in /inventory/reconcile route:", error.message);
+    res.status(500).json({ success: false, error: error.message, message: "Failed to reconcile inventory" });
+  }
+});
+
+// Reconciliation reports with their counts (?location_key=&status=completed|failed&limit=)
+router.get('/inventory/reconciliation-reports', async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/easyecom/inventory/reconciliation-reports ---");
+  try {
+    const reports = await listReconciliationReports({
+      locationKey: req.query.location_key,
+      status: req.query.status,
+      limit: parseInt(req.query.limit) || 20,
+    });
+    res.status(200).json({ success: true, data: reports, count: reports.length });
+  } catch (error) {
+    console.error("❌ ERROR in /inventory/reconciliation-reports route:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// One report with its per-SKU deltas, largest first (?type=quantity|missing_in_easyecom&limit=)
+router.get('/inventory/reconciliation-reports/:id', async (req, res) => {
+  console.log(`\n\n--- Received request for /integrations/easyecom/inventory/reconciliation-reports/${req.params.id} ---`);
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: "Invalid report id" });
+    }
+    const report = await getReconciliationReport(new ObjectId(req.params.id), {
+      type: req.query.type,
+      limit: parseInt(req.query.limit) || 500,
     });
+    if (!report) {
+      return res.status(404).json({ success: false, error: "Reconciliation report not found" });
+    }
+    res.status(200).json({ success: true, data: report });
+  } catch (error) {
+    console.error("❌ ERROR in /inventory/reconciliation-reports/:id route:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Re-push only the SKUs a report found out of line with what we last pushed (those not re-pushed yet).
+// Mismatches against stored stock come back as informational_skus and are never pushed.
+// ?dry_run=true previews the re-push and returns the confirmation_token when it exceeds the safety limits.
+router.post('/inventory/reconciliation-reports/:id/repush', async (req, res) => {
+  console.log(`\n\n--- Received request for /integrations/easyecom/inventory/reconciliation-reports/${req.params.id}/repush ---`);
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: "Invalid report id" });
+    }
+    const { confirmationToken, dryRun } = pushGuardOptions(req);
+    const result = await repushMismatches(new ObjectId(req.params.id), { confirmationToken, dryRun });
+    if (result.not_found) {
+      return res.status(404).json(result);
+    }
+    res.status(pushStatusCode(result)).json(result);
   } catch (error) {
     const errorData = error.response ? error.response.data : error.message;
-    console.error("❌ ERROR in /push-bulk-inventory route:", JSON.stringify(errorData, null, 2));
-    res.status(500).json({ success: false, error: errorData, message: "Failed to upload bulk inventory to easyEcom" });
+    console.error("❌ ERROR in /inventory/reconciliation-reports/:id/repush route:", JSON.stringify(errorData, null, 2));
+    res.status(500).json({ success: false, error: errorData, message: "Failed to re-push mismatched SKUs" });
+  }
+});
+
+// Create ClickPost shipments for suborders in a ready-to-ship status (EASYECOM_READY_TO_SHIP_STATUSES)
+// that have no waybill yet. ?dry_run=true returns the payloads without creating anything;
+// ?location_key= limits it to one location; ?limit= caps the number of orders scanned.
+router.post('/clickpost/create-shipments', async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/easyecom/clickpost/create-shipments ---");
+  try {
+    const options = {
+      dryRun: req.query.dry_run === 'true',
+      locationKey: req.query.location_key,
+    };
+    if (req.query.limit) {
+      options.limit = parseInt(req.query.limit) || undefined;
+    }
+    const result = await createShipmentsForReadySuborders(options);
+    res.status(result.success ? 200 : 500).json(result);
+  } catch (error) {
+    console.error("❌ ERROR in /clickpost/create-shipments route:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Shipments created (or attempted) from easyEcom suborders (?bridge_status=created|failed|creating&limit=)
+router.get('/clickpost/shipments', async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/easyecom/clickpost/shipments ---");
+  try {
+    const shipments = await listBridgeShipments({
+      bridgeStatus: req.query.bridge_status,
+      limit: parseInt(req.query.limit) || 100,
+    });
+    res.status(200).json({ success: true, data: shipments, count: shipments.length });
+  } catch (error) {
+    console.error("❌ ERROR in /clickpost/shipments route:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// easyEcom webhook receiver (order-created, order-status-changed, inventory-changed).
+// Authenticated with EASYECOM_WEBHOOK_TOKEN; ?location_key= names the location the webhook is
+// configured for (defaults to the default location). The raw event is stored before processing,
+// so a processing failure still returns 200 and the event can be replayed.
+router.post('/webhook/:event', requireWebhookToken, async (req, res) => {
+  const { event } = req.params;
+  console.log(`\n\n--- Received request for /integrations/easyecom/webhook/${event} ---`);
+  try {
+    if (!isSupportedEvent(event)) {
+      return res.status(404).json({ success: false, error: `Unsupported event "${event}"`, supported_events: SUPPORTED_EVENTS });
+    }
+    const { locationKey, error: locationError } = resolveLocation(req.query.location_key);
+    if (locationError) {
+      return res.status(400).json({ success: false, error: locationError });
+    }
+
+    const result = await receiveWebhookEvent(event, req.body, { locationKey, headers: req.headers });
+    res.status(200).json({
+      success: result.status === 'processed',
+      event,
+      event_id: result.event_id,
+      status: result.status,
+      summary: result.summary,
+      error: result.error,
+    });
+  } catch (error) {
+    // Nothing was stored, so let easyEcom retry the delivery
+    console.error(`❌ ERROR in /webhook/${event} route:`, error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Stored webhook events without their payloads (?status=received|processed|failed&event=&limit=; admin token required)
+router.get('/webhook-events', requireAdminToken, async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/easyecom/webhook-events ---");
+  try {
+    const events = await listWebhookEvents({
+      status: req.query.status,
+      event: req.query.event,
+      limit: parseInt(req.query.limit) || 50,
+    });
+    res.status(200).json({ success: true, data: events, count: events.length });
+  } catch (error) {
+    console.error("❌ ERROR in /webhook-events route:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Re-process stored webhook events: body { ids: [...] }, or ?status= (default failed)&event=&from=ISO date&limit=
+// (admin token required)
+router.post('/webhook-events/replay', requireAdminToken, async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/easyecom/webhook-events/replay ---");
+  try {
+    const ids = Array.isArray(req.body?.ids) ? req.body.ids : undefined;
+    if (ids && !ids.every(id => ObjectId.isValid(id))) {
+      return res.status(400).json({ success: false, error: "Invalid event id in ids" });
+    }
+    if (req.query.event && !isSupportedEvent(req.query.event)) {
+      return res.status(400).json({ success: false, error: `Unsupported event "${req.query.event}"`, supported_events: SUPPORTED_EVENTS });
+    }
+    const from = req.query.from ? new Date(req.query.from) : undefined;
+    if (from && Number.isNaN(from.getTime())) {
+      return res.status(400).json({ success: false, error: "Invalid from date" });
+    }
+
+    const result = await replayWebhookEvents({
+      ids,
+      status: req.query.status || 'failed',
+      event: req.query.event,
+      from,
+      limit: parseInt(req.query.limit) || 100,
+    });
+    res.status(200).json(result);
+  } catch (error) {
+    console.error("❌ ERROR in /webhook-events/replay route:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Registered easyEcom locations and when each location's cached token expires
+router.get('/locations', async (req, res) => {
+  console.log("\n\n--- Received request for /integrations/easyecom/locations ---");
+  try {
+    const locations = await listLocations();
+    res.status(200).json({ success: true, data: locations, count: locations.length });
+  } catch (error) {
+    console.error("❌ ERROR in /locations route:", error.message);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
 module.exports = {
   router,
+  // Handlers the scheduler can run (see config/scheduler.js)
+  jobs: {
+    pullOrders: pullOrderData,
+    pullInventory: pullInventoryData,
+    syncProducts,
+    rollupSales,
+    pushBulkInventory: pushBulkInventoryData,
+    reconcileInventory,
+    createClickPostShipments: createShipmentsForReadySuborders,
+  },
   init: (globalDb) => {
     db = globalDb;
+    initAuth(globalDb);
+    initLocations(globalDb);
+    initOrderQuery(globalDb);
+    initStatusAnalytics(globalDb);
+    initSalesAnalytics(globalDb);
+    initInventory(globalDb);
+    initInventoryPush(globalDb);
+    initPushGuard(globalDb);
+    initInventoryUpload(globalDb);
+    initReconciliation(globalDb);
+    initClickPostBridge(globalDb);
+    initWebhooks(globalDb);
+    initProducts(globalDb);
+    initStockAlerts(globalDb);
+    initExport(globalDb);
+    // /pull-data looks up existing orders in batches by order_id, which is unique; /push-data waits for
+    // the unique reference_code index before it claims an orderNumber
+    orderIndexes = ensureOrderIndexes(db.collection('easyecom_orders'));
+    orderIndexes.catch(error => console.error("❌ Failed to create easyecom_orders indexes:", error.message));
   },
 };
 
@@ -733,11 +1994,80 @@ module.exports = {
 /*
 EasyEcom:
 
+GET http://localhost:3000/integrations/easyecom/locations
 GET http://localhost:3000/integrations/easyecom/pull-data
+GET http://localhost:3000/integrations/easyecom/pull-data?location_key=<location_key>
+GET http://localhost:3000/integrations/easyecom/pull-data?start_date=2025-07-15 00:00:00&end_date=2025-07-17 23:59:59
 GET http://localhost:3000/integrations/easyecom/get-saved-orders?page=1&limit=10
+GET http://localhost:3000/integrations/easyecom/get-orders-by-date?start_date=2025-07-01&end_date=2025-07-15
+GET http://localhost:3000/integrations/easyecom/orders?order_status=Shipped&sku=SKU-001&order_date_from=2025-07-01&sort=-order_date&fields=order_id,order_status,suborders.sku&limit=50
+GET http://localhost:3000/integrations/easyecom/orders?order_status=Shipped&cursor=<next_cursor from the previous page>   (repeat the same filters and sort)
+GET http://localhost:3000/integrations/easyecom/orders/export?order_status=Shipped&order_date_from=2025-07-01&columns=order_id,order_date,sku,quantity,suborder_status&format=excel
+GET http://localhost:3000/integrations/easyecom/orders/<order_id>/timeline?suborder_num=<suborder_num>
+GET http://localhost:3000/integrations/easyecom/analytics/time-in-status?level=suborder&from=2025-07-01
+GET http://localhost:3000/integrations/easyecom/analytics/stuck-orders?threshold_hours=24
+GET http://localhost:3000/integrations/easyecom/analytics/status-transitions?from=2025-07-01&timezone=Asia/Kolkata
+GET http://localhost:3000/integrations/easyecom/analytics/sales?interval=week&group_by=marketplace&from=2025-07-01&to=2025-07-31
+GET http://localhost:3000/integrations/easyecom/analytics/sales?interval=day&group_by=payment_type&source=live   (today included; skips the rollup)
+GET http://localhost:3000/integrations/easyecom/analytics/sales/top-skus?from=2025-07-01&limit=20&sort=units
+POST http://localhost:3000/integrations/easyecom/analytics/sales/rollup?from=2025-01-01&to=2025-07-31
 POST http://localhost:3000/integrations/easyecom/push-data
+Body: {
+  "orderNumber": "WEB-10001",
+  "marketplaceId": 10,
+  "paymentMode": 2,
+  "shippingMethod": 1,
+  "items": [{ "Sku": "SKU-001", "Quantity": 1, "Price": 499 }],
+  "customer": [{
+    "billing": { "name": "...", "addressLine1": "...", "postalCode": "400067", "city": "Mumbai", "state": "Maharashtra", "country": "India", "contact": "9876543210", "email": "..." },
+    "shipping": { "name": "...", "addressLine1": "...", "postalCode": "400067", "city": "Mumbai", "state": "Maharashtra", "country": "India", "contact": "9876543210" }
+  }]
+}
+GET http://localhost:3000/integrations/easyecom/pull-inventory?limit=100   (limit is the page size; every page is pulled)
+GET http://localhost:3000/integrations/easyecom/pull-inventory?location_key=<location_key>   (other locations keep their current stock)
+GET http://localhost:3000/integrations/easyecom/inventory?location_key=<location_key>&page=1&limit=50   (items include product details)
+GET http://localhost:3000/integrations/easyecom/inventory/export?location_key=<location_key>&format=csv
+GET http://localhost:3000/integrations/easyecom/inventory/low-stock?severity=critical
+GET http://localhost:3000/integrations/easyecom/inventory/alerts?state=open
+POST http://localhost:3000/integrations/easyecom/inventory/alerts/<alert_id>/acknowledge
+Body: { "by": "ops@example.com", "note": "PO raised" }
+PUT http://localhost:3000/integrations/easyecom/reorder-rules
+Body: { "sku": "SKU-001", "reorder_point": 50, "safety_stock": 20, "reorder_quantity": 200 }   (or "category": "Shirts", or "scope": "default"; optional "location_key")
+GET http://localhost:3000/integrations/easyecom/inventory-snapshots
+GET http://localhost:3000/integrations/easyecom/inventory-snapshots/diff?from=41&to=42
+GET http://localhost:3000/integrations/easyecom/inventory-history?sku=SKU-001&at=2025-07-16T12:00:00Z
+GET http://localhost:3000/integrations/easyecom/pull-products
+GET http://localhost:3000/integrations/easyecom/products?q=shirt&is_combo=true
+GET http://localhost:3000/integrations/easyecom/products/SKU-001
 POST http://localhost:3000/integrations/easyecom/push-dummy-inventory
 POST http://localhost:3000/integrations/easyecom/push-three-real-inventory
 POST http://localhost:3000/integrations/easyecom/push-original-inventory?limit=10
+POST http://localhost:3000/integrations/easyecom/push-bulk-inventory?mode=delta
+POST http://localhost:3000/integrations/easyecom/push-bulk-inventory?mode=delta&location_key=<location_key>   (pushes go to one location; default EASYECOM_LOCATION_KEY)
+POST http://localhost:3000/integrations/easyecom/push-bulk-inventory?dry_run=true
+POST http://localhost:3000/integrations/easyecom/push-original-inventory?limit=10&confirmation_token=<token from the dry run>
+POST http://localhost:3000/integrations/easyecom/push-inventory/retry-failed
+GET http://localhost:3000/integrations/easyecom/push-inventory/log?status=failed
+POST http://localhost:3000/integrations/easyecom/inventory/uploads?location_key=<location_key>
+Body (multipart/form-data): file=<inventory.csv with sku,quantity[,cost] columns>
+POST http://localhost:3000/integrations/easyecom/inventory/uploads/<upload_id>/confirm?confirmation_token=<token when the upload exceeds safety limits>
+POST http://localhost:3000/integrations/easyecom/inventory/uploads/<upload_id>/confirm?dry_run=true   (re-checks the limits and returns a fresh confirmation_token)
+GET http://localhost:3000/integrations/easyecom/inventory/uploads?status=pushed
+GET http://localhost:3000/integrations/easyecom/inventory/uploads/<upload_id>
+GET http://localhost:3000/integrations/easyecom/inventory/uploads/<upload_id>/file
+POST http://localhost:3000/integrations/easyecom/inventory/reconcile?location_key=<location_key>
+POST http://localhost:3000/integrations/easyecom/inventory/reconcile?repush=true&location_key=<location_key>
+GET http://localhost:3000/integrations/easyecom/inventory/reconciliation-reports?status=completed
+GET http://localhost:3000/integrations/easyecom/inventory/reconciliation-reports/<report_id>?type=quantity
+POST http://localhost:3000/integrations/easyecom/inventory/reconciliation-reports/<report_id>/repush?dry_run=true
+POST http://localhost:3000/integrations/easyecom/inventory/reconciliation-reports/<report_id>/repush?confirmation_token=<token from the dry run>
+POST http://localhost:3000/integrations/easyecom/clickpost/create-shipments?dry_run=true
+POST http://localhost:3000/integrations/easyecom/clickpost/create-shipments?location_key=<location_key>&limit=20
+GET http://localhost:3000/integrations/easyecom/clickpost/shipments?bridge_status=failed
+POST http://localhost:3000/integrations/easyecom/webhook/order-status-changed?location_key=<location_key>
+Headers: { "x-api-key": "<EASYECOM_WEBHOOK_TOKEN>" }   (also order-created and inventory-changed)
+GET http://localhost:3000/integrations/easyecom/webhook-events?status=failed
+POST http://localhost:3000/integrations/easyecom/webhook-events/replay?status=failed&event=order-status-changed
+Headers: { "x-api-key": "<ADMIN_API_TOKEN>" }   (both webhook-events routes)
 
 */
\ No newline at end of file
@@ -0,0 +1,15 @@
+// lib/admin-auth.js
+// Express middleware guarding internal admin routes with ADMIN_API_TOKEN
+const { requireToken } = require('./token-auth');
+
+const { ADMIN_API_TOKEN } = process.env;
+
+const requireAdminToken = requireToken({
+  token: ADMIN_API_TOKEN,
+  disabledError: 'Admin API is disabled',
+  disabledMessage: 'Set ADMIN_API_TOKEN to enable admin routes',
+});
+
+module.exports = {
+  requireAdminToken,
+};
@@ -0,0 +1,222 @@
+// lib/awb.js
+// Waybill (AWB) numbers for orders received on the ClickPost webhooks, safe across restarts and instances.
+// Numbers come from preallocated courier ranges (awb_ranges) when CLICKPOST_AWB_SOURCE=range, otherwise
+// from the atomic `counters` sequence. Every environment (production, dev) has its own prefix, check digit
+// scheme, sequence and ranges. Ranges carry their environment, since dev shares the production database
+// when MONGODB_DEV_URI is not set.
+const { nextSequence } = require('./counters');
+const { notify } = require('./notifiers');
+const { ensureUniqueIndex } = require('./unique-index');
+
+const RANGES_COLLECTION = 'awb_ranges';
+const CHECK_DIGIT_SCHEMES = ['none', 'luhn', 'mod7'];
+
+const env = process.env;
+
+// Per-environment settings: CLICKPOST_AWB_* for production, CLICKPOST_DEV_AWB_* for dev.
+// Dev falls back to the production settings, except for its prefix, so dev waybills are told apart.
+const settingsFor = (environment) => {
+  const isDev = environment === 'dev';
+  const value = (name) => (isDev ? env[`CLICKPOST_DEV_${name}`] ?? env[`CLICKPOST_${name}`] : env[`CLICKPOST_${name}`]);
+  return {
+    prefix: isDev ? env.CLICKPOST_DEV_AWB_PREFIX ?? 'CPDEV' : env.CLICKPOST_AWB_PREFIX ?? 'CPAWB',
+    digits: parseInt(value('AWB_DIGITS')) || 10,
+    checkDigit: value('AWB_CHECK_DIGIT') || 'luhn',
+    source: value('AWB_SOURCE') === 'range' ? 'range' : 'sequence',
+    // Range mode falls back to the sequence once every range is used up, if allowed
+    rangeFallback: value('AWB_RANGE_FALLBACK') === 'true',
+    // Alert when an active range has this many numbers left (or fewer)
+    lowWater: parseInt(value('AWB_RANGE_ALERT_REMAINING')) || 500,
+  };
+};
+
+// Luhn (mod 10) check digit, as used by most courier AWB series
+const luhnDigit = (digits) => {
+  let sum = 0;
+  [...digits].reverse().forEach((char, index) => {
+    let digit = Number(char);
+    if (index % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  });
+  return String((10 - (sum % 10)) % 10);
+};
+
+// Remainder of the number divided by 7 (the scheme several Indian couriers use)
+const mod7Digit = (digits) => String([...digits].reduce((remainder, char) => (remainder * 10 + Number(char)) % 7, 0));
+
+const checkDigitFor = (digits, scheme) => {
+  if (scheme === 'luhn') return luhnDigit(digits);
+  if (scheme === 'mod7') return mod7Digit(digits);
+  return '';
+};
+
+// prefix + zero-padded number + check digit
+const formatAwb = (number, { prefix = '', digits = 0, checkDigit = 'none' } = {}) => {
+  const body = String(number).padStart(digits, '0');
+  return `${prefix}${body}${checkDigitFor(body, checkDigit)}`;
+};
+
+const remainingIn = (range) => Math.max(range.end - range.next + 1, 0);
+
+// Ranges of one environment; those stored before ranges carried one are production ranges
+const rangesOf = (environment) => (environment === 'dev' ? { environment: 'dev' } : { environment: { $in: ['production', null] } });
+
+// Sends one low-water alert per range, however many instances cross the threshold
+const alertIfLow = async (db, range, environment, lowWater) => {
+  const remaining = remainingIn(range);
+  if (remaining > lowWater) return;
+
+  const flagged = await db.collection(RANGES_COLLECTION).updateOne(
+    { _id: range._id, low_alerted_at: { $exists: false } },
+    { $set: { low_alerted_at: new Date() } }
+  );
+  if (flagged.modifiedCount === 0) return;
+
+  const others = await db.collection(RANGES_COLLECTION)
+    .find({ _id: { $ne: range._id }, status: 'active', ...rangesOf(environment) }, { projection: { next: 1, end: 1 } })
+    .toArray();
+  await notify({
+    type: 'awb_range_low',
+    message: `AWB range ${range.start}-${range.end}${range.courier ? ` (${range.courier})` : ''} has ${remaining} numbers left`,
+    environment,
+    range_id: String(range._id),
+    courier: range.courier || null,
+    remaining,
+    remaining_in_other_ranges: others.reduce((sum, other) => sum + remainingIn(other), 0),
+  });
+};
+
+// Takes the next number from the environment's oldest active range that still has one, or null when all are used up
+const takeFromRange = async (db, environment, lowWater) => {
+  const ranges = db.collection(RANGES_COLLECTION);
+  const range = await ranges.findOneAndUpdate(
+    { status: 'active', ...rangesOf(environment), $expr: { $lte: ['$next', '$end'] } },
+    { $inc: { next: 1 } },
+    { sort: { created_at: 1 }, returnDocument: 'after' }
+  );
+  if (!range) {
+    return null;
+  }
+
+  const number = range.next - 1;
+  if (range.next > range.end) {
+    await ranges.updateOne({ _id: range._id, status: 'active' }, { $set: { status: 'exhausted', exhausted_at: new Date() } });
+  }
+  await alertIfLow(db, range, environment, lowWater).catch(error => console.error("❌ [AWB] Low range alert failed:", error.message));
+  return formatAwb(number, { prefix: range.prefix, digits: range.digits, checkDigit: range.check_digit });
+};
+
+// Next waybill for `environment` ('production' or 'dev'), from `db` (that environment's database).
+// Throws when range mode has no numbers left and falling back to the sequence is not allowed.
+const generateAwb = async (db, environment = 'production') => {
+  const settings = settingsFor(environment);
+
+  if (settings.source === 'range') {
+    const awb = await takeFromRange(db, environment, settings.lowWater);
+    if (awb) {
+      return awb;
+    }
+    await notify({
+      type: 'awb_ranges_exhausted',
+      message: `No AWB numbers left in any active ${environment} range${settings.rangeFallback ? '; using the sequence' : ''}`,
+      environment,
+    });
+    if (!settings.rangeFallback) {
+      const error = new Error('No AWB numbers left in any active range; add a range via POST /awb-ranges');
+      error.code = 'AWB_EXHAUSTED';
+      throw error;
+    }
+  }
+
+  const number = await nextSequence(db, `awb:${environment}`);
+  return formatAwb(number, settings);
+};
+
+// Validates and stores a courier-issued range { start, end, prefix?, digits?, check_digit?, courier? }
+// for `environment`. Returns { range } or { errors }; an environment's ranges with the same prefix may not overlap.
+const addAwbRange = async (db, environment, body = {}) => {
+  const errors = [];
+  const start = Number(body.start);
+  const end = Number(body.end);
+  if (!Number.isSafeInteger(start) || start < 0) errors.push({ field: 'start', message: 'must be a whole number of 0 or more' });
+  if (!Number.isSafeInteger(end) || end < start) errors.push({ field: 'end', message: 'must be a whole number not below start' });
+  const checkDigit = body.check_digit || 'none';
+  if (!CHECK_DIGIT_SCHEMES.includes(checkDigit)) errors.push({ field: 'check_digit', message: `must be one of ${CHECK_DIGIT_SCHEMES.join(', ')}` });
+  const digits = body.digits === undefined ? String(body.end).length : parseInt(body.digits);
+  if (!Number.isInteger(digits) || digits < 1 || digits > 20) errors.push({ field: 'digits', message: 'must be between 1 and 20' });
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const prefix = body.prefix ? String(body.prefix) : '';
+  const overlapping = await db.collection(RANGES_COLLECTION).findOne({ ...rangesOf(environment), prefix, start: { $lte: end }, end: { $gte: start } });
+  if (overlapping) {
+    return { errors: [{ field: 'start', message: `overlaps range ${overlapping.start}-${overlapping.end}` }] };
+  }
+
+  const range = {
+    environment,
+    courier: body.courier ? String(body.courier) : null,
+    prefix,
+    start,
+    end,
+    next: start,
+    digits,
+    check_digit: checkDigit,
+    status: 'active',
+    created_at: new Date(),
+  };
+  const result = await db.collection(RANGES_COLLECTION).insertOne(range);
+  return { range: { _id: result.insertedId, ...range } };
+};
+
+// The environment's ranges with how many numbers each has left, newest first
+const listAwbRanges = async (db, environment) => {
+  const ranges = await db.collection(RANGES_COLLECTION).find(rangesOf(environment)).sort({ created_at: -1 }).toArray();
+  return ranges.map(range => ({ ...range, remaining: remainingIn(range) }));
+};
+
+// State of the unique waybill index per orders collection, shown on GET /awb-ranges
+const waybillIndexes = {};
+
+// Unique waybills; shipments still waiting for a ClickPost waybill have none and are not indexed.
+// Waybills already issued twice keep the index from being built: they are reported (logged, sent to
+// the alert notifiers and listed by getWaybillIndexStatus) until they are resolved and the app restarts.
+const ensureAwbIndexes = async (db, collectionName) => {
+  waybillIndexes[collectionName] = { status: 'building' };
+  try {
+    // Orders created before waybills were unique stored "PENDING" while waiting for one
+    await db.collection(collectionName).updateMany({ waybill: 'PENDING' }, { $set: { waybill: null } });
+    await ensureUniqueIndex(db.collection(collectionName), { waybill: 1 }, { partialFilterExpression: { waybill: { $type: 'string' } } });
+    waybillIndexes[collectionName] = { status: 'ready' };
+  } catch (error) {
+    waybillIndexes[collectionName] = {
+      status: 'failed',
+      error: error.message,
+      ...(error.duplicates && { duplicates: error.duplicates.map(({ value, count, ids }) => ({ waybill: value, count, order_ids: ids })) }),
+    };
+    console.error(`❌ Failed to create ${collectionName} waybill index:`, error.message);
+  }
+
+  await db.collection(RANGES_COLLECTION).createIndex({ environment: 1, status: 1, created_at: 1 })
+    .catch(error => console.error(`❌ Failed to create ${RANGES_COLLECTION} index:`, error.message));
+};
+
+// { status: 'building' | 'ready' | 'failed', error?, duplicates? } of collectionName's waybill index
+const getWaybillIndexStatus = (collectionName) => waybillIndexes[collectionName] || { status: 'missing' };
+
+// True for the duplicate key error a waybill collision raises
+const isDuplicateWaybill = (error) => error?.code === 11000 && Boolean(error.keyPattern?.waybill || /waybill/.test(error.message));
+
+module.exports = {
+  formatAwb,
+  generateAwb,
+  addAwbRange,
+  listAwbRanges,
+  ensureAwbIndexes,
+  getWaybillIndexStatus,
+  isDuplicateWaybill,
+};
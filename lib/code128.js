@@ -0,0 +1,88 @@
+// lib/code128.js
+// Code 128 barcode encoding (code sets B and C), for the waybill barcode on shipping labels.
+// encodeCode128 returns the bar/space module widths; whoever draws it alternates bar, space, bar, ...
+
+// Module widths of every symbol value (0-102), then Start A/B/C (103-105) and Stop (106)
+const PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112',
+];
+
+const START_B = 104;
+const START_C = 105;
+const CODE_B = 100;
+const CODE_C = 99;
+const STOP = 106;
+
+const digitRunAt = (text, index) => {
+  let end = index;
+  while (end < text.length && text[end] >= '0' && text[end] <= '9') end++;
+  return end - index;
+};
+
+// Symbol values for `text`: code set C for runs of digits long enough to save space, B for the rest
+const symbolValues = (text) => {
+  const values = [];
+  let set = null;
+  let index = 0;
+
+  while (index < text.length) {
+    const run = digitRunAt(text, index);
+    // Four digits pay for the switch at the start or end of the text, six in the middle
+    const worthC = run >= (index === 0 || index + run === text.length ? 4 : 6);
+
+    if (worthC || (set === 'C' && run >= 2)) {
+      // An odd run keeps its first digit in code set B
+      if (run % 2 === 1 && set !== 'C') {
+        if (set === null) values.push(START_B);
+        else if (set !== 'B') values.push(CODE_B);
+        set = 'B';
+        values.push(text.charCodeAt(index) - 32);
+        index++;
+      }
+      if (set === null) values.push(START_C);
+      else if (set !== 'C') values.push(CODE_C);
+      set = 'C';
+      // Already in code set C, an odd run leaves its last digit for code set B
+      for (let pairs = Math.floor(digitRunAt(text, index) / 2); pairs > 0; pairs--) {
+        values.push(Number(text.slice(index, index + 2)));
+        index += 2;
+      }
+      continue;
+    }
+
+    if (set === null) values.push(START_B);
+    else if (set !== 'B') values.push(CODE_B);
+    set = 'B';
+    values.push(text.charCodeAt(index) - 32);
+    index++;
+  }
+  return values;
+};
+
+// Module widths (bar, space, bar, ... ending on a bar) for `value`, without quiet zones.
+// Throws for characters Code 128 B cannot carry (outside printable ASCII).
+const encodeCode128 = (value) => {
+  const text = String(value);
+  if (text.length === 0 || !/^[\x20-\x7E]+$/.test(text)) {
+    throw new Error(`Cannot encode "${text}" as Code 128`);
+  }
+
+  const values = symbolValues(text);
+  const checksum = values.reduce((sum, symbol, position) => sum + symbol * Math.max(position, 1), 0) % 103;
+  return [...values, checksum, STOP]
+    .flatMap(symbol => [...PATTERNS[symbol]].map(Number));
+};
+
+module.exports = {
+  encodeCode128,
+};
@@ -0,0 +1,16 @@
+// lib/counters.js
+// Atomic sequence numbers backed by the `counters` collection
+
+// Returns the next value of the named sequence (1, 2, 3, ...), safe across instances
+const nextSequence = async (db, name, increment = 1) => {
+  const counter = await db.collection('counters').findOneAndUpdate(
+    { _id: name },
+    { $inc: { value: increment } },
+    { upsert: true, returnDocument: 'after' }
+  );
+  return counter.value;
+};
+
+module.exports = {
+  nextSequence,
+};
@@ -0,0 +1,92 @@
+// lib/cron.js
+// Minimal 5-field cron expression matcher: minute hour day-of-month month day-of-week.
+// Supports '*', numbers, ranges (1-5), steps (*/15, 1-30/5) and lists (1,15,30).
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day_of_month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day_of_week', min: 0, max: 7 }, // 0 and 7 are both Sunday
+];
+
+const parseField = (value, { name, min, max }) => {
+  const allowed = new Set();
+
+  for (const part of value.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    let start;
+    let end;
+
+    if (range === '*') {
+      start = min;
+      end = max;
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(n => parseInt(n, 10));
+    } else {
+      start = parseInt(range, 10);
+      end = stepText === undefined ? start : max;
+    }
+
+    if ([start, end, step].some(Number.isNaN) || start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid cron ${name} field: "${value}"`);
+    }
+
+    for (let n = start; n <= end; n += step) {
+      allowed.add(name === 'day_of_week' && n === 7 ? 0 : n);
+    }
+  }
+
+  return allowed;
+};
+
+// Parses an expression like "*/15 * * * *" into sets of allowed values
+const parseCron = (expression) => {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields, got "${expression}"`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    // Standard cron: when both day fields are restricted, either one may match
+    restrictedDays: parts[2] !== '*' && parts[4] !== '*',
+  };
+};
+
+// True when the (local time) minute containing `date` matches the schedule
+const matchesCron = (schedule, date) => {
+  if (!schedule.minute.has(date.getMinutes()) || !schedule.hour.has(date.getHours()) || !schedule.month.has(date.getMonth() + 1)) {
+    return false;
+  }
+
+  const domMatch = schedule.dayOfMonth.has(date.getDate());
+  const dowMatch = schedule.dayOfWeek.has(date.getDay());
+  return schedule.restrictedDays ? domMatch || dowMatch : domMatch && dowMatch;
+};
+
+// Finds the next matching minute after `from`, looking at most a year ahead
+const nextCronRun = (schedule, from = new Date()) => {
+  const candidate = new Date(from);
+  candidate.setSeconds(0, 0);
+
+  for (let i = 0; i < 366 * 24 * 60; i++) {
+    candidate.setMinutes(candidate.getMinutes() + 1);
+    if (matchesCron(schedule, candidate)) {
+      return new Date(candidate);
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  parseCron,
+  matchesCron,
+  nextCronRun,
+};
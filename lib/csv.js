@@ -0,0 +1,168 @@
+// lib/csv.js
+// Parses uploaded CSV files, and streams CSV exports straight from a Mongo cursor to an HTTP response,
+// one batch of rows at a time.
+// format "csv" is plain RFC 4180 CSV; format "excel" adds a UTF-8 BOM and CRLF line endings so Excel
+// opens it with the right encoding. Both neutralise cells a spreadsheet would run as formulas, since a
+// plain .csv opens in Excel or Sheets just the same.
+
+const FORMATS = ['csv', 'excel'];
+const ROWS_PER_WRITE = 200;
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Reads "a.b.c" from a document
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), doc);
+
+const toCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = typeof value.toHexString === 'function' ? value.toHexString() : JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+  if (typeof value === 'string' && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Picks the export columns from ?columns=a,b,c (in that order) or the defaults.
+// `available` maps column keys to { header, value(row) }; a column without value reads row[key].
+// Returns { columns } or { error } naming the unknown columns.
+const resolveColumns = (available, requested, defaults) => {
+  const keys = requested
+    ? String(requested).split(',').map(key => key.trim()).filter(Boolean)
+    : defaults;
+  const unknown = keys.filter(key => !Object.hasOwn(available, key));
+  if (unknown.length > 0) {
+    return { error: `Unknown columns: ${unknown.join(', ')}; available: ${Object.keys(available).join(', ')}` };
+  }
+  return {
+    columns: keys.map(key => ({
+      key,
+      header: available[key].header || key,
+      value: available[key].value || (row => getPath(row, key)),
+    })),
+  };
+};
+
+// "<name>-YYYY-MM-DD.csv" (Excel-flavoured exports get an -excel suffix)
+const exportFilename = (name, format) => `${name}-${new Date().toISOString().slice(0, 10)}${format === 'excel' ? '-excel' : ''}.csv`;
+
+const waitForDrain = (res) => new Promise((resolve) => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+// Writes every document of `cursor` as CSV rows. `rowsFor(doc)` can expand one document into
+// several rows (defaults to the document itself). Resolves with the number of rows written;
+// stops early, closing the cursor, if the client disconnects.
+const streamCsv = async (res, cursor, { columns, filename, format = 'csv', rowsFor = doc => [doc] }) => {
+  const excel = format === 'excel';
+  const newline = excel ? '\r\n' : '\n';
+  let rowCount = 0;
+  let closed = false;
+  res.on('close', () => { closed = true; });
+
+  res.status(200);
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  const write = async (chunk) => {
+    if (!res.write(chunk)) {
+      await waitForDrain(res);
+    }
+  };
+
+  try {
+    await write(`${excel ? '\uFEFF' : ''}${columns.map(column => toCell(column.header)).join(',')}${newline}`);
+
+    let lines = [];
+    for await (const doc of cursor) {
+      if (closed) break;
+      for (const row of rowsFor(doc)) {
+        lines.push(columns.map(column => toCell(column.value(row))).join(','));
+        rowCount++;
+      }
+      if (lines.length >= ROWS_PER_WRITE) {
+        await write(lines.join(newline) + newline);
+        lines = [];
+      }
+    }
+    if (lines.length > 0 && !closed) {
+      await write(lines.join(newline) + newline);
+    }
+    res.end();
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+  return { rowCount, aborted: closed && !res.writableFinished };
+};
+
+// Parses CSV text (comma-separated, RFC 4180 quoting, LF or CRLF, optional UTF-8 BOM) into
+// [{ line, fields }], where line is the 1-based line the record starts on. Blank lines are skipped.
+const parseCsv = (text) => {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const records = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0].trim() !== '') {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || fields.length > 0) {
+    endRecord();
+  }
+  return records;
+};
+
+module.exports = {
+  parseCsv,
+  FORMATS,
+  getPath,
+  exportFilename,
+  resolveColumns,
+  streamCsv,
+};
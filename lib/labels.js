@@ -0,0 +1,185 @@
+// lib/labels.js
+// Shipping label PDFs for stored ClickPost orders: a Code 128 barcode of the waybill, the drop and pickup
+// addresses, a COD (or prepaid) callout and the weight.
+// size "4x6" is one label per 4x6 inch page for thermal printers; size "a4" puts four labels on an A4 sheet.
+// The built-in PDF fonts only cover Latin text, so set LABEL_FONT_PATH to a TTF font for addresses in other scripts.
+const PDFDocument = require('pdfkit');
+const { encodeCode128 } = require('./code128');
+
+const { LABEL_FONT_PATH } = process.env;
+
+const LABEL_SIZES = ['4x6', 'a4'];
+
+// A label is laid out on a 4x6 inch (288x432 pt) canvas and scaled into its slot
+const LABEL_WIDTH = 288;
+const LABEL_HEIGHT = 432;
+const PADDING = 12;
+const INNER_WIDTH = LABEL_WIDTH - PADDING * 2;
+// Wider bars than this leave short waybills too little quiet zone to scan
+const MAX_MODULE_WIDTH = 2.5;
+
+const A4 = { width: 595.28, height: 841.89, columns: 2, rows: 2 };
+
+const FONT = LABEL_FONT_PATH || 'Helvetica';
+const BOLD_FONT = LABEL_FONT_PATH || 'Helvetica-Bold';
+
+const formatAmount = (amount) => `Rs. ${Number(amount).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+const itemCount = (items) => (Array.isArray(items)
+  ? items.reduce((sum, item) => sum + (Number(item?.quantity) || 1), 0)
+  : 0);
+
+// "City, State - 400067" from whichever parts the address has
+const cityLine = (info = {}) => {
+  const place = [info.city, info.state].filter(Boolean).join(', ');
+  return [place, info.pincode].filter(Boolean).join(' - ');
+};
+
+const drawBarcode = (doc, value, { x, y, width, height }) => {
+  const widths = encodeCode128(value);
+  const modules = widths.reduce((sum, width) => sum + width, 0);
+  const moduleWidth = Math.min(width / modules, MAX_MODULE_WIDTH);
+  let position = x + (width - modules * moduleWidth) / 2;
+  widths.forEach((modulesWide, index) => {
+    if (index % 2 === 0) {
+      doc.rect(position, y, modulesWide * moduleWidth, height);
+    }
+    position += modulesWide * moduleWidth;
+  });
+  doc.fill('black');
+};
+
+// Name, address lines, city/state/pincode and phone of a pickup or drop address
+const drawAddress = (doc, info, { y, heading, size, height }) => {
+  const address = info || {};
+  doc.font(BOLD_FONT).fontSize(7).fillColor('black').text(heading, PADDING, y, { width: INNER_WIDTH });
+  doc.font(BOLD_FONT).fontSize(size + 2).text(address.name || '', PADDING, y + 10, { width: INNER_WIDTH, height: size + 4, ellipsis: true });
+  const addressTop = y + size + 16;
+  const addressHeight = height - (size + 16) - (size * 2 + 8);
+  doc.font(FONT).fontSize(size).text(address.address || '', PADDING, addressTop, { width: INNER_WIDTH, height: addressHeight, ellipsis: true });
+  const bottom = y + height - (size * 2 + 6);
+  doc.font(BOLD_FONT).fontSize(size + 1).text(cityLine(address), PADDING, bottom, { width: INNER_WIDTH, height: size + 3, ellipsis: true });
+  doc.font(FONT).fontSize(size).text(address.phone ? `Phone: ${address.phone}` : '', PADDING, bottom + size + 3, { width: INNER_WIDTH });
+};
+
+const divider = (doc, y) => {
+  doc.moveTo(0, y).lineTo(LABEL_WIDTH, y).lineWidth(0.75).stroke('black');
+};
+
+// Draws one order's label on the 288x432 canvas
+const drawLabel = (doc, order) => {
+  const details = order.shipment_details || {};
+  const reference = order.order_id || order.reference_number || '';
+
+  doc.rect(0, 0, LABEL_WIDTH, LABEL_HEIGHT).lineWidth(1.5).stroke('black');
+
+  // Reference and date
+  doc.font(BOLD_FONT).fontSize(9).fillColor('black')
+    .text(`Order: ${reference}`, PADDING, 10, { width: INNER_WIDTH * 0.7, height: 11, ellipsis: true });
+  doc.font(FONT).fontSize(9).text(formatDate(order.created_at), PADDING, 10, { width: INNER_WIDTH, align: 'right' });
+  divider(doc, 26);
+
+  // Waybill barcode
+  drawBarcode(doc, order.waybill, { x: PADDING + 8, y: 34, width: INNER_WIDTH - 16, height: 58 });
+  doc.font(BOLD_FONT).fontSize(13).text(order.waybill, PADDING, 97, { width: INNER_WIDTH, align: 'center' });
+  divider(doc, 116);
+
+  // Payment callout: COD amounts to collect stand out in white on black
+  const codAmount = Number(details.cod_amount) || 0;
+  if (codAmount > 0) {
+    doc.rect(PADDING, 122, INNER_WIDTH, 30).fill('black');
+    doc.font(BOLD_FONT).fontSize(16).fillColor('white')
+      .text(`COD  ${formatAmount(codAmount)}`, PADDING, 129, { width: INNER_WIDTH, align: 'center' });
+    doc.fillColor('black');
+  } else {
+    doc.rect(PADDING, 122, INNER_WIDTH, 30).lineWidth(1.5).stroke('black');
+    doc.font(BOLD_FONT).fontSize(16).text('PREPAID', PADDING, 129, { width: INNER_WIDTH, align: 'center' });
+  }
+  divider(doc, 158);
+
+  drawAddress(doc, order.drop_info, { y: 164, heading: 'SHIP TO', size: 10, height: 120 });
+  divider(doc, 288);
+
+  // Weight, items and declared value
+  const weight = Number(details.weight) || 0;
+  const facts = [
+    ['Weight', weight > 0 ? `${weight} kg` : '-'],
+    ['Items', String(itemCount(details.items) || '-')],
+    ['Value', details.declared_value ? formatAmount(details.declared_value) : '-'],
+  ];
+  const column = INNER_WIDTH / facts.length;
+  facts.forEach(([label, value], index) => {
+    const x = PADDING + column * index;
+    doc.font(FONT).fontSize(7).text(label.toUpperCase(), x, 294, { width: column });
+    doc.font(BOLD_FONT).fontSize(11).text(value, x, 304, { width: column - 4, height: 13, ellipsis: true });
+  });
+  divider(doc, 322);
+
+  drawAddress(doc, order.pickup_info, { y: 328, heading: 'FROM / RETURN TO', size: 8, height: 98 });
+};
+
+// Where each label goes: the whole page for 4x6, a quarter of the sheet for A4
+const slotsFor = (size) => {
+  if (size === 'a4') {
+    const width = A4.width / A4.columns;
+    const height = A4.height / A4.rows;
+    const scale = Math.min(width / LABEL_WIDTH, height / LABEL_HEIGHT) * 0.96;
+    const slots = [];
+    for (let row = 0; row < A4.rows; row++) {
+      for (let col = 0; col < A4.columns; col++) {
+        slots.push({
+          x: col * width + (width - LABEL_WIDTH * scale) / 2,
+          y: row * height + (height - LABEL_HEIGHT * scale) / 2,
+          scale,
+        });
+      }
+    }
+    return { page: [A4.width, A4.height], slots };
+  }
+  return { page: [LABEL_WIDTH, LABEL_HEIGHT], slots: [{ x: 0, y: 0, scale: 1 }] };
+};
+
+// Dashed cut lines between the labels of an A4 sheet
+const drawCutLines = (doc) => {
+  doc.save().lineWidth(0.5).dash(4, { space: 4 }).strokeColor('#999999');
+  doc.moveTo(A4.width / 2, 0).lineTo(A4.width / 2, A4.height).stroke();
+  doc.moveTo(0, A4.height / 2).lineTo(A4.width, A4.height / 2).stroke();
+  doc.restore();
+};
+
+// PDF document with one label per order, in the given order. Orders need a waybill.
+const renderLabels = (orders, { size = '4x6' } = {}) => {
+  const { page, slots } = slotsFor(size);
+  const doc = new PDFDocument({ size: page, margin: 0, autoFirstPage: false, info: { Title: 'Shipping labels' } });
+
+  orders.forEach((order, index) => {
+    const slot = slots[index % slots.length];
+    if (index % slots.length === 0) {
+      doc.addPage();
+      if (size === 'a4') drawCutLines(doc);
+    }
+    doc.save().translate(slot.x, slot.y).scale(slot.scale);
+    drawLabel(doc, order);
+    doc.restore();
+  });
+
+  doc.end();
+  return doc;
+};
+
+// Streams the labels of `orders` to an HTTP response as an inline PDF named `filename`
+const streamLabels = (res, orders, { size, filename }) => {
+  const doc = renderLabels(orders, { size });
+  res.status(200);
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+  doc.pipe(res);
+};
+
+module.exports = {
+  LABEL_SIZES,
+  renderLabels,
+  streamLabels,
+};
@@ -0,0 +1,70 @@
+// lib/notifiers.js
+// Fans alert events out to the notifiers named in ALERT_NOTIFIERS (comma-separated):
+//   console - logs the event (default)
+//   webhook - POSTs the event as JSON to ALERT_WEBHOOK_URL
+//   file    - appends the event as one JSON line to ALERT_LOG_FILE
+// Other notifiers can be added with registerNotifier(name, fn). A failing notifier is logged
+// and never fails the caller.
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const {
+  ALERT_NOTIFIERS,
+  ALERT_WEBHOOK_URL,
+  ALERT_LOG_FILE,
+} = process.env;
+
+const notifiers = {
+  console: async (event) => {
+    console.warn(`🔔 [ALERT] ${event.type}: ${event.message}`);
+  },
+  webhook: async (event) => {
+    if (!ALERT_WEBHOOK_URL) {
+      throw new Error('ALERT_WEBHOOK_URL is not set');
+    }
+    await axios.post(ALERT_WEBHOOK_URL, event, {
+      headers: { 'Content-Type': 'application/json' },
+      timeout: 10000,
+    });
+  },
+  file: async (event) => {
+    const file = ALERT_LOG_FILE || path.join('logs', 'alerts.log');
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.appendFile(file, `${JSON.stringify(event)}\n`);
+  },
+};
+
+const enabledNotifiers = (ALERT_NOTIFIERS || 'console')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
+const registerNotifier = (name, fn) => {
+  notifiers[name] = fn;
+};
+
+// Sends { type, message, ...details } to every enabled notifier.
+// Returns the per-notifier outcome, e.g. [{ notifier: 'webhook', success: false, error }].
+const notify = async (event) => {
+  const payload = { ...event, sent_at: new Date().toISOString() };
+  return Promise.all(enabledNotifiers.map(async (name) => {
+    const notifier = notifiers[name];
+    if (!notifier) {
+      console.error(`❌ [ALERT] Unknown notifier "${name}" in ALERT_NOTIFIERS`);
+      return { notifier: name, success: false, error: 'Unknown notifier' };
+    }
+    try {
+      await notifier(payload);
+      return { notifier: name, success: true };
+    } catch (error) {
+      console.error(`❌ [ALERT] ${name} notifier failed for ${event.type}:`, error.message);
+      return { notifier: name, success: false, error: error.message };
+    }
+  }));
+};
+
+module.exports = {
+  notify,
+  registerNotifier,
+};
@@ -0,0 +1,64 @@
+// lib/rate-limit.js
+// Fixed-window request limits per client, counted in the `rate_limits` collection so every instance
+// shares them. A window's counter expires through a TTL index once the window is over.
+// Behind a load balancer, set TRUST_PROXY so req.ip is the client and not the proxy.
+
+const COLLECTION = 'rate_limits';
+
+// Counts `increment` hits (0 only reads) for `key` in the current `windowMs` window of `bucket`.
+// Returns { allowed, count, remaining, retryAfterSeconds }; allowed is false once count is above `max`.
+const consumeRateLimit = async (db, { bucket, key, windowMs, max, increment = 1 }) => {
+  const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+  const counter = await db.collection(COLLECTION).findOneAndUpdate(
+    { _id: `${bucket}:${key}:${windowStart}` },
+    { $inc: { count: increment }, $setOnInsert: { expires_at: new Date(windowStart + windowMs) } },
+    { upsert: true, returnDocument: 'after' }
+  );
+  return {
+    allowed: counter.count <= max,
+    count: counter.count,
+    remaining: Math.max(max - counter.count, 0),
+    retryAfterSeconds: Math.ceil((windowStart + windowMs - Date.now()) / 1000),
+  };
+};
+
+// Express middleware allowing `max` requests per client IP every `windowMs` in `bucket`.
+// `getDb` returns the database to count in; `onLimited(req, res, limit)` answers limited requests
+// (a JSON 429 by default). The limit fails open, with an error logged, when the count cannot be read.
+const rateLimit = ({ getDb, bucket, windowMs, max, onLimited }) => async (req, res, next) => {
+  let limit;
+  try {
+    limit = await consumeRateLimit(getDb(), { bucket, key: req.ip, windowMs, max });
+  } catch (error) {
+    console.error(`❌ Rate limit check failed for ${bucket}:`, error.message);
+    return next();
+  }
+
+  res.setHeader('X-RateLimit-Limit', String(max));
+  res.setHeader('X-RateLimit-Remaining', String(limit.remaining));
+  if (limit.allowed) {
+    return next();
+  }
+
+  console.warn(`⚠️ Rate limit reached for ${req.ip} on ${bucket} (${limit.count} requests)`);
+  res.setHeader('Retry-After', String(limit.retryAfterSeconds));
+  if (onLimited) {
+    return onLimited(req, res, limit);
+  }
+  res.status(429).json({
+    success: false,
+    error: 'Too many requests',
+    retry_after_seconds: limit.retryAfterSeconds,
+    timestamp: new Date().toISOString()
+  });
+};
+
+const ensureRateLimitIndexes = (db) => db.collection(COLLECTION)
+  .createIndex({ expires_at: 1 }, { expireAfterSeconds: 0 })
+  .catch(error => console.error("❌ Failed to create rate_limits index:", error.message));
+
+module.exports = {
+  consumeRateLimit,
+  rateLimit,
+  ensureRateLimitIndexes,
+};
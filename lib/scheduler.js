@@ -0,0 +1,336 @@
+// lib/scheduler.js
+// Runs the periodic jobs defined in config/scheduler.js.
+// A Mongo lock (job_locks) keeps two instances from running the same job at once,
+// and every run is recorded in job_runs with its duration, outcome and summary.
+const express = require('express');
+const os = require('os');
+const config = require('../config/scheduler');
+const { parseCron, matchesCron, nextCronRun } = require('./cron');
+const { requireAdminToken } = require('./admin-auth');
+
+let db; // Global DB from server.js
+
+const router = express.Router();
+router.use(requireAdminToken);
+
+const instanceId = `${os.hostname()}:${process.pid}`;
+const handlers = {}; // "easyecom.pullOrders" -> async (params) => result
+const jobs = new Map(); // job name -> job config with parsed schedule
+let timer = null;
+
+// Makes an integration's job functions available as "<namespace>.<name>" handlers
+const registerJobHandlers = (namespace, jobFunctions) => {
+  for (const [name, fn] of Object.entries(jobFunctions)) {
+    handlers[`${namespace}.${name}`] = fn;
+  }
+};
+
+const loadJobs = () => {
+  jobs.clear();
+  for (const job of config.jobs) {
+    try {
+      jobs.set(job.name, { ...job, schedule: parseCron(job.cron) });
+    } catch (error) {
+      console.error(`❌ [SCHEDULER] Invalid cron for job ${job.name}:`, error.message);
+      jobs.set(job.name, { ...job, schedule: null, config_error: error.message });
+    }
+  }
+};
+
+const lockTtlMs = (job) => (job.lockTtlMinutes || 30) * 60 * 1000;
+
+// Takes the job lock unless another run (on any instance) still holds it
+const acquireLock = async (job) => {
+  const now = new Date();
+  try {
+    await db.collection('job_locks').findOneAndUpdate(
+      { _id: job.name, locked_until: { $lt: now } },
+      { $set: { owner: instanceId, locked_at: now, locked_until: new Date(now.getTime() + lockTtlMs(job)) } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    // Duplicate key: the lock document exists and has not expired
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+const extendLock = async (job) => {
+  await db.collection('job_locks').updateOne(
+    { _id: job.name, owner: instanceId },
+    { $set: { locked_until: new Date(Date.now() + lockTtlMs(job)) } }
+  );
+};
+
+const releaseLock = async (job) => {
+  await db.collection('job_locks').updateOne(
+    { _id: job.name, owner: instanceId },
+    { $set: { locked_until: new Date(0), released_at: new Date() } }
+  );
+};
+
+// Marks a cron slot as taken so other instances ticking in the same minute skip it
+const claimSlot = async (job, slot) => {
+  const result = await db.collection('scheduled_jobs').updateOne(
+    { _id: job.name, paused: { $ne: true }, last_scheduled_for: { $ne: slot } },
+    { $set: { last_scheduled_for: slot } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Executes a job whose lock is already held. Resolves with the run id once the run is recorded;
+// `finished` settles when the handler is done.
+const startRun = async (job, trigger) => {
+  const startedAt = new Date();
+  const { insertedId } = await db.collection('job_runs').insertOne({
+    job_name: job.name,
+    trigger,
+    instance_id: instanceId,
+    params: job.params || {},
+    status: 'running',
+    started_at: startedAt,
+  });
+
+  console.log(`[SCHEDULER] ▶️ Running ${job.name} (${trigger}), run ${insertedId}`);
+
+  const finished = (async () => {
+    const heartbeat = setInterval(() => {
+      extendLock(job).catch(error => console.error(`❌ [SCHEDULER] Could not extend lock for ${job.name}:`, error.message));
+    }, lockTtlMs(job) / 2);
+
+    let status = 'success';
+    let message = null;
+    let summary = null;
+    let error = null;
+
+    try {
+      const handler = handlers[job.handler];
+      if (!handler) {
+        throw new Error(`No handler registered for ${job.handler}`);
+      }
+
+      const result = await handler(job.params || {});
+      message = result?.message || null;
+      summary = result?.summary || null;
+      if (result?.success === false) {
+        status = 'failed';
+        error = result.error || result.message || 'Job reported failure';
+      }
+    } catch (err) {
+      status = 'failed';
+      error = err.message;
+    } finally {
+      clearInterval(heartbeat);
+      await releaseLock(job).catch(err => console.error(`❌ [SCHEDULER] Could not release lock for ${job.name}:`, err.message));
+    }
+
+    const finishedAt = new Date();
+    await db.collection('job_runs').updateOne(
+      { _id: insertedId },
+      {
+        $set: {
+          status,
+          message,
+          summary,
+          error,
+          finished_at: finishedAt,
+          duration_ms: finishedAt - startedAt,
+        },
+      }
+    );
+
+    const icon = status === 'success' ? '✅' : '❌';
+    console.log(`[SCHEDULER] ${icon} ${job.name} finished with ${status} in ${finishedAt - startedAt}ms`);
+    return status;
+  })();
+
+  return { runId: insertedId, finished };
+};
+
+const recordSkippedRun = async (job, trigger, reason) => {
+  const now = new Date();
+  await db.collection('job_runs').insertOne({
+    job_name: job.name,
+    trigger,
+    instance_id: instanceId,
+    status: 'skipped',
+    error: reason,
+    started_at: now,
+    finished_at: now,
+    duration_ms: 0,
+  });
+};
+
+const tick = async () => {
+  const slot = new Date();
+  slot.setSeconds(0, 0);
+
+  for (const job of jobs.values()) {
+    if (!job.enabled || !job.schedule || !matchesCron(job.schedule, slot)) {
+      continue;
+    }
+
+    try {
+      if (!(await claimSlot(job, slot))) {
+        continue;
+      }
+
+      if (!(await acquireLock(job))) {
+        console.warn(`⚠️ [SCHEDULER] Skipping ${job.name}: previous run still holds the lock`);
+        await recordSkippedRun(job, 'schedule', 'Previous run still in progress');
+        continue;
+      }
+
+      const { finished } = await startRun(job, 'schedule');
+      finished.catch(error => console.error(`❌ [SCHEDULER] ${job.name} run error:`, error.message));
+    } catch (error) {
+      console.error(`❌ [SCHEDULER] Error scheduling ${job.name}:`, error.message);
+    }
+  }
+};
+
+// Starts the tick loop; called from startServer() after integrations are initialised
+const start = async () => {
+  if (!config.enabled) {
+    console.log('⚠️ [SCHEDULER] Disabled via SCHEDULER_ENABLED=false');
+    return;
+  }
+
+  await db.collection('job_runs').createIndex({ job_name: 1, started_at: -1 });
+  for (const job of jobs.values()) {
+    await db.collection('scheduled_jobs').updateOne(
+      { _id: job.name },
+      { $setOnInsert: { paused: false } },
+      { upsert: true }
+    );
+  }
+
+  timer = setInterval(() => {
+    tick().catch(error => console.error('❌ [SCHEDULER] Tick error:', error.message));
+  }, config.tickIntervalMs);
+
+  const enabledJobs = [...jobs.values()].filter(job => job.enabled).map(job => `${job.name} (${job.cron})`);
+  console.log(`✅ [SCHEDULER] Started on ${instanceId} with jobs: ${enabledJobs.join(', ') || 'none enabled'}`);
+};
+
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+// List jobs with their schedule, pause state and last run
+router.get('/', async (req, res) => {
+  console.log("\n\n--- Received request for /admin/jobs ---");
+  try {
+    const names = [...jobs.keys()];
+    const states = await db.collection('scheduled_jobs').find({ _id: { $in: names } }).toArray();
+    const locks = await db.collection('job_locks').find({ _id: { $in: names } }).toArray();
+
+    const data = await Promise.all([...jobs.values()].map(async (job) => {
+      const state = states.find(s => s._id === job.name) || {};
+      const lock = locks.find(l => l._id === job.name);
+      const lastRun = await db.collection('job_runs').find({ job_name: job.name }).sort({ started_at: -1 }).limit(1).next();
+      const active = job.enabled && !state.paused && job.schedule;
+
+      return {
+        name: job.name,
+        handler: job.handler,
+        cron: job.cron,
+        enabled: job.enabled,
+        paused: Boolean(state.paused),
+        params: job.params || {},
+        config_error: job.config_error || null,
+        running: Boolean(lock && lock.locked_until > new Date()),
+        next_run: active ? nextCronRun(job.schedule) : null,
+        last_run: lastRun,
+      };
+    }));
+
+    res.status(200).json({ success: true, scheduler_enabled: config.enabled, instance_id: instanceId, data });
+  } catch (error) {
+    console.error("❌ ERROR in /admin/jobs route:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Trigger a job now (runs in the background, responds with the run id)
+router.post('/:name/run', async (req, res) => {
+  console.log(`\n\n--- Received request for /admin/jobs/${req.params.name}/run ---`);
+  try {
+    const job = jobs.get(req.params.name);
+    if (!job) {
+      return res.status(404).json({ success: false, error: `Job ${req.params.name} not found` });
+    }
+
+    if (!(await acquireLock(job))) {
+      return res.status(409).json({ success: false, error: `Job ${job.name} is already running` });
+    }
+
+    const { runId, finished } = await startRun(job, 'manual');
+    finished.catch(error => console.error(`❌ [SCHEDULER] ${job.name} run error:`, error.message));
+
+    res.status(202).json({ success: true, message: `Job ${job.name} started`, run_id: runId });
+  } catch (error) {
+    console.error("❌ ERROR in /admin/jobs/:name/run route:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+const setPaused = (paused) => async (req, res) => {
+  const action = paused ? 'pause' : 'resume';
+  console.log(`\n\n--- Received request for /admin/jobs/${req.params.name}/${action} ---`);
+  try {
+    const job = jobs.get(req.params.name);
+    if (!job) {
+      return res.status(404).json({ success: false, error: `Job ${req.params.name} not found` });
+    }
+
+    await db.collection('scheduled_jobs').updateOne(
+      { _id: job.name },
+      { $set: { paused, [`${action}d_at`]: new Date() } },
+      { upsert: true }
+    );
+
+    res.status(200).json({ success: true, message: `Job ${job.name} ${action}d`, data: { name: job.name, paused } });
+  } catch (error) {
+    console.error(`❌ ERROR in /admin/jobs/:name/${action} route:`, error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+router.post('/:name/pause', setPaused(true));
+router.post('/:name/resume', setPaused(false));
+
+// Recent runs of a job
+router.get('/:name/runs', async (req, res) => {
+  console.log(`\n\n--- Received request for /admin/jobs/${req.params.name}/runs ---`);
+  try {
+    const limit = parseInt(req.query.limit) || 20;
+    const runs = await db.collection('job_runs')
+      .find({ job_name: req.params.name })
+      .sort({ started_at: -1 })
+      .limit(limit)
+      .toArray();
+
+    res.status(200).json({ success: true, data: runs, count: runs.length });
+  } catch (error) {
+    console.error("❌ ERROR in /admin/jobs/:name/runs route:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = {
+  router,
+  registerJobHandlers,
+  start,
+  stop,
+  init: (globalDb) => {
+    db = globalDb;
+    loadJobs();
+  },
+};
@@ -0,0 +1,112 @@
+// lib/shipment-lifecycle.js
+// Shipment lifecycle over the ClickPost status codes: which status may follow which, which are terminal,
+// and where an event fits among the ones already recorded. Events are placed by their own timestamp, not
+// by when they arrived, so a late event is checked against the statuses around it at that time and the
+// current status is always the latest valid event.
+
+// Statuses we set when a shipment is created; every recorded ClickPost event comes after them
+const INITIAL_STATUSES = ['Pending', 'Created'];
+
+// The courier scans of a shipment before it is handed over and while it moves. Repeats are allowed
+// (a shipment is scanned in transit at every hub and can go out for delivery more than once).
+const AFTER_PICKUP = ['INT', 'OFD', 'NDR', 'DEX', 'OOD', 'RTO', 'DEL'];
+const TRANSITIONS = {
+  Pending: ['PPD', ...AFTER_PICKUP, 'EXP'],
+  Created: ['PPD', ...AFTER_PICKUP, 'EXP'],
+  PPD: ['PPD', ...AFTER_PICKUP, 'EXP'],
+  INT: AFTER_PICKUP,
+  OFD: ['OFD', 'INT', 'NDR', 'DEX', 'RTO', 'DEL'],
+  NDR: ['NDR', 'INT', 'OFD', 'DEX', 'RTO', 'DEL'],
+  DEX: ['DEX', 'INT', 'OFD', 'NDR', 'RTO', 'DEL'],
+  OOD: ['OOD', 'INT', 'DEX', 'RTO'],
+  // Once a return starts, only further return scans follow
+  RTO: ['RTO'],
+  // A delivery can only be confirmed by its proof of delivery
+  DEL: ['POD'],
+  POD: [],
+  EXP: [],
+};
+
+const STATUS_CODES = Object.keys(TRANSITIONS).filter(status => !INITIAL_STATUSES.includes(status));
+const TERMINAL_STATUSES = ['DEL', 'POD', 'EXP'];
+
+const isKnownStatus = (status) => STATUS_CODES.includes(status);
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+const timeOf = (timestamp) => new Date(timestamp).getTime();
+
+// Where `event` ({ status, timestamp, timestamp_assumed? }) fits in `history` (an order's status_history)
+// and whether the lifecycle allows it there. History entries with codes the lifecycle does not know are
+// skipped, so one odd code does not block every later event. timestamp_assumed marks an event sent
+// without its own time (placed at now), which is a resend when it repeats the latest status.
+// Returns one of
+//   { allowed: true, duplicate: true }                      the same status at the same time is already recorded,
+//                                                           a final status is already recorded, or a resend
+//   { allowed: true, from, next, current }                  current: it is the latest event, so it sets the status
+//   { allowed: false, reason, message, from?, next? }       reason: unknown_status, terminal_state,
+//                                                           illegal_transition or conflicts_with_later_event
+const evaluateStatusEvent = (history, event) => {
+  if (!isKnownStatus(event.status)) {
+    return {
+      allowed: false,
+      reason: 'unknown_status',
+      message: `Unknown status code ${event.status}; expected one of ${STATUS_CODES.join(', ')}`,
+    };
+  }
+
+  const entries = (history || []).filter(entry => INITIAL_STATUSES.includes(entry?.status) || isKnownStatus(entry?.status));
+  const initial = entries.find(entry => INITIAL_STATUSES.includes(entry.status))?.status || 'Pending';
+  // Stable sort: events recorded with the same timestamp keep the order they were recorded in
+  const events = entries
+    .filter(entry => !INITIAL_STATUSES.includes(entry.status))
+    .sort((a, b) => timeOf(a.timestamp) - timeOf(b.timestamp));
+
+  const at = timeOf(event.timestamp);
+  if (events.some(entry => entry.status === event.status && timeOf(entry.timestamp) === at)) {
+    return { allowed: true, duplicate: true };
+  }
+  // A final status happens once, whatever time a resend of it carries
+  if (TERMINAL_STATUSES.includes(event.status) && events.some(entry => entry.status === event.status)) {
+    return { allowed: true, duplicate: true };
+  }
+  if (event.timestamp_assumed && events[events.length - 1]?.status === event.status) {
+    return { allowed: true, duplicate: true };
+  }
+
+  const previous = events.filter(entry => timeOf(entry.timestamp) <= at).pop();
+  const next = events.find(entry => timeOf(entry.timestamp) > at);
+  const from = previous?.status || initial;
+
+  if (!canTransition(from, event.status)) {
+    const terminal = TERMINAL_STATUSES.includes(from);
+    return {
+      allowed: false,
+      reason: terminal ? 'terminal_state' : 'illegal_transition',
+      message: terminal
+        ? `${from} is a final status; ${event.status} cannot follow it`
+        : `${event.status} cannot follow ${from}`,
+      from,
+      next: next?.status || null,
+    };
+  }
+  if (next && !canTransition(event.status, next.status)) {
+    return {
+      allowed: false,
+      reason: 'conflicts_with_later_event',
+      message: `${event.status} at ${new Date(at).toISOString()} cannot come before the later ${next.status} at ${new Date(next.timestamp).toISOString()}`,
+      from,
+      next: next.status,
+    };
+  }
+
+  return { allowed: true, from, next: next?.status || null, current: !next };
+};
+
+module.exports = {
+  STATUS_CODES,
+  TERMINAL_STATUSES,
+  isKnownStatus,
+  canTransition,
+  evaluateStatusEvent,
+};
@@ -0,0 +1,42 @@
+// lib/token-auth.js
+// Express middleware factory for routes guarded by a shared secret token (admin API, easyEcom webhooks)
+
+// Guards routes with `token`, read from x-api-key, any of `headers` or a Bearer token. When `token` is
+// unset the routes answer 503 with `disabledError` and `disabledMessage`.
+const requireToken = ({ token, headers = [], disabledError, disabledMessage }) => (req, res, next) => {
+  if (!token) {
+    return res.status(503).json({
+      success: false,
+      error: disabledError,
+      message: disabledMessage,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const provided = ['x-api-key', ...headers].map(header => req.headers[header]).find(Boolean)
+    || req.headers['authorization']?.replace('Bearer ', '');
+
+  if (!provided) {
+    return res.status(401).json({
+      success: false,
+      error: 'Missing authentication token',
+      message: 'Please provide x-api-key header',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (provided !== token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid authentication token',
+      message: 'The provided token is incorrect',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  requireToken,
+};
@@ -0,0 +1,127 @@
+// lib/tracking-page.js
+// The customer-facing HTML tracking page: a search box, the current status, expected delivery and the
+// location history of a shipment. Branding comes from TRACKING_BRAND_NAME, TRACKING_BRAND_COLOR,
+// TRACKING_LOGO_URL and TRACKING_SUPPORT_EMAIL; times are shown in TRACKING_TIMEZONE.
+
+const {
+  TRACKING_BRAND_NAME,
+  TRACKING_BRAND_COLOR,
+  TRACKING_LOGO_URL,
+  TRACKING_SUPPORT_EMAIL,
+  TRACKING_TIMEZONE,
+} = process.env;
+
+const brandName = TRACKING_BRAND_NAME || 'Shipment tracking';
+const brandColor = /^#[0-9a-f]{3,8}$/i.test(TRACKING_BRAND_COLOR || '') ? TRACKING_BRAND_COLOR : '#1a56db';
+const logoUrl = /^https:\/\//.test(TRACKING_LOGO_URL || '') ? TRACKING_LOGO_URL : null;
+const timeZone = TRACKING_TIMEZONE || 'Asia/Kolkata';
+
+// Inline styles and an https logo are all the page loads
+const CONTENT_SECURITY_POLICY = "default-src 'none'; style-src 'unsafe-inline'; img-src https:; form-action 'self'; base-uri 'none'; frame-ancestors 'none'";
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+}[char]));
+
+const formatTime = (iso) => (iso
+  ? new Date(iso).toLocaleString('en-IN', { timeZone, day: 'numeric', month: 'short', year: 'numeric', hour: 'numeric', minute: '2-digit' })
+  : '');
+
+const formatDay = (day) => new Date(`${day}T00:00:00Z`).toLocaleDateString('en-IN', { timeZone: 'UTC', weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' });
+
+const renderSummary = (tracking) => {
+  const destination = [tracking.destination.city, tracking.destination.state].filter(Boolean).join(', ');
+  const facts = [
+    ['Waybill', tracking.waybill],
+    ['Order', tracking.order_id],
+    [tracking.delivered ? 'Delivered to' : 'Delivering to', destination],
+    ['Expected delivery', tracking.delivered ? null : tracking.expected_delivery_date && formatDay(tracking.expected_delivery_date)],
+    ['Last update', formatTime(tracking.last_updated_at)],
+  ].filter(([, value]) => value);
+
+  return `
+    <section class="card">
+      <p class="status${tracking.delivered ? ' delivered' : ''}">${escapeHtml(tracking.status_label)}</p>
+      ${tracking.current_location ? `<p class="muted">Last seen at ${escapeHtml(tracking.current_location)}</p>` : ''}
+      <dl>${facts.map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('')}</dl>
+    </section>`;
+};
+
+const renderTimeline = (events) => `
+    <section class="card">
+      <h2>Shipment history</h2>
+      <ol class="timeline">${events.map(event => `
+        <li>
+          <strong>${escapeHtml(event.label)}</strong>
+          ${event.description ? `<span>${escapeHtml(event.description)}</span>` : ''}
+          <span class="muted">${escapeHtml([event.location, formatTime(event.timestamp)].filter(Boolean).join(' · '))}</span>
+        </li>`).join('')}
+      </ol>
+    </section>`;
+
+// Full HTML page. `searchPath` is where the search form submits (?id=); `tracking` is a lookupTracking
+// view, `message` a notice shown instead (not found, too many requests, ...).
+const renderTrackingPage = ({ searchPath, identifier = '', tracking = null, message = null }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(tracking ? `${tracking.status_label} · ${tracking.waybill}` : 'Track your shipment')} · ${escapeHtml(brandName)}</title>
+  <style>
+    body { margin: 0; font-family: -apple-system, "Segoe UI", Roboto, Arial, sans-serif; background: #f4f5f7; color: #1f2933; }
+    header { background: ${brandColor}; color: #fff; padding: 16px 20px; display: flex; align-items: center; gap: 12px; }
+    header img { max-height: 32px; }
+    header h1 { font-size: 18px; margin: 0; }
+    main { max-width: 640px; margin: 0 auto; padding: 20px; }
+    form { display: flex; gap: 8px; margin-bottom: 16px; }
+    input { flex: 1; padding: 10px; border: 1px solid #cbd2d9; border-radius: 6px; font-size: 15px; }
+    button { padding: 10px 16px; border: 0; border-radius: 6px; background: ${brandColor}; color: #fff; font-size: 15px; cursor: pointer; }
+    .card { background: #fff; border-radius: 8px; padding: 16px 20px; margin-bottom: 16px; box-shadow: 0 1px 2px rgba(0, 0, 0, 0.08); }
+    .status { font-size: 22px; font-weight: 700; margin: 0 0 4px; color: ${brandColor}; }
+    .status.delivered { color: #0e9f6e; }
+    .muted { color: #616e7c; font-size: 13px; }
+    dl { display: grid; grid-template-columns: max-content 1fr; gap: 6px 16px; margin: 12px 0 0; }
+    dt { color: #616e7c; }
+    dd { margin: 0; font-weight: 600; }
+    h2 { font-size: 16px; margin: 0 0 12px; }
+    .timeline { list-style: none; margin: 0; padding: 0; }
+    .timeline li { display: flex; flex-direction: column; gap: 2px; padding: 0 0 14px 18px; border-left: 2px solid #e4e7eb; position: relative; }
+    .timeline li::before { content: ""; position: absolute; left: -6px; top: 3px; width: 10px; height: 10px; border-radius: 50%; background: #cbd2d9; }
+    .timeline li:first-child::before { background: ${brandColor}; }
+    .notice { background: #fff8e1; border: 1px solid #f7d070; }
+    footer { text-align: center; padding: 8px 20px 24px; }
+  </style>
+</head>
+<body>
+  <header>
+    ${logoUrl ? `<img src="${escapeHtml(logoUrl)}" alt="">` : ''}
+    <h1>${escapeHtml(brandName)}</h1>
+  </header>
+  <main>
+    <form method="get" action="${escapeHtml(searchPath)}">
+      <input name="id" value="${escapeHtml(identifier)}" placeholder="Waybill or order number" aria-label="Waybill or order number" required maxlength="64">
+      <button type="submit">Track</button>
+    </form>
+    ${message ? `<section class="card notice">${escapeHtml(message)}</section>` : ''}
+    ${tracking ? renderSummary(tracking) : ''}
+    ${tracking && tracking.events.length > 0 ? renderTimeline(tracking.events) : ''}
+  </main>
+  ${TRACKING_SUPPORT_EMAIL ? `<footer class="muted">Questions about your delivery? Write to <a href="mailto:${escapeHtml(TRACKING_SUPPORT_EMAIL)}">${escapeHtml(TRACKING_SUPPORT_EMAIL)}</a></footer>` : ''}
+</body>
+</html>
+`;
+
+// Sends a tracking page with the headers it needs: no caching, no indexing, no framing
+const sendTrackingPage = (res, statusCode, page) => {
+  res.status(statusCode);
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('X-Robots-Tag', 'noindex');
+  res.setHeader('Content-Security-Policy', CONTENT_SECURITY_POLICY);
+  res.send(renderTrackingPage(page));
+};
+
+module.exports = {
+  sendTrackingPage,
+};
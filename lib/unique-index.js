@@ -0,0 +1,84 @@
+// lib/unique-index.js
+// Unique indexes that duplicate protection depends on. createIndex fails while a collection already holds
+// duplicate values; those values are then reported (logged and sent to the alert notifiers) and the
+// returned promise rejects, so callers that rely on the index can refuse to run without it.
+const { notify } = require('./notifiers');
+
+// Duplicated values reported per failed index
+const DUPLICATE_SAMPLE_SIZE = 20;
+
+const fieldsOf = (key) => Object.keys(key);
+
+// Values of the `key` fields held by more than one document matching `filter`, most repeated first
+const findDuplicateValues = (collection, key, filter = {}) => collection.aggregate([
+  { $match: filter },
+  {
+    $group: {
+      // Group keys may not contain dots, so easyecom.order_id is reported as easyecom_order_id
+      _id: fieldsOf(key).length === 1 ? `$${fieldsOf(key)[0]}` : Object.fromEntries(fieldsOf(key).map(field => [field.replace(/\./g, '_'), `$${field}`])),
+      count: { $sum: 1 },
+      ids: { $push: '$_id' },
+    },
+  },
+  { $match: { count: { $gt: 1 } } },
+  { $sort: { count: -1 } },
+  { $limit: DUPLICATE_SAMPLE_SIZE },
+  { $project: { _id: 0, value: '$_id', count: 1, ids: { $slice: ['$ids', 5] } } },
+], { allowDiskUse: true }).toArray();
+
+const reportDuplicates = async (collection, key, duplicates) => {
+  const field = fieldsOf(key).join(' + ');
+  const sample = duplicates.map(duplicate => `${JSON.stringify(duplicate.value)} (${duplicate.count}x)`).join(', ');
+  const message = `Cannot make ${field} unique on ${collection.collectionName}: duplicated values ${sample}. Resolve them and restart.`;
+  console.error(`❌ ${message}`);
+  await notify({
+    type: 'unique_index_blocked',
+    message,
+    collection: collection.collectionName,
+    field,
+    duplicates: duplicates.map(({ value, count }) => ({ value, count })),
+  });
+
+  const error = new Error(message);
+  error.code = 'DUPLICATE_VALUES';
+  error.duplicates = duplicates;
+  return error;
+};
+
+// Existing indexes with exactly this key; a collection that does not exist yet has none
+const indexesWithKey = async (collection, key) => {
+  const indexes = await collection.indexes().catch(error => (error.code === 26 ? [] : Promise.reject(error)));
+  return indexes.filter(index => JSON.stringify(index.key) === JSON.stringify(key));
+};
+
+// Creates a unique index on `key` (e.g. { waybill: 1 }), only over documents matching
+// partialFilterExpression when given. A plain index with the same key is replaced, but only once no
+// duplicates remain. Rejects with error.code 'DUPLICATE_VALUES' and error.duplicates when documents
+// already share a value.
+const ensureUniqueIndex = async (collection, key, { partialFilterExpression } = {}) => {
+  const filter = partialFilterExpression || {};
+  const plain = (await indexesWithKey(collection, key)).filter(index => !index.unique);
+
+  const duplicates = await findDuplicateValues(collection, key, filter);
+  if (duplicates.length > 0) {
+    throw await reportDuplicates(collection, key, duplicates);
+  }
+
+  for (const index of plain) {
+    await collection.dropIndex(index.name);
+  }
+  try {
+    await collection.createIndex(key, { unique: true, ...(partialFilterExpression && { partialFilterExpression }) });
+  } catch (error) {
+    // Written between the check and the build
+    if (error.code === 11000) {
+      throw await reportDuplicates(collection, key, await findDuplicateValues(collection, key, filter));
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  findDuplicateValues,
+  ensureUniqueIndex,
+};